@@ -1,24 +1,44 @@
-import fs from 'fs';
 import path from 'path';
-import csv from 'csv-parser';
+import { parseHistoricalQuery, readHistorical } from '../lib/historical.js';
+import { findStation, resolveStationFiles } from '../lib/stations.js';
 
 export default async function handler(req, res) {
-    // Locate CSV relative to project root
-    const filePath = path.join(process.cwd(), 'data', '46042_master_2012_2023.csv');
-    
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).json({ error: "Historical data file not found" });
+    const station = findStation(req.query.station);
+    if (!station) {
+        return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
     }
 
-    const results = [];
-    const stream = fs.createReadStream(filePath).pipe(csv());
+    // Locate the station's archive files relative to project root
+    const files = resolveStationFiles(station, path.join(process.cwd(), 'data'));
+    if (!files.length) {
+        return res.status(404).json({ error: `No historical data for station ${station.id}` });
+    }
+
+    // Validate ?start=&end=&fields=&resolution=
+    const { error, options } = parseHistoricalQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-    stream.on('data', (data) => results.push(data));
-    stream.on('end', () => {
-        res.status(200).json(results);
-    });
-    stream.on('error', (err) => {
+    try {
+        const { fields, coverage, quality, qc, data } = await readHistorical(files, options);
+        res.status(200).json({
+            station: station.id,
+            resolution: options.resolution,
+            start: options.start?.toISOString() ?? null,
+            end: options.end?.toISOString() ?? null,
+            fields,
+            coverage,
+            quality,
+            qc,
+            count: data.length,
+            data,
+        });
+    } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ error: err.message });
+        }
         console.error("CSV error:", err);
         res.status(500).json({ error: "Failed to read CSV" });
-    });
+    }
 }
@@ -1,4 +1,55 @@
-import axios from 'axios';
+import path from 'path';
+import { flagRows } from '../lib/qc.js';
+import { fetchOpenMeteo } from '../lib/openMeteo.js';
+import { recordIssuance } from '../lib/verification.js';
+import { readLiveHeatwaves } from '../lib/heatwaves.js';
+import { detectLiveStorms } from '../lib/storms.js';
+import { liveRoses } from '../lib/rose.js';
+import { findStation, isAtStation, resolveStationFiles } from '../lib/stations.js';
+import { createProvider } from '../lib/providers.js';
+import { createLiveCache, sendCached } from '../lib/liveCache.js';
+
+// Upstream for the live data: DATA_PROVIDER=openmeteo|record|replay|ndbc|synthetic
+const provider = createProvider(process.env.DATA_PROVIDER, {
+    dataDir: path.join(process.cwd(), 'data'),
+    fixtureDir: process.env.FIXTURE_DIR,
+});
+
+// Logged live forecasts (lib/verification.js); VERIFY_DIR moves them, e.g. to /tmp
+// where the deployment's own files are read-only
+const verifyDir = process.env.VERIFY_DIR || path.join(process.cwd(), 'data', 'verification');
+
+// Cached per 0.01° coordinate until the next hourly upstream update; lives as long as the warm instance
+const liveCache = createLiveCache(async (latitude, longitude) => {
+    const { rows, utcOffsetSeconds, partial, availability, current } = await fetchOpenMeteo(latitude, longitude, provider);
+
+    // Log the issuance for forecast verification; never fails the request.
+    // A partial response would take the hour's slot with missing fields, so it waits
+    if (provider.live && !partial) {
+        await recordIssuance(verifyDir, latitude, longitude, rows, { utcOffsetSeconds })
+            .catch((err) => console.error("Forecast log error:", err.message));
+    }
+
+    // Attach QC flags (<field>_qc) to every observation
+    const data = flagRows(rows);
+
+    // Storm events and roses of the live window, by the archive detectors
+    return {
+        partial, availability, current, utcOffsetSeconds, data,
+        storms: detectLiveStorms(data, utcOffsetSeconds),
+        roses: liveRoses(data),
+    };
+}, { isComplete: (value) => !value.partial });
+
+/** Marine heatwaves in the live rows against a station's archive threshold; none without an archive. */
+async function liveHeatwaves(station, { data, utcOffsetSeconds }) {
+    const files = resolveStationFiles(station, path.join(process.cwd(), 'data'));
+    if (!files.length) return [];
+    return readLiveHeatwaves(files, data, utcOffsetSeconds).catch((err) => {
+        console.error("Live heatwave error:", err.message);
+        return [];
+    });
+}
 
 export default async function handler(req, res) {
     const { lat, lon } = req.query;
@@ -9,61 +60,31 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: "lat and lon query params are required" });
     }
 
-    try {
-        const url = "https://marine-api.open-meteo.com/v1/marine";
-        const params = {
-            latitude,
-            longitude,
-            hourly: [
-                "wave_height",
-                "wind_wave_height",
-                "swell_wave_height",
-                "sea_surface_temperature",
-            ].join(","),
-            current: [
-                "wave_height",
-                "wave_direction",
-                "wave_period",
-            ].join(","),
-            past_days: 2,
-            forecast_days: 3,
-            timezone: "auto",
-        };
-
-        // Fetch marine data
-        const marineRes = await axios.get(url, { params, timeout: 10000 });
-        const marine = marineRes.data;
-
-        // Fetch atmospheric + SST
-        const weatherUrl = "https://api.open-meteo.com/v1/forecast";
-        const weatherParams = {
-            latitude,
-            longitude,
-            hourly: [
-                "temperature_2m",
-                "wind_speed_10m",
-                "surface_pressure",
-                "sea_surface_temperature",
-            ].join(","),
-            past_days: 2,
-            forecast_days: 3,
-            timezone: "auto",
-        };
-        const weatherRes = await axios.get(weatherUrl, { params: weatherParams, timeout: 10000 });
-        const weather = weatherRes.data;
-
-        // Merge sequences
-        const times = weather.hourly?.time ?? [];
-        const rows = times.map((t, i) => ({
-            timestamp: t,
-            // Use sea_surface_temperature from marine API if available, else from forecast API
-            sea_surface_temp: marine.hourly?.sea_surface_temperature?.[i] ?? weather.hourly?.sea_surface_temperature?.[i] ?? null,
-            wind_speed: weather.hourly.wind_speed_10m?.[i] ?? null,
-            air_pressure: weather.hourly.surface_pressure?.[i] ?? null,
-            wave_height: marine.hourly?.wave_height?.[i] ?? null,
-        }));
+    // Optional: the station whose archive threshold scores live heatwaves — only at
+    // the station itself; another sea's temperatures mean nothing against it
+    const station = req.query.station ? findStation(req.query.station) : null;
+    if (req.query.station && !station) {
+        return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+    }
+    if (station && !isAtStation(station, latitude, longitude)) {
+        return res.status(400).json({ error: `lat / lon are not at station ${station.id}` });
+    }
 
-        res.status(200).json({ lat: latitude, lon: longitude, data: rows });
+    try {
+        const entry = await liveCache.get(latitude, longitude);
+        sendCached(req, res, entry, {
+            lat: latitude,
+            lon: longitude,
+            fetchedAt: new Date(entry.fetchedAt).toISOString(),
+            stale: entry.status === "STALE",
+            availability: entry.value.availability,
+            current: entry.value.current,
+            utcOffsetSeconds: entry.value.utcOffsetSeconds,
+            heatwaves: station ? await liveHeatwaves(station, entry.value) : [],
+            storms: entry.value.storms,
+            roses: entry.value.roses,
+            data: entry.value.data,
+        });
     } catch (err) {
         console.error("Open-Meteo error:", err.message);
         res.status(502).json({ error: "Failed to fetch live data: " + err.message });
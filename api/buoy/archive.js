@@ -0,0 +1,9 @@
+// The snapshot poller (lib/snapshots.js) runs in server.js only: serverless
+// functions don't live long enough to keep a schedule, and their filesystem
+// doesn't persist between invocations, so there is never anything to serve.
+export default function handler(req, res) {
+    res.status(501).json({
+        error: "The snapshot archive is only kept by the long-running server (node server.js); "
+            + "this deployment never polls live readings",
+    });
+}
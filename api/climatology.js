@@ -0,0 +1,35 @@
+import path from 'path';
+import { parseFields } from '../lib/historical.js';
+import { HALF_WINDOW, SMOOTH_DAYS, readClimatology } from '../lib/climatology.js';
+import { findStation, resolveStationFiles } from '../lib/stations.js';
+
+export default async function handler(req, res) {
+    const station = findStation(req.query.station);
+    if (!station) {
+        return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+    }
+
+    // Locate the station's archive files relative to project root
+    const files = resolveStationFiles(station, path.join(process.cwd(), 'data'));
+    if (!files.length) {
+        return res.status(404).json({ error: `No historical data for station ${station.id}` });
+    }
+
+    try {
+        const { fields, coverage, climatology } = await readClimatology(files, parseFields(req.query.fields));
+        res.status(200).json({
+            station: station.id,
+            fields,
+            coverage,
+            window: 2 * HALF_WINDOW + 1,
+            smoothing: SMOOTH_DAYS,
+            climatology,
+        });
+    } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Climatology error:", err);
+        res.status(500).json({ error: "Failed to build climatology" });
+    }
+}
@@ -0,0 +1,36 @@
+import path from 'path';
+import { parseFields } from '../lib/historical.js';
+import { PERIOD, HORIZON, FIT_DAYS, readForecastModels } from '../lib/forecast.js';
+import { findStation, resolveStationFiles } from '../lib/stations.js';
+
+export default async function handler(req, res) {
+    const station = findStation(req.query.station);
+    if (!station) {
+        return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+    }
+
+    // Locate the station's archive files relative to project root
+    const files = resolveStationFiles(station, path.join(process.cwd(), 'data'));
+    if (!files.length) {
+        return res.status(404).json({ error: `No historical data for station ${station.id}` });
+    }
+
+    try {
+        const { fields, coverage, models } = await readForecastModels(files, parseFields(req.query.fields));
+        res.status(200).json({
+            station: station.id,
+            fields,
+            coverage,
+            period: PERIOD,
+            horizon: HORIZON,
+            trainingDays: FIT_DAYS,
+            models,
+        });
+    } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Forecast model error:", err);
+        res.status(500).json({ error: "Failed to train forecast models" });
+    }
+}
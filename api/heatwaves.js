@@ -0,0 +1,44 @@
+import path from 'path';
+import { parseHistoricalQuery } from '../lib/historical.js';
+import { readHeatwaves } from '../lib/heatwaves.js';
+import { findStation, resolveStationFiles } from '../lib/stations.js';
+
+export default async function handler(req, res) {
+    const station = findStation(req.query.station);
+    if (!station) {
+        return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+    }
+
+    // Locate the station's archive files relative to project root
+    const files = resolveStationFiles(station, path.join(process.cwd(), 'data'));
+    if (!files.length) {
+        return res.status(404).json({ error: `No historical data for station ${station.id}` });
+    }
+
+    // Only start / end are used; the series is always daily-mean SST
+    const { error, options } = parseHistoricalQuery({ start: req.query.start, end: req.query.end });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const field = req.query.field || 'WTMP';
+
+    try {
+        const { coverage, threshold, events } = await readHeatwaves(files, { field, ...options });
+        res.status(200).json({
+            station: station.id,
+            field,
+            start: options.start?.toISOString() ?? null,
+            end: options.end?.toISOString() ?? null,
+            coverage,
+            threshold,
+            count: events.length,
+            events,
+        });
+    } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Heatwave error:", err);
+        res.status(500).json({ error: "Failed to detect heatwaves" });
+    }
+}
@@ -0,0 +1,42 @@
+import path from 'path';
+import { parseHistoricalQuery } from '../lib/historical.js';
+import { readStorms } from '../lib/storms.js';
+import { findStation, resolveStationFiles } from '../lib/stations.js';
+
+export default async function handler(req, res) {
+    const station = findStation(req.query.station);
+    if (!station) {
+        return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+    }
+
+    // Locate the station's archive files relative to project root
+    const files = resolveStationFiles(station, path.join(process.cwd(), 'data'));
+    if (!files.length) {
+        return res.status(404).json({ error: `No historical data for station ${station.id}` });
+    }
+
+    // Only start / end are used; detection always reads PRES / WSPD / WVHT
+    const { error, options } = parseHistoricalQuery({ start: req.query.start, end: req.query.end });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const { coverage, criteria, events } = await readStorms(files, options);
+        res.status(200).json({
+            station: station.id,
+            start: options.start?.toISOString() ?? null,
+            end: options.end?.toISOString() ?? null,
+            coverage,
+            criteria,
+            count: events.length,
+            events,
+        });
+    } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error("Storm detection error:", err);
+        res.status(500).json({ error: "Failed to detect storms" });
+    }
+}
@@ -0,0 +1,26 @@
+import path from 'path';
+import { DEFAULT_DAYS, MAX_LEAD, readVerification } from '../lib/verification.js';
+
+export default async function handler(req, res) {
+    const latitude = parseFloat(req.query.lat);
+    const longitude = parseFloat(req.query.lon);
+
+    if (isNaN(latitude) || isNaN(longitude)) {
+        return res.status(400).json({ error: "lat and lon query params are required" });
+    }
+
+    const days = req.query.days === undefined ? DEFAULT_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return res.status(400).json({ error: "days must be an integer from 1 to 365" });
+    }
+
+    try {
+        // Logged issuances live next to the archive, relative to project root, unless VERIFY_DIR moves them
+        const dir = process.env.VERIFY_DIR || path.join(process.cwd(), 'data', 'verification');
+        const result = await readVerification(dir, latitude, longitude, { days });
+        res.status(200).json({ lat: latitude, lon: longitude, days, maxLead: MAX_LEAD, ...result });
+    } catch (err) {
+        console.error("Verification error:", err);
+        res.status(500).json({ error: "Failed to verify forecasts" });
+    }
+}
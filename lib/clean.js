@@ -0,0 +1,68 @@
+/**
+ * lib/clean.js
+ * Server-side missing-value cleaning for archive columns.
+ *
+ * NDBC fills gaps with 99 / 999 / 9999 depending on the column; left in,
+ * they wreck means, std devs and anomaly counts. Per-field sentinels and
+ * physical limits live in src/data/fieldLimits.json, which the client
+ * fallback (src/utils/clean.js) reads too, so both sides agree.
+ */
+
+const FIELD_LIMITS = require("../src/data/fieldLimits.json");
+
+// Why a value was dropped; stored per cell in Archive.drops
+const DROP = { NONE: 0, SENTINEL: 1, OUT_OF_RANGE: 2 };
+
+/** Classify one value against its field's sentinels and physical limits. */
+function dropReason(field, v) {
+    const limits = FIELD_LIMITS[field];
+    if (!limits || isNaN(v)) return DROP.NONE;
+    if (limits.sentinels.includes(v)) return DROP.SENTINEL;
+    if (v < limits.min || v > limits.max) return DROP.OUT_OF_RANGE;
+    return DROP.NONE;
+}
+
+/**
+ * Clean a column in place: sentinels and out-of-range values become NaN.
+ * @param {string}       field
+ * @param {Float64Array} column  mutated
+ * @returns {Uint8Array}         DROP reason per cell, parallel to `column`
+ */
+function cleanColumn(field, column) {
+    const drops = new Uint8Array(column.length);
+    for (let i = 0; i < column.length; i++) {
+        const reason = dropReason(field, column[i]);
+        if (reason !== DROP.NONE) {
+            drops[i] = reason;
+            column[i] = NaN;
+        }
+    }
+    return drops;
+}
+
+/**
+ * Per-field quality summary for archive rows [from, to).
+ * @returns {Record<string, { total: number, valid: number, sentinel: number, outOfRange: number }>}
+ */
+function summarizeDrops(archive, fields, from, to) {
+    const summary = {};
+    for (const f of fields) {
+        const column = archive.columns[f];
+        const drops = archive.drops[f];
+        const s = { total: to - from, valid: 0, sentinel: 0, outOfRange: 0 };
+        for (let i = from; i < to; i++) {
+            if (!isNaN(column[i])) s.valid++;
+            else if (drops[i] === DROP.SENTINEL) s.sentinel++;
+            else if (drops[i] === DROP.OUT_OF_RANGE) s.outOfRange++;
+        }
+        summary[f] = s;
+    }
+    return summary;
+}
+
+module.exports = {
+    FIELD_LIMITS,
+    DROP,
+    cleanColumn,
+    summarizeDrops,
+};
@@ -0,0 +1,198 @@
+/**
+ * lib/climatology.js
+ * Seasonal baselines for a station's historical archive, behind /api/climatology.
+ *
+ * For every field the whole archive (2012–2023 for 46042) is folded onto a
+ * 366-day calendar. Each day of year gets the mean and std of every
+ * observation within an 11-day window around it (Hobday et al. 2016), then
+ * both curves are smoothed with a 31-day running mean. A 24-value diurnal
+ * offset — the mean departure from the day-of-year mean at each UTC hour —
+ * turns the daily curve into an hourly one. QC-failed values are left out.
+ *
+ * Baselines are memoized on the archive object, so they are rebuilt only
+ * when lib/historicalStore.js re-parses a file.
+ */
+
+const { getStationArchive } = require("./historicalStore");
+const { QC } = require("./qc");
+
+const DAYS = 366;
+const HALF_WINDOW = 5;      // 11-day pooling window
+const SMOOTH_DAYS = 31;     // running mean applied to the pooled curves
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of each month on a leap-year calendar, so Mar 1 is always day 60
+const MONTH_START = [0, 31, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
+
+/** Day-of-year index 0–365 (Feb 29 = 59) of an epoch-ms time, in UTC. */
+function dayOfYearIndex(t) {
+    const d = new Date(t);
+    return MONTH_START[d.getUTCMonth()] + d.getUTCDate() - 1;
+}
+
+/**
+ * Mean of each UTC day's non-failed values.
+ * @returns {{ days: number[], values: number[] }} day start (epoch ms) and mean, ascending
+ */
+function dailyMeans(times, values, flags) {
+    const days = [];
+    const means = [];
+    let day = -1, sum = 0, n = 0;
+    const close = () => {
+        if (n) { days.push(day * DAY_MS); means.push(sum / n); }
+    };
+
+    for (let i = 0; i < times.length; i++) {
+        const v = values[i];
+        if (isNaN(v) || (flags && flags[i] === QC.FAIL)) continue;
+        const dayNum = Math.floor(times[i] / DAY_MS);
+        if (dayNum !== day) {
+            close();
+            day = dayNum; sum = 0; n = 0;
+        }
+        sum += v; n++;
+    }
+    close();
+
+    return { days, values: means };
+}
+
+/** Circular running mean over `width` days; NaN entries are skipped. */
+function smoothCircular(series, width) {
+    const half = Math.floor(width / 2);
+    const out = new Float64Array(DAYS);
+    for (let d = 0; d < DAYS; d++) {
+        let sum = 0;
+        let n = 0;
+        for (let k = -half; k <= half; k++) {
+            const v = series[(d + k + DAYS) % DAYS];
+            if (!isNaN(v)) { sum += v; n++; }
+        }
+        out[d] = n ? sum / n : NaN;
+    }
+    return out;
+}
+
+/** Pool per-day sums over the ±HALF_WINDOW window → mean / std curves. */
+function pooled(sum, sumSq, count) {
+    const mean = new Float64Array(DAYS);
+    const std = new Float64Array(DAYS);
+    for (let d = 0; d < DAYS; d++) {
+        let s = 0, sq = 0, n = 0;
+        for (let k = -HALF_WINDOW; k <= HALF_WINDOW; k++) {
+            const j = (d + k + DAYS) % DAYS;
+            s += sum[j]; sq += sumSq[j]; n += count[j];
+        }
+        mean[d] = n ? s / n : NaN;
+        std[d] = n > 1 ? Math.sqrt(Math.max(0, sq / n - (s / n) ** 2)) : NaN;
+    }
+    return { mean: smoothCircular(mean, SMOOTH_DAYS), std: smoothCircular(std, SMOOTH_DAYS) };
+}
+
+/**
+ * Build the baseline for one archive column.
+ *
+ * @param {Float64Array} times   epoch ms, ascending
+ * @param {Float64Array} values  NaN = missing
+ * @param {Uint8Array}   [flags] QC flags; failed values are skipped
+ * @returns {{ mean: Float64Array, std: Float64Array, dailyStd: Float64Array, hourOffset: Float64Array }}
+ *   mean / std of individual observations, dailyStd of daily means, per day of year
+ */
+function buildFieldClimatology(times, values, flags) {
+    const sum = new Float64Array(DAYS), sumSq = new Float64Array(DAYS), count = new Float64Array(DAYS);
+    const dSum = new Float64Array(DAYS), dSumSq = new Float64Array(DAYS), dCount = new Float64Array(DAYS);
+
+    for (let i = 0; i < times.length; i++) {
+        const v = values[i];
+        if (isNaN(v) || (flags && flags[i] === QC.FAIL)) continue;
+        const d = dayOfYearIndex(times[i]);
+        sum[d] += v; sumSq[d] += v * v; count[d]++;
+    }
+
+    const daily = dailyMeans(times, values, flags);
+    daily.days.forEach((t, i) => {
+        const d = dayOfYearIndex(t);
+        const m = daily.values[i];
+        dSum[d] += m; dSumSq[d] += m * m; dCount[d]++;
+    });
+
+    const { mean, std } = pooled(sum, sumSq, count);
+    const dailyStd = pooled(dSum, dSumSq, dCount).std;
+
+    // Diurnal cycle: mean departure from the day-of-year mean per UTC hour
+    const hSum = new Float64Array(24), hCount = new Float64Array(24);
+    for (let i = 0; i < times.length; i++) {
+        const v = values[i];
+        if (isNaN(v) || (flags && flags[i] === QC.FAIL)) continue;
+        const m = mean[dayOfYearIndex(times[i])];
+        if (isNaN(m)) continue;
+        const h = new Date(times[i]).getUTCHours();
+        hSum[h] += v - m; hCount[h]++;
+    }
+    const hourOffset = hSum.map((s, h) => (hCount[h] ? s / hCount[h] : 0));
+
+    return { mean, std, dailyStd, hourOffset };
+}
+
+const round = (v) => (isNaN(v) ? null : Math.round(v * 1000) / 1000);
+const toJson = (series) => Array.from(series, round);
+
+/** Time span of the whole archive, for responses. */
+function archiveCoverage(archive) {
+    const n = archive.times.length;
+    return n
+        ? { first: new Date(archive.times[0]).toISOString(), last: new Date(archive.times[n - 1]).toISOString() }
+        : null;
+}
+
+/**
+ * Seasonal baselines for the requested fields of a station.
+ *
+ * @param {string[]}      filePaths  the station's archive files
+ * @param {string[]|null} fields     default: every archive column
+ * @returns {Promise<{ fields: string[], coverage: object|null, climatology: Record<string, object> }>}
+ * @throws {Error} with `status` 400 for unknown fields
+ */
+async function readClimatology(filePaths, fields) {
+    const archive = await getStationArchive(filePaths);
+    const requested = fields ?? archive.fields;
+
+    const unknown = requested.filter((f) => !archive.fields.includes(f));
+    if (unknown.length) {
+        const err = new Error(`Unknown fields: ${unknown.join(", ")}`);
+        err.status = 400;
+        throw err;
+    }
+
+    if (!archive.climatology) archive.climatology = {};
+    const climatology = {};
+    for (const f of requested) {
+        if (!archive.climatology[f]) {
+            const c = buildFieldClimatology(archive.times, archive.columns[f], archive.qc[f]);
+            archive.climatology[f] = {
+                mean: toJson(c.mean),
+                std: toJson(c.std),
+                dailyStd: toJson(c.dailyStd),
+                hourOffset: toJson(c.hourOffset),
+            };
+        }
+        climatology[f] = archive.climatology[f];
+    }
+
+    return { fields: requested, coverage: archiveCoverage(archive), climatology };
+}
+
+module.exports = {
+    DAYS,
+    DAY_MS,
+    HALF_WINDOW,
+    SMOOTH_DAYS,
+    dayOfYearIndex,
+    dailyMeans,
+    smoothCircular,
+    round,
+    toJson,
+    archiveCoverage,
+    buildFieldClimatology,
+    readClimatology,
+};
@@ -0,0 +1,241 @@
+/**
+ * lib/forecast.js
+ * Holt-Winters forecasting models trained on a station's archive, behind
+ * /api/forecast.
+ *
+ *   model     additive Holt-Winters with a damped trend and a 24-h (UTC
+ *             hour-of-day) seasonal cycle
+ *   training  the last FIT_DAYS of the archive on an hourly grid; gaps are
+ *             stepped over without updating the state. α, β, γ and φ are
+ *             grid-searched for the lowest one-step error on the first 80 %,
+ *             the rest is held out
+ *   interval  the RMSE of forecasts issued once a day over the hold-out, per
+ *             lead hour 1…HORIZON — empirical, so no normality assumption
+ *             about the model errors is needed beyond the ±1.96·RMSE band
+ *
+ * The server never forecasts live data itself: src/utils/forecast.js warms a
+ * model up on the live rows, starting from the trained diurnal cycle, and
+ * projects it forward.
+ */
+
+const { getStationArchive } = require("./historicalStore");
+const { DAY_MS, round, toJson, archiveCoverage } = require("./climatology");
+const { QC } = require("./qc");
+
+const HOUR_MS = 60 * 60 * 1000;
+const PERIOD = 24;
+const HORIZON = 72;         // hours
+const FIT_DAYS = 365;
+const HOLDOUT = 0.2;
+const INIT_HOURS = 7 * PERIOD;
+
+// Archive columns with a model by default
+const FORECAST_FIELDS = ["WTMP", "WSPD", "PRES", "WVHT"];
+
+const GRID = {
+    alpha: [0.05, 0.1, 0.2, 0.4, 0.6, 0.8],
+    beta: [0, 0.01, 0.05, 0.1],
+    gamma: [0.01, 0.05, 0.1, 0.3],
+    phi: [0.9, 0.98],
+};
+
+const hourOf = (t) => new Date(t).getUTCHours();
+
+// Lets queued I/O run between grid cells, so a fit never stalls the server
+const yieldToEvents = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Hourly grid of the last `days` of a column, QC-failed values as NaN.
+ * @returns {{ t0: number, values: Float64Array }}  values[k] is at t0 + k h
+ */
+function hourlyTail(times, values, flags, days) {
+    const n = times.length;
+    if (!n) return { t0: 0, values: new Float64Array(0) };
+    const last = Math.floor(times[n - 1] / HOUR_MS) * HOUR_MS;
+    const t0 = last - days * DAY_MS + HOUR_MS;
+    const grid = new Float64Array(Math.round((last - t0) / HOUR_MS) + 1).fill(NaN);
+    for (let i = n - 1; i >= 0 && times[i] >= t0; i--) {
+        const v = values[i];
+        if (isNaN(v) || (flags && flags[i] === QC.FAIL)) continue;
+        const k = Math.round((times[i] - t0) / HOUR_MS);
+        if (k >= 0 && k < grid.length && isNaN(grid[k])) grid[k] = v;
+    }
+    return { t0, values: grid };
+}
+
+/** Level from the first week's mean, seasonal offsets from each hour's departure. */
+function initialState(t0, values) {
+    const end = Math.min(values.length, INIT_HOURS);
+    let sum = 0, n = 0;
+    for (let k = 0; k < end; k++) if (!isNaN(values[k])) { sum += values[k]; n++; }
+    if (!n) return null;
+    const level = sum / n;
+    const sums = new Float64Array(PERIOD);
+    const counts = new Float64Array(PERIOD);
+    for (let k = 0; k < end; k++) {
+        if (isNaN(values[k])) continue;
+        const h = hourOf(t0 + k * HOUR_MS);
+        sums[h] += values[k] - level;
+        counts[h]++;
+    }
+    return {
+        level,
+        trend: 0,
+        seasonal: Array.from(sums, (s, h) => (counts[h] ? s / counts[h] : 0)),
+    };
+}
+
+/** h-step-ahead forecast from a state, for the hour-of-day `hour`. */
+function project(state, params, h, hour) {
+    let damp = 0, p = 1;
+    for (let i = 0; i < h; i++) { p *= params.phi; damp += p; }
+    return state.level + damp * state.trend + state.seasonal[hour];
+}
+
+/** One Holt-Winters update (or a plain projection when `y` is missing). */
+function step(state, params, y, hour) {
+    const { alpha, beta, gamma, phi } = params;
+    const prevLevel = state.level;
+    if (isNaN(y)) {
+        state.level = prevLevel + phi * state.trend;
+        state.trend = phi * state.trend;
+        return;
+    }
+    state.level = alpha * (y - state.seasonal[hour]) + (1 - alpha) * (prevLevel + phi * state.trend);
+    state.trend = beta * (state.level - prevLevel) + (1 - beta) * phi * state.trend;
+    state.seasonal[hour] = gamma * (y - state.level) + (1 - gamma) * state.seasonal[hour];
+}
+
+/** Mean squared one-step error of `params` over values[from, to). */
+function oneStepError(t0, values, init, params, to) {
+    const state = { ...init, seasonal: [...init.seasonal] };
+    let sse = 0, n = 0;
+    for (let k = 0; k < to; k++) {
+        const hour = hourOf(t0 + k * HOUR_MS);
+        const y = values[k];
+        if (!isNaN(y) && k >= INIT_HOURS) {
+            const e = y - project(state, params, 1, hour);
+            sse += e * e;
+            n++;
+        }
+        step(state, params, y, hour);
+    }
+    return n ? sse / n : Infinity;
+}
+
+/**
+ * Train a model on an hourly grid. The grid search takes a while on a year
+ * of data, so it yields to the event loop after every parameter set.
+ *
+ * @param {number}       t0      epoch ms of values[0]
+ * @param {Float64Array} values  hourly, NaN = missing
+ * @returns {Promise<object|null>}  null when there is too little data
+ */
+async function fitModel(t0, values) {
+    const init = initialState(t0, values);
+    const split = Math.floor(values.length * (1 - HOLDOUT));
+    if (!init || split <= INIT_HOURS + HORIZON) return null;
+
+    let best = null;
+    for (const alpha of GRID.alpha) {
+        for (const beta of GRID.beta) {
+            for (const gamma of GRID.gamma) {
+                for (const phi of GRID.phi) {
+                    const params = { alpha, beta, gamma, phi };
+                    const mse = oneStepError(t0, values, init, params, split);
+                    if (!best || mse < best.mse) best = { params, mse };
+                    await yieldToEvents();
+                }
+            }
+        }
+    }
+    if (!best || !isFinite(best.mse)) return null;
+
+    // Run through the whole series; forecast from each midnight in the hold-out
+    const { params } = best;
+    const state = { ...init, seasonal: [...init.seasonal] };
+    const sq = new Float64Array(HORIZON);
+    const counts = new Float64Array(HORIZON);
+    for (let k = 0; k < values.length; k++) {
+        const t = t0 + k * HOUR_MS;
+        if (k >= split && hourOf(t) === 0) {
+            for (let h = 1; h <= HORIZON && k + h - 1 < values.length; h++) {
+                const y = values[k + h - 1];
+                if (isNaN(y)) continue;
+                const e = y - project(state, params, h, hourOf(t + (h - 1) * HOUR_MS));
+                sq[h - 1] += e * e;
+                counts[h - 1]++;
+            }
+        }
+        step(state, params, values[k], hourOf(t));
+    }
+
+    // RMSE per lead, never narrower than at a shorter lead
+    const sigma = [];
+    let floor = Math.sqrt(best.mse);
+    for (let h = 0; h < HORIZON; h++) {
+        const rmse = counts[h] ? Math.sqrt(sq[h] / counts[h]) : floor;
+        floor = Math.max(floor, rmse);
+        sigma.push(floor);
+    }
+
+    // Seasonal offsets centred on zero — the trained diurnal cycle
+    const offset = state.seasonal.reduce((a, b) => a + b, 0) / PERIOD;
+
+    let n = 0;
+    for (const v of values) if (!isNaN(v)) n++;
+
+    return {
+        ...params,
+        period: PERIOD,
+        seasonal: state.seasonal.map((s) => round(s - offset)),
+        sigma: toJson(sigma),
+        trainedOn: {
+            first: new Date(t0).toISOString(),
+            last: new Date(t0 + (values.length - 1) * HOUR_MS).toISOString(),
+            observations: n,
+        },
+    };
+}
+
+/**
+ * Forecast models for the requested fields of a station. Each model is
+ * fitted once per archive; concurrent requests share the fit in progress.
+ *
+ * @param {string[]}      filePaths
+ * @param {string[]|null} fields     default: FORECAST_FIELDS the archive has
+ * @returns {Promise<{ fields: string[], coverage: object|null, models: Record<string, object|null> }>}
+ * @throws {Error} with `status` 400 for unknown fields
+ */
+async function readForecastModels(filePaths, fields) {
+    const archive = await getStationArchive(filePaths);
+    const requested = fields ?? FORECAST_FIELDS.filter((f) => archive.fields.includes(f));
+
+    const unknown = requested.filter((f) => !archive.fields.includes(f));
+    if (unknown.length) {
+        const err = new Error(`Unknown fields: ${unknown.join(", ")}`);
+        err.status = 400;
+        throw err;
+    }
+
+    if (!archive.forecast) archive.forecast = {};
+    const models = {};
+    for (const f of requested) {
+        if (archive.forecast[f] === undefined) {
+            const { t0, values } = hourlyTail(archive.times, archive.columns[f], archive.qc[f], FIT_DAYS);
+            archive.forecast[f] = fitModel(t0, values);
+        }
+        models[f] = await archive.forecast[f];
+    }
+
+    return { fields: requested, coverage: archiveCoverage(archive), models };
+}
+
+module.exports = {
+    PERIOD,
+    HORIZON,
+    FIT_DAYS,
+    FORECAST_FIELDS,
+    fitModel,
+    readForecastModels,
+};
@@ -0,0 +1,211 @@
+/**
+ * lib/heatwaves.js
+ * Marine heatwave detection (Hobday et al. 2016, categories per Hobday et al.
+ * 2018) on a station's daily-mean SST, behind /api/heatwaves.
+ *
+ *   threshold  90th percentile of daily means within an 11-day window around
+ *              each day of year, pooled over the whole archive, then smoothed
+ *              with a 31-day running mean — as is the climatological mean
+ *   event      ≥ 5 consecutive days above the threshold; events separated by
+ *              ≤ 2 days below it are joined into one
+ *   category   peak intensity as a multiple of (threshold − mean) on the peak
+ *              day: < 2 moderate · < 3 strong · < 4 severe · ≥ 4 extreme
+ *
+ * Live rows are checked here too (readLiveHeatwaves, behind /api/buoy) with
+ * the same detection and the station's archive threshold, so both views
+ * follow one set of rules.
+ */
+
+const { getStationArchive } = require("./historicalStore");
+const {
+    DAYS, DAY_MS, HALF_WINDOW, SMOOTH_DAYS,
+    dayOfYearIndex, dailyMeans, smoothCircular, round, toJson, archiveCoverage,
+} = require("./climatology");
+const { passingRowValues } = require("./qc");
+const { toUtcMs } = require("./openMeteo");
+
+const PERCENTILE = 90;
+const MIN_DURATION = 5;     // days
+const MAX_GAP = 2;          // days between events that are still joined
+const CATEGORIES = ["moderate", "strong", "severe", "extreme"];
+
+/** Linear-interpolated percentile of an ascending array. */
+function percentile(sorted, p) {
+    if (!sorted.length) return NaN;
+    const pos = (sorted.length - 1) * (p / 100);
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Day-of-year climatological mean and 90th-percentile threshold of daily means.
+ * @param {{ days: number[], values: number[] }} daily  from dailyMeans()
+ * @returns {{ mean: Float64Array, threshold: Float64Array }}
+ */
+function buildThreshold(daily) {
+    const byDay = Array.from({ length: DAYS }, () => []);
+    daily.days.forEach((t, i) => byDay[dayOfYearIndex(t)].push(daily.values[i]));
+
+    const mean = new Float64Array(DAYS);
+    const threshold = new Float64Array(DAYS);
+    for (let d = 0; d < DAYS; d++) {
+        const pool = [];
+        for (let k = -HALF_WINDOW; k <= HALF_WINDOW; k++) {
+            pool.push(...byDay[(d + k + DAYS) % DAYS]);
+        }
+        pool.sort((a, b) => a - b);
+        mean[d] = pool.length ? pool.reduce((a, b) => a + b, 0) / pool.length : NaN;
+        threshold[d] = percentile(pool, PERCENTILE);
+    }
+
+    return { mean: smoothCircular(mean, SMOOTH_DAYS), threshold: smoothCircular(threshold, SMOOTH_DAYS) };
+}
+
+/**
+ * Find marine heatwaves in a daily series.
+ *
+ * @param {{ days: number[], values: number[] }} daily   ascending, UTC day starts
+ * @param {{ mean: ArrayLike<number>, threshold: ArrayLike<number> }} clim
+ * @returns {Array<{
+ *   start: string, end: string, peak: string, duration: number,
+ *   intensityMax: number, intensityMean: number, intensityCumulative: number,
+ *   category: string,
+ * }>}  intensities in °C above the climatological mean; cumulative in °C·days
+ */
+function detectHeatwaves(daily, clim) {
+    // Runs of consecutive days above the threshold
+    const runs = [];
+    let run = null;
+    daily.days.forEach((t, i) => {
+        const thr = clim.threshold[dayOfYearIndex(t)];
+        const above = thr != null && !isNaN(thr) && daily.values[i] > thr;
+        if (run && (!above || t - run.endT > DAY_MS)) {
+            if (run.length >= MIN_DURATION) runs.push(run);
+            run = null;
+        }
+        if (!above) return;
+        if (!run) run = { from: i, to: i, startT: t, endT: t, length: 0 };
+        run.to = i;
+        run.endT = t;
+        run.length++;
+    });
+    if (run && run.length >= MIN_DURATION) runs.push(run);
+
+    // Join events separated by short dips below the threshold
+    const joined = [];
+    for (const r of runs) {
+        const prev = joined[joined.length - 1];
+        if (prev && (r.startT - prev.endT) / DAY_MS - 1 <= MAX_GAP) {
+            prev.to = r.to;
+            prev.endT = r.endT;
+        } else {
+            joined.push({ ...r });
+        }
+    }
+
+    return joined.map((e) => {
+        let max = -Infinity, sum = 0, n = 0, peakT = e.startT, peakDiff = NaN;
+        for (let i = e.from; i <= e.to; i++) {
+            const d = dayOfYearIndex(daily.days[i]);
+            const intensity = daily.values[i] - clim.mean[d];
+            sum += intensity;
+            n++;
+            if (intensity > max) {
+                max = intensity;
+                peakT = daily.days[i];
+                peakDiff = clim.threshold[d] - clim.mean[d];
+            }
+        }
+        const ratio = peakDiff > 0 ? max / peakDiff : 1;
+        return {
+            start: new Date(e.startT).toISOString(),
+            end: new Date(e.endT).toISOString(),
+            peak: new Date(peakT).toISOString(),
+            duration: Math.round((e.endT - e.startT) / DAY_MS) + 1,
+            intensityMax: round(max),
+            intensityMean: round(sum / n),
+            intensityCumulative: round(sum),
+            category: CATEGORIES[Math.min(3, Math.max(0, Math.floor(ratio) - 1))],
+        };
+    });
+}
+
+/**
+ * Marine heatwaves in a station's archive, optionally limited to events
+ * overlapping [start, end]. Detection always runs on the whole record, so
+ * events crossing the range edges keep their full extent.
+ *
+ * @param {string[]} filePaths
+ * @param {{ field: string, start: Date|null, end: Date|null }} options
+ * @returns {Promise<{ coverage: object|null, threshold: object, events: Array<object> }>}
+ * @throws {Error} with `status` 400 for an unknown field
+ */
+async function readHeatwaves(filePaths, { field, start, end }) {
+    const archive = await getStationArchive(filePaths);
+    if (!archive.fields.includes(field)) {
+        const err = new Error(`Unknown field: ${field}`);
+        err.status = 400;
+        throw err;
+    }
+
+    const { threshold, events } = archiveHeatwaves(archive, field);
+    const from = start ? start.getTime() : -Infinity;
+    const to = end ? end.getTime() : Infinity;
+
+    return {
+        coverage: archiveCoverage(archive),
+        threshold: { percentile: PERCENTILE, window: 2 * HALF_WINDOW + 1, smoothing: SMOOTH_DAYS, ...threshold },
+        events: events.filter((e) => Date.parse(e.end) + DAY_MS > from && Date.parse(e.start) <= to),
+    };
+}
+
+/**
+ * Marine heatwaves in live /api/buoy rows, against the threshold of the
+ * station's archive. Only rows up to `now` count — the forecast days are
+ * not observations. The live window is only a few days long, so this
+ * mostly finds an event already under way.
+ *
+ * @param {string[]} filePaths  the station's archive
+ * @param {Array<object>} rows  flagged live rows at the station, station-local timestamps
+ * @param {number} utcOffsetSeconds
+ * @param {{ field?: string, key?: string, now?: number }} [options]  archive field and row key holding SST
+ * @returns {Promise<Array<object>>}  events in the readHeatwaves shape; none when the archive lacks `field`
+ */
+async function readLiveHeatwaves(filePaths, rows, utcOffsetSeconds, {
+    field = "WTMP", key = "sea_surface_temp", now = Date.now(),
+} = {}) {
+    const archive = await getStationArchive(filePaths);
+    if (!archive.fields.includes(field)) return [];
+
+    const { clim } = archiveHeatwaves(archive, field);
+    const observed = rows.filter((r) => toUtcMs(r.timestamp, utcOffsetSeconds) <= now);
+    const times = observed.map((r) => toUtcMs(r.timestamp, utcOffsetSeconds));
+    return detectHeatwaves(dailyMeans(times, passingRowValues(observed, key)), clim);
+}
+
+/** Threshold curves and events of one archive field, built once and kept on the archive. */
+function archiveHeatwaves(archive, field) {
+    if (!archive.heatwaves) archive.heatwaves = {};
+    if (!archive.heatwaves[field]) {
+        const daily = dailyMeans(archive.times, archive.columns[field], archive.qc[field]);
+        const clim = buildThreshold(daily);
+        archive.heatwaves[field] = {
+            clim,
+            threshold: { mean: toJson(clim.mean), threshold: toJson(clim.threshold) },
+            events: detectHeatwaves(daily, clim),
+        };
+    }
+    return archive.heatwaves[field];
+}
+
+module.exports = {
+    PERCENTILE,
+    MIN_DURATION,
+    MAX_GAP,
+    CATEGORIES,
+    buildThreshold,
+    detectHeatwaves,
+    readHeatwaves,
+    readLiveHeatwaves,
+};
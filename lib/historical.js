@@ -0,0 +1,196 @@
+/**
+ * lib/historical.js
+ * Query layer for the per-station historical archives behind /api/buoy-historical.
+ * Shared by server.js, api/index.js and the api/buoy-historical.js handler.
+ * Rows are served from the cached columnar index in lib/historicalStore.js.
+ */
+
+const { parseTimestamp, getStationArchive, rangeIndices } = require("./historicalStore");
+const { summarizeDrops } = require("./clean");
+const { QC, summarizeFlags } = require("./qc");
+
+const RESOLUTIONS = ["raw", "hourly", "daily", "monthly"];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate the query string of /api/buoy-historical.
+ *
+ *   station     station id from lib/stations.js   (default: ndbc_46042)
+ *   start       ISO date/time, inclusive           (default: archive start)
+ *   end         ISO date/time; a bare date covers the whole day (default: archive end)
+ *   fields      comma-separated column list        (default: every column)
+ *   resolution  raw | hourly | daily | monthly     (default: raw)
+ *
+ * @returns {{ error: string } | { options: { start: Date|null, end: Date|null, fields: string[]|null, resolution: string } }}
+ */
+function parseHistoricalQuery(query = {}) {
+    let start = null;
+    let end = null;
+
+    if (query.start) {
+        start = parseTimestamp(query.start);
+        if (!start) return { error: `Invalid start date: ${query.start}` };
+    }
+    if (query.end) {
+        end = parseTimestamp(query.end);
+        if (!end) return { error: `Invalid end date: ${query.end}` };
+        // A bare date means "through the end of that day"
+        if (DATE_ONLY.test(String(query.end).trim())) {
+            end = new Date(end.getTime() + 24 * 60 * 60 * 1000 - 1);
+        }
+    }
+    if (start && end && start > end) {
+        return { error: "start must be before end" };
+    }
+
+    const resolution = (query.resolution || "raw").toLowerCase();
+    if (!RESOLUTIONS.includes(resolution)) {
+        return { error: `resolution must be one of: ${RESOLUTIONS.join(", ")}` };
+    }
+
+    return { options: { start, end, fields: parseFields(query.fields), resolution } };
+}
+
+/** Comma-separated `fields` query param → column list, or null for "all". */
+function parseFields(value) {
+    return value
+        ? String(value).split(",").map((f) => f.trim()).filter(Boolean)
+        : null;
+}
+
+/** Start of the bucket an epoch-ms time falls into, in epoch ms. */
+function bucketStart(t, resolution) {
+    const d = new Date(t);
+    const y = d.getUTCFullYear();
+    const m = d.getUTCMonth();
+    switch (resolution) {
+        case "hourly": return Date.UTC(y, m, d.getUTCDate(), d.getUTCHours());
+        case "daily": return Date.UTC(y, m, d.getUTCDate());
+        case "monthly": return Date.UTC(y, m, 1);
+        default: return t;
+    }
+}
+
+/**
+ * Build output rows for archive indices [from, to). Every field `f` comes
+ * with its QC flag as `f_qc`. At `raw` resolution every row is returned
+ * as-is; otherwise rows are averaged into time buckets, each carrying the
+ * bucket start as `timestamp` and the mean of every requested field over
+ * its non-failed values (null when none are left). A bucket's flag is the
+ * worst flag among the values averaged, or fail / missing when none were.
+ *
+ * @param {import("./historicalStore").Archive} archive
+ * @param {string[]} fields
+ * @param {string}   resolution
+ * @param {number}   from
+ * @param {number}   to
+ */
+function aggregate(archive, fields, resolution, from, to) {
+    const { times, columns, qc } = archive;
+    const out = [];
+
+    if (resolution === "raw") {
+        for (let i = from; i < to; i++) {
+            const row = { timestamp: new Date(times[i]).toISOString() };
+            for (const f of fields) {
+                const v = columns[f][i];
+                row[f] = isNaN(v) ? null : v;
+                row[`${f}_qc`] = qc[f][i];
+            }
+            out.push(row);
+        }
+        return out;
+    }
+
+    // Rows are time-sorted, so each bucket is one contiguous run
+    let i = from;
+    while (i < to) {
+        const key = bucketStart(times[i], resolution);
+        const sums = {};
+        const counts = {};
+        const worst = {};
+        const anyFailed = {};
+        for (const f of fields) { sums[f] = 0; counts[f] = 0; worst[f] = 0; anyFailed[f] = false; }
+
+        while (i < to && bucketStart(times[i], resolution) === key) {
+            for (const f of fields) {
+                const flag = qc[f][i];
+                if (flag === QC.FAIL) { anyFailed[f] = true; continue; }
+                const v = columns[f][i];
+                if (isNaN(v)) continue;
+                sums[f] += v;
+                counts[f]++;
+                if (flag > worst[f]) worst[f] = flag;
+            }
+            i++;
+        }
+
+        const row = { timestamp: new Date(key).toISOString() };
+        for (const f of fields) {
+            row[f] = counts[f] ? sums[f] / counts[f] : null;
+            row[`${f}_qc`] = counts[f] ? worst[f] : anyFailed[f] ? QC.FAIL : QC.MISSING;
+        }
+        out.push(row);
+    }
+    return out;
+}
+
+/**
+ * Slice the archive to [start, end], keep the requested fields, and
+ * aggregate to the requested resolution.
+ *
+ * @param {import("./historicalStore").Archive} archive
+ * @param {ReturnType<typeof parseHistoricalQuery>["options"]} options
+ * @returns {{
+ *   fields: string[],
+ *   coverage: { first: string, last: string }|null,  — whole archive, not just the slice
+ *   quality: ReturnType<typeof summarizeDrops>,      — values dropped per field in the slice
+ *   qc: ReturnType<typeof summarizeFlags>,           — QC flag counts per field in the slice
+ *   data: Array<object>,
+ * }}
+ *   throws with `err.status = 400` when `fields` names unknown columns
+ */
+function queryArchive(archive, { start, end, fields, resolution }) {
+    const unknown = (fields || []).filter((f) => !archive.fields.includes(f));
+    if (unknown.length) {
+        const err = new Error(`Unknown field(s): ${unknown.join(", ")}. Available: ${archive.fields.join(", ")}`);
+        err.status = 400;
+        throw err;
+    }
+
+    const columns = fields || archive.fields;
+    const { times } = archive;
+    const coverage = times.length
+        ? { first: new Date(times[0]).toISOString(), last: new Date(times[times.length - 1]).toISOString() }
+        : null;
+
+    const { from, to } = rangeIndices(archive, start, end);
+    return {
+        fields: columns,
+        coverage,
+        quality: summarizeDrops(archive, columns, from, to),
+        qc: summarizeFlags(archive.qc, columns, from, to),
+        data: aggregate(archive, columns, resolution, from, to),
+    };
+}
+
+/**
+ * Load (or reuse) the cached archive built from `filePaths` — all archive
+ * files of one station — and run a query on it.
+ *
+ * @param {string[]} filePaths
+ * @returns {Promise<ReturnType<typeof queryArchive>>}
+ */
+async function readHistorical(filePaths, options) {
+    const archive = await getStationArchive(filePaths);
+    return queryArchive(archive, options);
+}
+
+module.exports = {
+    RESOLUTIONS,
+    parseHistoricalQuery,
+    parseFields,
+    queryArchive,
+    readHistorical,
+};
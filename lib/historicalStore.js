@@ -0,0 +1,272 @@
+/**
+ * lib/historicalStore.js
+ * In-memory, columnar index of the NDBC historical archive files.
+ *
+ * Each file — a merged CSV or a raw NDBC stdmet .txt (see lib/ndbcText.js) —
+ * is parsed once into a sorted Float64Array of epoch-ms timestamps plus one
+ * Float64Array per column (NaN = missing), cleaned of fill values and
+ * impossible readings by lib/clean.js, and kept in module scope.
+ * Each lookup stats the file and re-parses only when its mtime has changed,
+ * so dropping a new archive into data/ takes effect without a restart.
+ */
+
+const fs = require("fs");
+const csv = require("csv-parser");
+const { isStdmetFile, readStdmetText } = require("./ndbcText");
+const { DROP, cleanColumn } = require("./clean");
+const { flagArchive } = require("./qc");
+
+// Column names the archive has used for its time axis over the years
+const TIMESTAMP_KEYS = ["timestamp", "TIMESTAMP", "time", "DATE", "date"];
+
+const HAS_ZONE = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// filePath → { mtimeMs, promise: Promise<Archive> }
+const cache = new Map();
+
+// joined file paths → { signature, archive } for multi-file stations
+const mergedCache = new Map();
+
+/**
+ * Parse an archive timestamp. NDBC times are UTC, so strings without an
+ * explicit zone are read as UTC rather than server-local time.
+ * @returns {Date|null}
+ */
+function parseTimestamp(raw) {
+    if (raw === null || raw === undefined || raw === "") return null;
+    const str = String(raw).trim();
+    const iso = HAS_ZONE.test(str) ? str : `${str.replace(" ", "T")}Z`;
+    const d = new Date(iso);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+function toNumber(v) {
+    if (v === null || v === undefined || v === "") return NaN;
+    return Number(v);
+}
+
+/**
+ * @typedef {object} Archive
+ * @property {string}                       filePath
+ * @property {number}                       mtimeMs
+ * @property {string[]}                     fields   data columns (timestamp excluded)
+ * @property {Float64Array}                 times    epoch ms, ascending
+ * @property {Record<string, Float64Array>} columns  parallel to `times`, NaN = missing
+ * @property {Record<string, Uint8Array>}   drops    parallel to `times`, DROP reason per cell
+ * @property {Record<string, Uint8Array>}   [qc]     parallel to `times`, QC flag per cell (see lib/qc.js);
+ *                                                   set on the final per-station archive only
+ */
+
+/**
+ * Stream a merged-CSV archive into plain column arrays (file order).
+ * @returns {Promise<{ fields: string[], times: number[], raw: Record<string, number[]> }>}
+ */
+function readCsv(filePath) {
+    return new Promise((resolve, reject) => {
+        const times = [];
+        const raw = {};
+        let fields = [];
+        let tsKey = null;
+
+        fs.createReadStream(filePath)
+            .pipe(csv())
+            .on("headers", (headers) => {
+                tsKey = TIMESTAMP_KEYS.find((k) => headers.includes(k)) || null;
+                fields = headers.filter((h) => !TIMESTAMP_KEYS.includes(h));
+                for (const f of fields) raw[f] = [];
+            })
+            .on("data", (row) => {
+                const ts = tsKey ? parseTimestamp(row[tsKey]) : null;
+                if (!ts) return;
+                times.push(ts.getTime());
+                for (const f of fields) raw[f].push(toNumber(row[f]));
+            })
+            .on("end", () => resolve({ fields, times, raw }))
+            .on("error", reject);
+    });
+}
+
+/** Parse one archive file (CSV or stdmet text) and build its columnar index. */
+async function parseArchive(filePath, mtimeMs) {
+    const { fields, times, raw } = isStdmetFile(filePath)
+        ? await readStdmetText(filePath)
+        : await readCsv(filePath);
+
+    // Sort once by time so range lookups can binary-search
+    const order = times.map((_, i) => i).sort((a, b) => times[a] - times[b]);
+
+    const sortedTimes = Float64Array.from(order, (i) => times[i]);
+    const columns = {};
+    const drops = {};
+    for (const f of fields) {
+        columns[f] = Float64Array.from(order, (i) => raw[f][i]);
+        drops[f] = cleanColumn(f, columns[f]);
+    }
+
+    return { filePath, mtimeMs, fields, times: sortedTimes, columns, drops };
+}
+
+/**
+ * Return the parsed archive for `filePath`, re-parsing only when the file's
+ * mtime differs from the cached copy. Concurrent callers share one parse.
+ *
+ * @param {string} filePath
+ * @returns {Promise<Archive>}
+ */
+async function getArchive(filePath) {
+    const { mtimeMs } = await fs.promises.stat(filePath);
+
+    const entry = cache.get(filePath);
+    if (entry && entry.mtimeMs === mtimeMs) return entry.promise;
+
+    const promise = parseArchive(filePath, mtimeMs);
+    cache.set(filePath, { mtimeMs, promise });
+
+    // Don't keep a failed parse around — the next request should retry
+    promise.catch(() => {
+        if (cache.get(filePath)?.promise === promise) cache.delete(filePath);
+    });
+
+    return promise;
+}
+
+/**
+ * Combine several archives (e.g. a merged CSV plus yearly stdmet files)
+ * into one time-sorted archive. Columns missing from a file are NaN.
+ * Where files overlap, rows with the same timestamp are collapsed into
+ * one, taking each column from the first file that has a value for it.
+ *
+ * @param {Archive[]} archives  in priority order
+ * @returns {Archive}
+ */
+function mergeArchives(archives) {
+    const fields = [...new Set(archives.flatMap((a) => a.fields))];
+    const total = archives.reduce((n, a) => n + a.times.length, 0);
+
+    const allTimes = new Float64Array(total);
+    const allColumns = Object.fromEntries(fields.map((f) => [f, new Float64Array(total).fill(NaN)]));
+    const allDrops = Object.fromEntries(fields.map((f) => [f, new Uint8Array(total)]));
+
+    let offset = 0;
+    for (const a of archives) {
+        allTimes.set(a.times, offset);
+        for (const f of a.fields) {
+            allColumns[f].set(a.columns[f], offset);
+            allDrops[f].set(a.drops[f], offset);
+        }
+        offset += a.times.length;
+    }
+
+    // Stable sort keeps file priority among equal timestamps
+    const order = Array.from(allTimes.keys()).sort((a, b) => allTimes[a] - allTimes[b]);
+
+    const times = [];
+    const columns = Object.fromEntries(fields.map((f) => [f, []]));
+    const drops = Object.fromEntries(fields.map((f) => [f, []]));
+    for (const i of order) {
+        const t = allTimes[i];
+        const last = times.length - 1;
+        if (last >= 0 && times[last] === t) {
+            for (const f of fields) {
+                if (!isNaN(columns[f][last])) continue;
+                if (!isNaN(allColumns[f][i])) {
+                    columns[f][last] = allColumns[f][i];
+                    drops[f][last] = DROP.NONE;
+                } else if (drops[f][last] === DROP.NONE) {
+                    drops[f][last] = allDrops[f][i];
+                }
+            }
+            continue;
+        }
+        times.push(t);
+        for (const f of fields) {
+            columns[f].push(allColumns[f][i]);
+            drops[f].push(allDrops[f][i]);
+        }
+    }
+
+    return {
+        filePath: null,
+        mtimeMs: null,
+        fields,
+        times: Float64Array.from(times),
+        columns: Object.fromEntries(fields.map((f) => [f, Float64Array.from(columns[f])])),
+        drops: Object.fromEntries(fields.map((f) => [f, Uint8Array.from(drops[f])])),
+    };
+}
+
+/**
+ * QC flags depend on neighbouring observations, so they are computed once on
+ * the final (possibly merged) archive and memoized on it.
+ */
+function withQc(archive) {
+    if (!archive.qc) archive.qc = flagArchive(archive);
+    return archive;
+}
+
+/**
+ * Return the QC-flagged archive for a station made up of one or more files.
+ * Each file is cached (and invalidated) on its own; the merged view is
+ * rebuilt only when one of its files has been re-parsed.
+ *
+ * @param {string[]} filePaths
+ * @returns {Promise<Archive>}
+ */
+async function getStationArchive(filePaths) {
+    if (filePaths.length === 1) return withQc(await getArchive(filePaths[0]));
+
+    const archives = await Promise.all(filePaths.map(getArchive));
+    const key = filePaths.join("|");
+    const signature = archives.map((a) => a.mtimeMs).join("|");
+
+    const entry = mergedCache.get(key);
+    if (entry && entry.signature === signature) return entry.archive;
+
+    const archive = withQc(mergeArchives(archives));
+    mergedCache.set(key, { signature, archive });
+    return archive;
+}
+
+/** First index whose time is >= t. */
+function lowerBound(times, t) {
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (times[mid] < t) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/** First index whose time is > t. */
+function upperBound(times, t) {
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (times[mid] <= t) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Index range [from, to) of archive rows inside [start, end].
+ * @param {Archive}   archive
+ * @param {Date|null} start
+ * @param {Date|null} end
+ */
+function rangeIndices(archive, start, end) {
+    const from = start ? lowerBound(archive.times, start.getTime()) : 0;
+    const to = end ? upperBound(archive.times, end.getTime()) : archive.times.length;
+    return { from, to: Math.max(from, to) };
+}
+
+module.exports = {
+    TIMESTAMP_KEYS,
+    parseTimestamp,
+    getArchive,
+    getStationArchive,
+    rangeIndices,
+};
@@ -0,0 +1,129 @@
+/**
+ * lib/liveCache.js
+ * In-memory cache in front of the live upstream behind /api/buoy.
+ *
+ * Entries are keyed by the coordinate rounded to 0.01° and stay fresh until
+ * shortly after the next top of the hour, when Open-Meteo publishes its next
+ * hourly update. Concurrent misses for one key share a single upstream call.
+ * When a refresh fails the last good entry is served, marked stale, for up
+ * to MAX_STALE_HOURS, and the upstream is left alone for RETRY_AFTER_SECONDS
+ * before it is tried again. Incomplete results (one upstream API down) are
+ * kept for RETRY_AFTER_SECONDS only, so the missing fields come back soon.
+ */
+
+const crypto = require("crypto");
+
+const HOUR_MS = 60 * 60 * 1000;
+const UPDATE_LAG_MINUTES = 10;      // Open-Meteo's hourly update lands a few minutes past the hour
+const MAX_STALE_HOURS = 24;
+const RETRY_AFTER_SECONDS = 60;
+
+/** Cache key for a coordinate pair, to 0.01°. */
+function cacheKey(lat, lon) {
+    return `${lat.toFixed(2)},${lon.toFixed(2)}`;
+}
+
+/** When an entry fetched at `fetchedAt` goes stale: the next hourly update after it. */
+function expiryFor(fetchedAt) {
+    const lag = UPDATE_LAG_MINUTES * 60 * 1000;
+    return Math.floor((fetchedAt - lag) / HOUR_MS) * HOUR_MS + HOUR_MS + lag;
+}
+
+/**
+ * @param {(lat: number, lon: number) => Promise<object>} load  the upstream fetch
+ * @param {{ isComplete?: (value: object) => boolean }} [options]
+ * @returns {{ get: (lat: number, lon: number) => Promise<{
+ *   value: object, fetchedAt: number, expiresAt: number, status: "HIT"|"MISS"|"STALE",
+ * }> }}
+ */
+function createLiveCache(load, { isComplete = () => true } = {}) {
+    const entries = new Map();      // key → { value, fetchedAt, expiresAt, failedAt }
+    const inFlight = new Map();     // key → Promise of the entry being loaded
+
+    function refresh(key, lat, lon) {
+        if (!inFlight.has(key)) {
+            const pending = load(lat, lon)
+                .then((value) => {
+                    const fetchedAt = Date.now();
+                    const expiresAt = isComplete(value)
+                        ? expiryFor(fetchedAt)
+                        : fetchedAt + RETRY_AFTER_SECONDS * 1000;
+                    const entry = { value, fetchedAt, expiresAt, failedAt: 0 };
+                    entries.set(key, entry);
+                    return entry;
+                })
+                .finally(() => inFlight.delete(key));
+            inFlight.set(key, pending);
+        }
+        return inFlight.get(key);
+    }
+
+    function prune(now) {
+        for (const [key, entry] of entries) {
+            if (now - entry.expiresAt > MAX_STALE_HOURS * HOUR_MS) entries.delete(key);
+        }
+    }
+
+    async function get(lat, lon) {
+        const key = cacheKey(lat, lon);
+        const now = Date.now();
+        prune(now);
+
+        const cached = entries.get(key);
+        if (cached && now < cached.expiresAt) return { ...cached, status: "HIT" };
+
+        // Upstream failed a moment ago — don't hit it again yet
+        if (cached && now - cached.failedAt < RETRY_AFTER_SECONDS * 1000) return { ...cached, status: "STALE" };
+
+        try {
+            return { ...(await refresh(key, lat, lon)), status: "MISS" };
+        } catch (err) {
+            if (!cached) throw err;
+            cached.failedAt = Date.now();
+            console.error(`Live cache: serving stale ${key} after upstream error:`, err.message);
+            return { ...cached, status: "STALE" };
+        }
+    }
+
+    return { get };
+}
+
+/**
+ * Send a cached JSON payload with Cache-Control / ETag headers, answering
+ * 304 when the client's If-None-Match already matches. Works on Express and
+ * on plain Node (Vercel) responses.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {{ expiresAt: number, status: string }} entry  from LiveCache.get
+ * @param {object} payload
+ */
+function sendCached(req, res, entry, payload) {
+    const body = JSON.stringify(payload);
+    const etag = `"${crypto.createHash("sha1").update(body).digest("hex").slice(0, 20)}"`;
+    const maxAge = entry.status === "STALE"
+        ? RETRY_AFTER_SECONDS
+        : Math.max(0, Math.round((entry.expiresAt - Date.now()) / 1000));
+
+    res.setHeader("Cache-Control", `public, max-age=${maxAge}, stale-if-error=${MAX_STALE_HOURS * 3600}`);
+    res.setHeader("ETag", etag);
+    res.setHeader("X-Cache", entry.status);
+
+    const match = req.headers["if-none-match"];
+    if (match && match.split(",").some((tag) => tag.trim().replace(/^W\//, "") === etag)) {
+        res.statusCode = 304;
+        return res.end();
+    }
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    return res.end(body);
+}
+
+module.exports = {
+    UPDATE_LAG_MINUTES,
+    MAX_STALE_HOURS,
+    cacheKey,
+    expiryFor,
+    createLiveCache,
+    sendCached,
+};
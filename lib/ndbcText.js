@@ -0,0 +1,107 @@
+/**
+ * lib/ndbcText.js
+ * Reader for NDBC standard meteorological ("stdmet") text files — the
+ * whitespace-delimited yearly downloads such as 46042h2023.txt(.gz):
+ *
+ *   #YY  MM DD hh mm WDIR WSPD GST  WVHT   DPD   APD MWD   PRES  ATMP  WTMP  DEWP  VIS  TIDE
+ *   #yr  mo dy hr mn degT m/s  m/s     m   sec   sec degT   hPa  degC  degC  degC   mi    ft
+ *   2023 01 01 00 00 287  7.1  9.0  2.31 12.50  8.10 287 1019.6  13.1  13.4 999.0 99.0 99.00
+ *
+ * Handles the format's history: pre-2007 files with a single un-prefixed
+ * header line, 2-digit years (pre-1999), no minute column (pre-2005) and
+ * the old WD/BAR column names. `MM` is read as missing; the numeric fill
+ * values (99.0 / 999.0 / 9999.0) are left for lib/clean.js, which strips
+ * them from every archive format alike and keeps count of what it dropped.
+ */
+
+const fs = require("fs");
+const zlib = require("zlib");
+const readline = require("readline");
+
+// Legacy header names → current ones
+const HEADER_ALIASES = { YYYY: "YY", WD: "WDIR", BAR: "PRES" };
+
+const TIME_COLUMNS = ["YY", "MM", "DD", "hh", "mm"];
+
+/** True for file names this reader understands. */
+function isStdmetFile(filePath) {
+    return /\.txt(\.gz)?$/i.test(filePath);
+}
+
+function toYear(token) {
+    const y = parseInt(token, 10);
+    if (y >= 100) return y;
+    // 2-digit years only appear in files from before 1999
+    return y >= 50 ? 1900 + y : 2000 + y;
+}
+
+function toValue(token) {
+    if (token === undefined || token === "MM") return NaN;
+    return Number(token);
+}
+
+/**
+ * Read one stdmet file into plain column arrays (unsorted, file order).
+ *
+ * @param {string} filePath  .txt or .txt.gz
+ * @returns {Promise<{ fields: string[], times: number[], raw: Record<string, number[]> }>}
+ */
+function readStdmetText(filePath) {
+    return new Promise((resolve, reject) => {
+        let input = fs.createReadStream(filePath);
+        input.on("error", reject);
+        if (/\.gz$/i.test(filePath)) {
+            input = input.pipe(zlib.createGunzip());
+            input.on("error", reject);
+        }
+
+        const times = [];
+        const raw = {};
+        let header = null;
+        let index = {};
+        let fields = [];
+
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+        lines.on("line", (line) => {
+            const trimmed = line.trim();
+            if (!trimmed) return;
+
+            // Header: first line starting with '#' or a letter; a second '#' line holds units
+            if (trimmed.startsWith("#") || /^[A-Za-z]/.test(trimmed)) {
+                if (header) return;
+                header = trimmed.replace(/^#/, "").split(/\s+/).map((h) => HEADER_ALIASES[h] || h);
+                index = Object.fromEntries(header.map((h, i) => [h, i]));
+                fields = header.filter((h) => !TIME_COLUMNS.includes(h));
+                for (const f of fields) raw[f] = [];
+                return;
+            }
+            if (!header) return;
+
+            const tokens = trimmed.split(/\s+/);
+            const col = (name) => tokens[index[name]];
+
+            const year = toYear(col("YY"));
+            const month = parseInt(col("MM"), 10);
+            const day = parseInt(col("DD"), 10);
+            const hour = parseInt(col("hh"), 10);
+            const minute = "mm" in index ? parseInt(col("mm"), 10) : 0;
+
+            const t = Date.UTC(year, month - 1, day, hour, minute);
+            if (isNaN(t)) return;
+
+            times.push(t);
+            for (const f of fields) raw[f].push(toValue(col(f)));
+        });
+
+        lines.on("close", () => {
+            if (!header) return reject(new Error(`No stdmet header found in ${filePath}`));
+            resolve({ fields, times, raw });
+        });
+    });
+}
+
+module.exports = {
+    isStdmetFile,
+    readStdmetText,
+};
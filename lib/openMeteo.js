@@ -0,0 +1,172 @@
+/**
+ * lib/openMeteo.js
+ * Live hourly conditions for a coordinate from the Open-Meteo Marine and
+ * Forecast APIs: the past 2 days plus a 3-day forecast, merged into the
+ * /api/buoy row shape (FIELD_SOURCES).
+ *
+ * Timestamps are the location's local time (timezone: auto) without an
+ * offset; `utcOffsetSeconds` turns them into UTC. The requests go through
+ * a data provider (lib/providers.js), the real APIs unless told otherwise.
+ *
+ * The two APIs fail independently: transient errors (network, timeouts, 429,
+ * 5xx) are retried with exponential backoff, and if one API still fails the
+ * rows carry null for the fields only it supplies, with `availability`
+ * saying which fields are missing and why.
+ */
+
+const { openMeteoProvider } = require("./providers");
+
+const RETRY_ATTEMPTS = 3;
+const RETRY_BASE_MS = 500;          // 0.5 s, then 1 s
+
+// Row field → [api, Open-Meteo variable] sources, in order of preference.
+// Directions are degrees clockwise from north: wind and waves the direction
+// they come from, ocean currents the direction they flow towards
+const FIELD_SOURCES = {
+    sea_surface_temp: [["marine", "sea_surface_temperature"], ["weather", "sea_surface_temperature"]],
+    air_temp: [["weather", "temperature_2m"]],
+    wind_speed: [["weather", "wind_speed_10m"]],
+    wind_direction: [["weather", "wind_direction_10m"]],
+    air_pressure: [["weather", "surface_pressure"]],
+    wave_height: [["marine", "wave_height"]],
+    wind_wave_height: [["marine", "wind_wave_height"]],
+    swell_wave_height: [["marine", "swell_wave_height"]],
+    wave_period: [["marine", "wave_period"]],
+    wave_direction: [["marine", "wave_direction"]],
+    current_velocity: [["marine", "ocean_current_velocity"]],        // km/h
+    current_direction: [["marine", "ocean_current_direction"]],
+};
+
+/** Network failures, timeouts, 429 and 5xx are worth another try; anything else isn't. */
+function isTransient(err) {
+    if (!err.isAxiosError) return false;
+    const status = err.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+async function withRetry(fn) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= RETRY_ATTEMPTS || !isTransient(err)) throw err;
+            await new Promise((resolve) => setTimeout(resolve, RETRY_BASE_MS * 2 ** (attempt - 1)));
+        }
+    }
+}
+
+/**
+ * @param {number} lat
+ * @param {number} lon
+ * @param {{ fetch: (api: string, params: object) => Promise<object> }} [provider]
+ * @returns {Promise<{
+ *   rows: Array<object>, utcOffsetSeconds: number, partial: boolean,
+ *   availability: Record<string, { available: boolean, source: string|null, reason?: string }>,
+ *   current: { time: string, wave_height: number, wave_direction: number, wave_period: number }|null,
+ * }>}  `partial` when either API failed; `current` is the marine API's latest sea state
+ * @throws {Error} when both API calls fail
+ */
+async function fetchOpenMeteo(lat, lon, provider = openMeteoProvider) {
+    const params = {
+        latitude: lat,
+        longitude: lon,
+        hourly: [
+            "wave_height",
+            "wind_wave_height",
+            "swell_wave_height",
+            "wave_period",
+            "wave_direction",
+            "sea_surface_temperature",
+            "ocean_current_velocity",
+            "ocean_current_direction",
+        ].join(","),
+        current: [
+            "wave_height",
+            "wave_direction",
+            "wave_period",
+        ].join(","),
+        past_days: 2,
+        forecast_days: 3,
+        timezone: "auto",
+    };
+
+    const weatherParams = {
+        latitude: lat,
+        longitude: lon,
+        hourly: [
+            "temperature_2m",
+            "wind_speed_10m",
+            "wind_direction_10m",
+            "surface_pressure",
+            "sea_surface_temperature",
+        ].join(","),
+        past_days: 2,
+        forecast_days: 3,
+        timezone: "auto",
+    };
+
+    const [marineRes, weatherRes] = await Promise.allSettled([
+        withRetry(() => provider.fetch("marine", params)),
+        withRetry(() => provider.fetch("weather", weatherParams)),
+    ]);
+    if (marineRes.status === "rejected" && weatherRes.status === "rejected") {
+        throw new Error(`marine: ${marineRes.reason.message}; weather: ${weatherRes.reason.message}`);
+    }
+    const bodies = {
+        marine: marineRes.status === "fulfilled" ? marineRes.value : null,
+        weather: weatherRes.status === "fulfilled" ? weatherRes.value : null,
+    };
+    const errors = {
+        marine: marineRes.reason?.message,
+        weather: weatherRes.reason?.message,
+    };
+    for (const api of ["marine", "weather"]) {
+        if (errors[api]) console.error(`Open-Meteo ${api} unavailable:`, errors[api]);
+    }
+
+    // Merge sequences on the weather time axis (marine's if weather failed);
+    // each field from its first source with a value at that hour
+    const series = (api, variable) => bodies[api]?.hourly?.[variable];
+    const times = (bodies.weather ?? bodies.marine).hourly?.time ?? [];
+    const rows = times.map((t, i) => {
+        const row = { timestamp: t };
+        for (const [field, sources] of Object.entries(FIELD_SOURCES)) {
+            row[field] = null;
+            for (const [api, variable] of sources) {
+                const v = series(api, variable)?.[i];
+                if (v !== null && v !== undefined) {
+                    row[field] = v;
+                    break;
+                }
+            }
+        }
+        return row;
+    });
+
+    const availability = {};
+    for (const [field, sources] of Object.entries(FIELD_SOURCES)) {
+        const source = sources.find(([api, variable]) => series(api, variable)?.some((v) => v !== null));
+        const failed = sources.filter(([api]) => errors[api]).map(([api]) => `${api} API: ${errors[api]}`);
+        availability[field] = source
+            ? { available: true, source: source[0] }
+            : { available: false, source: null, reason: failed.length ? failed.join("; ") : "no data at this location" };
+    }
+
+    return {
+        rows,
+        utcOffsetSeconds: (bodies.weather ?? bodies.marine).utc_offset_seconds ?? 0,
+        partial: Boolean(errors.marine || errors.weather),
+        availability,
+        current: bodies.marine?.current ?? null,
+    };
+}
+
+/** Epoch ms (UTC) of an Open-Meteo local timestamp. */
+function toUtcMs(timestamp, utcOffsetSeconds) {
+    return Date.parse(`${timestamp}Z`) - utcOffsetSeconds * 1000;
+}
+
+module.exports = {
+    fetchOpenMeteo,
+    toUtcMs,
+};
@@ -0,0 +1,311 @@
+/**
+ * lib/providers.js
+ * Pluggable upstreams for the live data. Every provider answers the same two
+ * Open-Meteo requests — "marine" and "weather", with Open-Meteo query params
+ * — with an Open-Meteo-shaped body, so /api/buoy, /api/fisheries and all
+ * the logging downstream work the same whichever one is configured
+ * (DATA_PROVIDER):
+ *
+ *   openmeteo  the real APIs (default)
+ *   record     the real APIs, each response also saved to the fixture
+ *              directory (FIXTURE_DIR, default data/fixtures)
+ *   replay     the saved responses, moved forward so the hour they were
+ *              recorded at is now; never touches the network
+ *   ndbc       the archive of the station nearest the coordinate
+ *              (lib/stations.js), same calendar hours of its latest year
+ *   synthetic  deterministic generated series — no files, no network
+ *
+ * Only `live` providers (real upstream data) feed the forecast log and the
+ * snapshot archive.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const { getStationArchive, rangeIndices } = require("./historicalStore");
+const { STATIONS, resolveStationFiles } = require("./stations");
+
+const URLS = {
+    marine: "https://marine-api.open-meteo.com/v1/marine",
+    weather: "https://api.open-meteo.com/v1/forecast",
+};
+const TIMEOUT_MS = 10000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const PROVIDERS = ["openmeteo", "record", "replay", "ndbc", "synthetic"];
+const DEFAULT_PROVIDER = "openmeteo";
+
+function unknownApi(api) {
+    const err = new Error(`Unknown upstream API: ${api}`);
+    err.status = 400;
+    return err;
+}
+
+// ─── Helpers for generated bodies ─────────────────────────────────────────────
+
+/** Open-Meteo local time string for a UTC epoch ms (bodies are served in UTC). */
+const formatTime = (t) => new Date(t).toISOString().slice(0, 16);
+
+const listParam = (value) => (value ? String(value).split(",").map((v) => v.trim()).filter(Boolean) : []);
+
+/** Hours Open-Meteo would return: from midnight `past_days` ago for past + forecast days. */
+function hourlyWindow(params, now) {
+    const past = Number(params.past_days ?? 0);
+    const days = past + Number(params.forecast_days ?? 7);
+    const start = Math.floor(now / DAY_MS) * DAY_MS - past * DAY_MS;
+    return Array.from({ length: days * 24 }, (_, i) => start + i * HOUR_MS);
+}
+
+/**
+ * Open-Meteo-shaped body from a value function.
+ * @param {(variable: string, t: number) => number|null} valueAt
+ */
+function buildBody(params, now, valueAt) {
+    const times = hourlyWindow(params, now);
+    const body = {
+        latitude: Number(params.latitude),
+        longitude: Number(params.longitude),
+        utc_offset_seconds: 0,
+        timezone: "GMT",
+        hourly: { time: times.map(formatTime) },
+    };
+    for (const v of listParam(params.hourly)) body.hourly[v] = times.map((t) => valueAt(v, t));
+
+    const current = listParam(params.current);
+    if (current.length) {
+        const hour = Math.floor(now / HOUR_MS) * HOUR_MS;
+        body.current = { time: formatTime(hour) };
+        for (const v of current) body.current[v] = valueAt(v, hour);
+    }
+    return body;
+}
+
+// ─── openmeteo ────────────────────────────────────────────────────────────────
+const openMeteoProvider = {
+    name: "openmeteo",
+    live: true,
+    async fetch(api, params) {
+        if (!URLS[api]) throw unknownApi(api);
+        const res = await axios.get(URLS[api], { params, timeout: TIMEOUT_MS });
+        return res.data;
+    },
+};
+
+// ─── record / replay ──────────────────────────────────────────────────────────
+
+/** Fixture file stem: api, coordinate, then a hash of the remaining params. */
+function fixtureStem(api, params) {
+    const { latitude, longitude, ...rest } = params;
+    const coord = `${Number(latitude).toFixed(2)}_${Number(longitude).toFixed(2)}`.replace(/-/g, "m");
+    const query = JSON.stringify(Object.keys(rest).sort().map((k) => [k, String(rest[k])]));
+    const hash = crypto.createHash("sha1").update(query).digest("hex").slice(0, 8);
+    return { prefix: `${api}_${coord}_`, file: `${api}_${coord}_${hash}.json` };
+}
+
+function recordProvider(inner, fixtureDir) {
+    return {
+        name: "record",
+        live: true,
+        async fetch(api, params) {
+            const body = await inner.fetch(api, params);
+            const { file } = fixtureStem(api, params);
+            try {
+                await fs.promises.mkdir(fixtureDir, { recursive: true });
+                await fs.promises.writeFile(
+                    path.join(fixtureDir, file),
+                    JSON.stringify({ recordedAt: Date.now(), api, params, body })
+                );
+            } catch (err) {
+                console.error("Fixture record error:", err.message);
+            }
+            return body;
+        },
+    };
+}
+
+/** Move every Open-Meteo time string in a body forward by whole hours. */
+function shiftBody(body, hours) {
+    const shift = (t) => formatTime(Date.parse(`${t}Z`) + hours * HOUR_MS);
+    const out = { ...body };
+    if (body.hourly?.time) out.hourly = { ...body.hourly, time: body.hourly.time.map(shift) };
+    if (body.current?.time) out.current = { ...body.current, time: shift(body.current.time) };
+    return out;
+}
+
+function replayProvider(fixtureDir) {
+    return {
+        name: "replay",
+        live: false,
+        async fetch(api, params) {
+            if (!URLS[api]) throw unknownApi(api);
+            const { prefix, file } = fixtureStem(api, params);
+
+            // The exact request if it was recorded, else the newest recording for the coordinate
+            let name = file;
+            if (!fs.existsSync(path.join(fixtureDir, name))) {
+                const names = fs.existsSync(fixtureDir)
+                    ? fs.readdirSync(fixtureDir).filter((n) => n.startsWith(prefix))
+                    : [];
+                name = names
+                    .map((n) => ({ n, mtime: fs.statSync(path.join(fixtureDir, n)).mtimeMs }))
+                    .sort((a, b) => b.mtime - a.mtime)[0]?.n;
+            }
+            if (!name) {
+                throw new Error(`No recorded ${api} response for ${params.latitude}, ${params.longitude} in ${fixtureDir}`);
+            }
+
+            const fixture = JSON.parse(await fs.promises.readFile(path.join(fixtureDir, name), "utf8"));
+            const hours = Math.floor(Date.now() / HOUR_MS) - Math.floor(fixture.recordedAt / HOUR_MS);
+            return shiftBody(fixture.body, hours);
+        },
+    };
+}
+
+// ─── ndbc ─────────────────────────────────────────────────────────────────────
+
+// Open-Meteo variable → archive column and the factor to Open-Meteo's unit
+const ARCHIVE_VARIABLES = {
+    sea_surface_temperature: ["WTMP", 1],
+    wave_height: ["WVHT", 1],
+    wave_direction: ["MWD", 1],
+    wave_period: ["DPD", 1],
+    wind_speed_10m: ["WSPD", 3.6],      // m/s → km/h
+    wind_direction_10m: ["WDIR", 1],
+    surface_pressure: ["PRES", 1],
+    temperature_2m: ["ATMP", 1],
+};
+
+/** Station with archive files nearest a coordinate, or null. */
+function nearestArchiveStation(lat, lon, dataDir) {
+    let best = null;
+    for (const station of STATIONS) {
+        const files = resolveStationFiles(station, dataDir);
+        if (!files.length || station.lat === undefined) continue;
+        const dLon = Math.abs(((lon - station.lon + 540) % 360) - 180);
+        const d = (lat - station.lat) ** 2 + (dLon * Math.cos((lat * Math.PI) / 180)) ** 2;
+        if (!best || d < best.d) best = { station, files, d };
+    }
+    return best;
+}
+
+function ndbcProvider(dataDir) {
+    return {
+        name: "ndbc",
+        live: false,
+        async fetch(api, params) {
+            if (!URLS[api]) throw unknownApi(api);
+            const lat = Number(params.latitude);
+            const lon = Number(params.longitude);
+            const nearest = nearestArchiveStation(lat, lon, dataDir);
+            if (!nearest) throw new Error(`No station archive in ${dataDir} to serve ${lat}, ${lon}`);
+            const archive = await getStationArchive(nearest.files);
+            if (!archive.times.length) throw new Error(`Archive for ${nearest.station.id} is empty`);
+
+            // Same calendar hours in the latest archive year that covers them
+            const now = Date.now();
+            const last = archive.times[archive.times.length - 1];
+            const ref = new Date(hourlyWindow(params, now)[0]);
+            let year = new Date(last).getUTCFullYear();
+            const at = (y) => Date.UTC(y, ref.getUTCMonth(), ref.getUTCDate(), ref.getUTCHours());
+            while (at(year) + (hourlyWindow(params, now).length - 1) * HOUR_MS > last) year--;
+            const offset = at(year) - ref.getTime();
+
+            const body = buildBody(params, now, (variable, t) => {
+                const [field, scale] = ARCHIVE_VARIABLES[variable] ?? [];
+                if (!field || !archive.columns[field]) return null;
+                const target = t + offset;
+                const { from, to } = rangeIndices(archive, new Date(target - HOUR_MS / 2), new Date(target + HOUR_MS / 2));
+                const v = from < to ? archive.columns[field][from] : NaN;
+                return isNaN(v) ? null : Math.round(v * scale * 100) / 100;
+            });
+            body.station = nearest.station.id;
+            return body;
+        },
+    };
+}
+
+// ─── synthetic ────────────────────────────────────────────────────────────────
+
+/** FNV-1a hash → [-1, 1]. */
+function hashUnit(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return ((h >>> 0) / 0xffffffff) * 2 - 1;
+}
+
+/** Smooth deterministic noise in [-1, 1]: hashed knots every `hours`, cosine-interpolated. */
+function valueNoise(key, t, hours) {
+    const x = t / (hours * HOUR_MS);
+    const k = Math.floor(x);
+    const f = (1 - Math.cos((x - k) * Math.PI)) / 2;
+    return hashUnit(`${key}|${k}`) * (1 - f) + hashUnit(`${key}|${k + 1}`) * f;
+}
+
+function syntheticValue(variable, t, lat, lon) {
+    const key = `${lat.toFixed(2)},${lon.toFixed(2)}|${variable}`;
+    const hour = new Date(t).getUTCHours() + lon / 15;          // local solar hour
+    const diurnal = Math.sin((2 * Math.PI * (hour - 9)) / 24);  // peaks mid-afternoon
+    const sst = 29 - 0.28 * Math.abs(lat) + 0.15 * diurnal + 0.4 * valueNoise(`${key}sst`, t, 48);
+    const round = (v) => Math.round(v * 100) / 100;
+
+    switch (variable) {
+        case "sea_surface_temperature": return round(sst);
+        case "temperature_2m": return round(sst - 0.8 + 1.4 * diurnal + 0.5 * valueNoise(key, t, 12));
+        case "wind_speed_10m": return round(Math.max(0, 18 + 3 * diurnal + 9 * valueNoise(key, t, 18)));
+        case "surface_pressure":
+            return round(1011 + 1.1 * Math.sin((4 * Math.PI * hour) / 24) + 4 * valueNoise(key, t, 60));
+        case "wave_height": return round(Math.max(0.1, 1.4 + 0.6 * valueNoise(key, t, 24)));
+        case "wind_wave_height": return round(Math.max(0.05, 0.5 + 0.3 * valueNoise(key, t, 12)));
+        case "swell_wave_height": return round(Math.max(0.05, 1.1 + 0.4 * valueNoise(key, t, 36)));
+        case "wave_direction": return Math.round((220 + 40 * valueNoise(key, t, 24) + 360) % 360);
+        case "wave_period": return round(8 + 2 * valueNoise(key, t, 24));
+        case "wind_direction_10m": return Math.round((250 + 60 * valueNoise(key, t, 18) + 360) % 360);
+        case "ocean_current_velocity": return round(Math.max(0, 0.8 + 0.5 * valueNoise(key, t, 36) + 0.3 * diurnal));
+        case "ocean_current_direction": return Math.round((120 + 90 * valueNoise(key, t, 30) + 360) % 360);
+        default: return null;
+    }
+}
+
+const syntheticProvider = {
+    name: "synthetic",
+    live: false,
+    async fetch(api, params) {
+        if (!URLS[api]) throw unknownApi(api);
+        const lat = Number(params.latitude);
+        const lon = Number(params.longitude);
+        return buildBody(params, Date.now(), (variable, t) => syntheticValue(variable, t, lat, lon));
+    },
+};
+
+// ─── Selection ────────────────────────────────────────────────────────────────
+
+/**
+ * Provider by name.
+ *
+ * @param {string} [name]  one of PROVIDERS (default openmeteo)
+ * @param {{ dataDir: string, fixtureDir?: string }} options
+ * @returns {{ name: string, live: boolean, fetch: (api: string, params: object) => Promise<object> }}
+ * @throws {Error} for an unknown name
+ */
+function createProvider(name, { dataDir, fixtureDir = path.join(dataDir, "fixtures") }) {
+    switch ((name || DEFAULT_PROVIDER).toLowerCase()) {
+        case "openmeteo": return openMeteoProvider;
+        case "record": return recordProvider(openMeteoProvider, fixtureDir);
+        case "replay": return replayProvider(fixtureDir);
+        case "ndbc": return ndbcProvider(dataDir);
+        case "synthetic": return syntheticProvider;
+        default: throw new Error(`Unknown DATA_PROVIDER "${name}" — expected one of: ${PROVIDERS.join(", ")}`);
+    }
+}
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER,
+    openMeteoProvider,
+    createProvider,
+};
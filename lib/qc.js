@@ -0,0 +1,200 @@
+/**
+ * lib/qc.js
+ * QARTOD-style quality control for buoy time series.
+ *
+ * Every observation gets one flag per field:
+ *   1 pass · 2 not evaluated · 3 suspect · 4 fail · 9 missing
+ * from four tests, the worst result winning:
+ *   - gross range    outside the sensor span → fail, outside the expected span → suspect
+ *   - spike          distance from the nearer of its two neighbours
+ *   - rate of change per-hour change from the previous observation → suspect
+ *   - flat line      run of (near-)identical readings — a stuck sensor
+ *
+ * Used on the historical archive (lib/historicalStore.js) and on live rows
+ * in /api/buoy. Flags travel to the client as `<field>_qc` on each row.
+ */
+
+const { DROP } = require("./clean");
+
+const QC = { PASS: 1, NOT_EVALUATED: 2, SUSPECT: 3, FAIL: 4, MISSING: 9 };
+
+// Neighbours further apart than this are not compared (data gap)
+const MAX_GAP_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Per-field test thresholds.
+ *   failSpan / suspectSpan  [min, max]
+ *   spike                   [suspect, fail] absolute deviation
+ *   rateOfChange            max change per hour
+ *   flatLine                [suspect, fail] run length, with `tolerance`
+ *
+ * NDBC fields need no failSpan — lib/clean.js has already removed values
+ * outside their physical limits, and those are flagged fail from `drops`.
+ * Live Open-Meteo fields are model output: smooth, often repeated hour to
+ * hour, so they skip the flat-line test. Directions wrap at 360°, so they
+ * get the range check only.
+ */
+const QC_CONFIG = {
+    WTMP: { suspectSpan: [0, 33], spike: [1.5, 4], rateOfChange: 3, flatLine: [24, 48], tolerance: 0.05 },
+    ATMP: { suspectSpan: [-20, 45], spike: [3, 8], rateOfChange: 5, flatLine: [12, 24], tolerance: 0.05 },
+    WSPD: { suspectSpan: [0, 40], spike: [8, 15], rateOfChange: 10, flatLine: [12, 24], tolerance: 0.05 },
+    GST: { suspectSpan: [0, 50], spike: [10, 20], rateOfChange: 15, flatLine: [12, 24], tolerance: 0.05 },
+    WVHT: { suspectSpan: [0, 15], spike: [2, 5], rateOfChange: 3, flatLine: [12, 24], tolerance: 0.005 },
+    PRES: { suspectSpan: [940, 1050], spike: [3, 8], rateOfChange: 6, flatLine: [12, 24], tolerance: 0.05 },
+
+    sea_surface_temp: { failSpan: [-5, 40], suspectSpan: [0, 34], spike: [1.5, 4], rateOfChange: 3 },
+    wind_speed: { failSpan: [0, 300], suspectSpan: [0, 150], spike: [25, 50], rateOfChange: 40 },
+    air_pressure: { failSpan: [850, 1100], suspectSpan: [940, 1050], spike: [3, 8], rateOfChange: 6 },
+    wave_height: { failSpan: [0, 30], suspectSpan: [0, 15], spike: [2, 5], rateOfChange: 3 },
+    air_temp: { failSpan: [-60, 60], suspectSpan: [-20, 45], spike: [3, 8], rateOfChange: 5 },
+    wind_wave_height: { failSpan: [0, 30], suspectSpan: [0, 12], spike: [2, 5], rateOfChange: 3 },
+    swell_wave_height: { failSpan: [0, 30], suspectSpan: [0, 12], spike: [2, 5], rateOfChange: 3 },
+    wave_period: { failSpan: [0, 40], suspectSpan: [1, 25], spike: [4, 8] },
+    current_velocity: { failSpan: [0, 20], suspectSpan: [0, 10] },            // km/h
+    wind_direction: { failSpan: [0, 360] },
+    wave_direction: { failSpan: [0, 360] },
+    current_direction: { failSpan: [0, 360] },
+};
+
+const outside = (v, [lo, hi]) => v < lo || v > hi;
+
+/**
+ * Flag one time series.
+ *
+ * @param {ArrayLike<number>} times   epoch ms, ascending
+ * @param {ArrayLike<number>} values  NaN = missing
+ * @param {object|undefined}  cfg     QC_CONFIG entry; untested fields get "not evaluated"
+ * @param {Uint8Array}        [drops] lib/clean.js drop reasons, parallel to values
+ * @returns {Uint8Array} QC flag per value
+ */
+function flagSeries(times, values, cfg, drops) {
+    const n = values.length;
+    const flags = new Uint8Array(n);
+    const raise = (i, flag) => { if (flag > flags[i]) flags[i] = flag; };
+
+    // Gross range (and missing)
+    const valid = [];
+    for (let i = 0; i < n; i++) {
+        const v = values[i];
+        if (isNaN(v)) {
+            flags[i] = drops && drops[i] === DROP.OUT_OF_RANGE ? QC.FAIL : QC.MISSING;
+            continue;
+        }
+        if (!cfg) {
+            flags[i] = QC.NOT_EVALUATED;
+            continue;
+        }
+        flags[i] = QC.PASS;
+        if (cfg.failSpan && outside(v, cfg.failSpan)) raise(i, QC.FAIL);
+        else if (cfg.suspectSpan && outside(v, cfg.suspectSpan)) raise(i, QC.SUSPECT);
+        valid.push(i);
+    }
+    if (!cfg) return flags;
+
+    let run = 0;
+    for (let k = 1; k < valid.length; k++) {
+        const i = valid[k];
+        const p = valid[k - 1];
+        const dt = times[i] - times[p];
+
+        if (dt <= 0 || dt > MAX_GAP_MS) {
+            run = 0;
+            continue;
+        }
+
+        // Spike: far from *both* neighbours — so the points either side of a
+        // spike, and the edges of a genuine level shift, are not caught too
+        const q = valid[k + 1];
+        if (cfg.spike && q !== undefined && times[q] - times[i] <= MAX_GAP_MS) {
+            const dev = Math.min(Math.abs(values[i] - values[p]), Math.abs(values[i] - values[q]));
+            if (dev > cfg.spike[1]) raise(i, QC.FAIL);
+            else if (dev > cfg.spike[0]) raise(i, QC.SUSPECT);
+        }
+
+        // Rate of change per hour
+        if (cfg.rateOfChange && Math.abs(values[i] - values[p]) / (dt / 3600000) > cfg.rateOfChange) {
+            raise(i, QC.SUSPECT);
+        }
+
+        // Flat line: consecutive readings within tolerance
+        if (cfg.flatLine) {
+            run = Math.abs(values[i] - values[p]) <= cfg.tolerance ? run + 1 : 0;
+            if (run >= cfg.flatLine[1]) raise(i, QC.FAIL);
+            else if (run >= cfg.flatLine[0]) raise(i, QC.SUSPECT);
+        }
+    }
+
+    return flags;
+}
+
+/**
+ * Flag every column of an archive.
+ * @param {import("./historicalStore").Archive} archive
+ * @returns {Record<string, Uint8Array>}
+ */
+function flagArchive(archive) {
+    return Object.fromEntries(archive.fields.map((f) => [
+        f,
+        flagSeries(archive.times, archive.columns[f], QC_CONFIG[f], archive.drops[f]),
+    ]));
+}
+
+/**
+ * Attach `<field>_qc` flags to row objects in place (live /api/buoy rows).
+ * @param {Array<object>} rows      time-ordered, with `timestamp`
+ * @param {string[]}      [fields]  default: every configured field on the rows
+ * @returns {Array<object>} the same rows
+ */
+function flagRows(rows, fields = Object.keys(rows[0] ?? {}).filter((k) => k in QC_CONFIG)) {
+    const times = rows.map((r) => new Date(r.timestamp).getTime());
+    for (const f of fields) {
+        const values = rows.map((r) => (r[f] === null || r[f] === undefined ? NaN : Number(r[f])));
+        const flags = flagSeries(times, values, QC_CONFIG[f]);
+        rows.forEach((r, i) => { r[`${f}_qc`] = flags[i]; });
+    }
+    return rows;
+}
+
+/**
+ * One field of flagged rows (flagRows) as numbers — NaN where missing or
+ * QC-failed — times `scale`, e.g. to take live km/h to the archive's m/s.
+ * @returns {Float64Array}
+ */
+function passingRowValues(rows, field, scale = 1) {
+    const out = new Float64Array(rows.length);
+    rows.forEach((r, i) => {
+        const v = r[field];
+        out[i] = v === null || v === undefined || r[`${field}_qc`] === QC.FAIL ? NaN : Number(v) * scale;
+    });
+    return out;
+}
+
+/**
+ * Count flags per field for archive rows [from, to).
+ * @returns {Record<string, { pass: number, suspect: number, fail: number, missing: number }>}
+ */
+function summarizeFlags(qc, fields, from, to) {
+    const summary = {};
+    for (const f of fields) {
+        const s = { pass: 0, suspect: 0, fail: 0, missing: 0 };
+        const flags = qc[f];
+        for (let i = from; i < to; i++) {
+            if (flags[i] === QC.PASS || flags[i] === QC.NOT_EVALUATED) s.pass++;
+            else if (flags[i] === QC.SUSPECT) s.suspect++;
+            else if (flags[i] === QC.FAIL) s.fail++;
+            else s.missing++;
+        }
+        summary[f] = s;
+    }
+    return summary;
+}
+
+module.exports = {
+    QC,
+    QC_CONFIG,
+    flagSeries,
+    flagArchive,
+    flagRows,
+    passingRowValues,
+    summarizeFlags,
+};
@@ -0,0 +1,150 @@
+/**
+ * lib/rose.js
+ * Wind and wave roses — how often the wind / waves came from each compass
+ * sector, split into magnitude bins — behind /api/rose.
+ *
+ *   wind  WDIR (° the wind comes from) binned by WSPD (m/s)
+ *   wave  MWD  (° the dominant waves come from) binned by WVHT (m)
+ *
+ * 16 sectors of 22.5°, the first centred on north. Wind below 0.5 m/s is
+ * counted as calm: its direction means nothing. QC-failed readings
+ * (lib/qc.js) are ignored. Live rows are binned here too (liveRoses, behind
+ * /api/buoy). Bin edges, units and the calm limit live in
+ * src/data/roseSpecs.json, which the client reads for its legends.
+ */
+
+const { getStationArchive, rangeIndices } = require("./historicalStore");
+const { archiveCoverage } = require("./climatology");
+const { QC, passingRowValues } = require("./qc");
+const ROSE_SPECS = require("../src/data/roseSpecs.json");
+
+const ROSE_SECTORS = 16;
+
+// Bin edges: bin 0 is below edges[0], the last bin is ≥ the last edge
+const ROSES = {
+    wind: { direction: "WDIR", magnitude: "WSPD", ...ROSE_SPECS.wind },
+    wave: { direction: "MWD", magnitude: "WVHT", ...ROSE_SPECS.wave },
+};
+
+// Live /api/buoy row fields; wind arrives in km/h
+const LIVE_ROSES = {
+    wind: { direction: "wind_direction", magnitude: "wind_speed", scale: 1 / 3.6 },
+    wave: { direction: "wave_direction", magnitude: "wave_height", scale: 1 },
+};
+
+function sectorOf(deg, sectors) {
+    const width = 360 / sectors;
+    return Math.floor((((deg % 360) + 360) % 360 + width / 2) / width) % sectors;
+}
+
+function binOf(v, edges) {
+    let b = 0;
+    while (b < edges.length && v >= edges[b]) b++;
+    return b;
+}
+
+/**
+ * Counts per sector and magnitude bin for parallel direction / magnitude
+ * series (NaN = missing; pairs with either missing are skipped).
+ *
+ * @param {ArrayLike<number>} directions  degrees the flow comes from
+ * @param {ArrayLike<number>} magnitudes
+ * @param {{ edges: number[], calm?: number, unit?: string }} spec
+ * @param {number} [sectors]
+ * @returns {{ n: number, calm: number, unit: string, edges: number[],
+ *             sectors: Array<{ direction: number, counts: number[] }> }}
+ *          `n` includes calms, which are not in any sector
+ */
+function computeRose(directions, magnitudes, { edges, calm = 0, unit = "" }, sectors = ROSE_SECTORS) {
+    const rose = {
+        n: 0,
+        calm: 0,
+        unit,
+        edges,
+        sectors: Array.from({ length: sectors }, (_, i) => ({
+            direction: (i * 360) / sectors,
+            counts: new Array(edges.length + 1).fill(0),
+        })),
+    };
+    for (let i = 0; i < directions.length; i++) {
+        const d = directions[i];
+        const m = magnitudes[i];
+        if (isNaN(d) || isNaN(m)) continue;
+        rose.n++;
+        if (m < calm) {
+            rose.calm++;
+            continue;
+        }
+        rose.sectors[sectorOf(d, sectors)].counts[binOf(m, edges)]++;
+    }
+    return rose;
+}
+
+/** Column values for rows [from, to) with QC-failed readings as NaN. */
+function passingSlice(archive, field, from, to) {
+    const values = archive.columns[field];
+    const flags = archive.qc?.[field];
+    const out = new Float64Array(to - from);
+    for (let i = from; i < to; i++) {
+        out[i - from] = flags && flags[i] === QC.FAIL ? NaN : values[i];
+    }
+    return out;
+}
+
+/**
+ * Wind and wave roses of live /api/buoy rows, shaped like the archive ones.
+ * @param {Array<object>} rows  flagged live rows
+ * @returns {{ wind: object, wave: object }}
+ */
+function liveRoses(rows) {
+    const roses = {};
+    for (const [kind, { direction, magnitude, scale }] of Object.entries(LIVE_ROSES)) {
+        roses[kind] = computeRose(
+            passingRowValues(rows, direction),
+            passingRowValues(rows, magnitude, scale),
+            ROSE_SPECS[kind]
+        );
+    }
+    return roses;
+}
+
+/**
+ * Wind and wave roses for a station's archive within [start, end].
+ *
+ * @param {string[]} filePaths
+ * @param {{ start: Date|null, end: Date|null }} options
+ * @returns {Promise<{ coverage: object|null, roses: { wind: object|null, wave: object|null } }>}
+ *          a rose is null when the archive lacks its columns
+ * @throws {Error} with `status` 400 when the archive has no direction data at all
+ */
+async function readRoses(filePaths, { start, end }) {
+    const archive = await getStationArchive(filePaths);
+    const { from, to } = rangeIndices(archive, start, end);
+
+    const roses = {};
+    for (const [kind, spec] of Object.entries(ROSES)) {
+        const available = archive.fields.includes(spec.direction) && archive.fields.includes(spec.magnitude);
+        roses[kind] = available
+            ? computeRose(
+                passingSlice(archive, spec.direction, from, to),
+                passingSlice(archive, spec.magnitude, from, to),
+                spec
+            )
+            : null;
+    }
+    if (!roses.wind && !roses.wave) {
+        const err = new Error("Archive has no WDIR / MWD direction data for a rose");
+        err.status = 400;
+        throw err;
+    }
+
+    return { coverage: archiveCoverage(archive), roses };
+}
+
+module.exports = {
+    ROSE_SECTORS,
+    ROSES,
+    computeRose,
+    liveRoses,
+    readRoses,
+};
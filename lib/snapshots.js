@@ -0,0 +1,154 @@
+/**
+ * lib/snapshots.js
+ * Long-term record of the live readings, behind /api/buoy/archive.
+ *
+ * The server polls every station in lib/stations.js on a schedule and
+ * appends the hours that have already happened (timestamp ≤ poll time) to
+ * an append-only JSON-lines file per station, <station>.jsonl. Each hour is
+ * written once — the first poll that sees it as past wins; later revisions
+ * from Open-Meteo are ignored, so the record never rewrites itself.
+ * Timestamps are stored as UTC ISO strings.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { toUtcMs } = require("./openMeteo");
+
+const SNAPSHOT_FIELDS = ["sea_surface_temp", "wind_speed", "air_pressure", "wave_height"];
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// station id → Set of stored epoch-ms hours (loaded from the file on first use)
+const stored = new Map();
+
+function snapshotPath(dir, stationId) {
+    return path.join(dir, `${stationId}.jsonl`);
+}
+
+/** Stored rows of a station, in file order; [] before the first poll. */
+async function readRows(dir, stationId) {
+    let text;
+    try {
+        text = await fs.promises.readFile(snapshotPath(dir, stationId), "utf8");
+    } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+    }
+    const rows = [];
+    for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+            rows.push(JSON.parse(line));
+        } catch {
+            // a half-written line from an interrupted append
+        }
+    }
+    return rows;
+}
+
+async function storedHours(dir, stationId) {
+    if (!stored.has(stationId)) {
+        const rows = await readRows(dir, stationId);
+        stored.set(stationId, new Set(rows.map((r) => Date.parse(r.timestamp))));
+    }
+    return stored.get(stationId);
+}
+
+/**
+ * Append the past hours of one Open-Meteo response that aren't stored yet.
+ *
+ * @param {string} dir
+ * @param {string} stationId
+ * @param {Array<object>} rows  /api/buoy rows, local-time `timestamp`s
+ * @param {{ utcOffsetSeconds: number, now?: number }} options
+ * @returns {Promise<number>}  rows appended
+ */
+async function appendSnapshot(dir, stationId, rows, { utcOffsetSeconds, now = Date.now() }) {
+    const hours = await storedHours(dir, stationId);
+    const fresh = [];
+    for (const row of rows) {
+        const t = toUtcMs(row.timestamp, utcOffsetSeconds);
+        if (isNaN(t) || t > now || hours.has(t)) continue;
+        if (SNAPSHOT_FIELDS.every((f) => row[f] === null || row[f] === undefined)) continue;
+        hours.add(t);
+        fresh.push({
+            timestamp: new Date(t).toISOString(),
+            ...Object.fromEntries(SNAPSHOT_FIELDS.map((f) => [f, row[f] ?? null])),
+        });
+    }
+    if (!fresh.length) return 0;
+
+    fresh.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.appendFile(
+        snapshotPath(dir, stationId),
+        fresh.map((r) => `${JSON.stringify(r)}\n`).join("")
+    );
+    return fresh.length;
+}
+
+/**
+ * Stored readings of a station within [start, end], oldest first.
+ *
+ * @param {string} dir
+ * @param {string} stationId
+ * @param {{ start: Date|null, end: Date|null }} options
+ * @returns {Promise<{ coverage: object|null, rows: Array<object> }>}  coverage spans every stored row
+ */
+async function readSnapshots(dir, stationId, { start, end }) {
+    const all = (await readRows(dir, stationId))
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    const from = start ? start.getTime() : -Infinity;
+    const to = end ? end.getTime() : Infinity;
+
+    return {
+        coverage: all.length ? { first: all[0].timestamp, last: all[all.length - 1].timestamp } : null,
+        rows: all.filter((r) => {
+            const t = Date.parse(r.timestamp);
+            return t >= from && t <= to;
+        }),
+    };
+}
+
+/**
+ * Poll every station now and then every `intervalMinutes`, one station at
+ * a time. Failures — including responses missing an upstream API — are
+ * logged and retried on the next round.
+ *
+ * @param {Array<{ id: string, lat: number, lon: number }>} stations
+ * @param {string} dir
+ * @param {{ intervalMinutes?: number, fetchRows: (lat: number, lon: number) => Promise<{ rows: object[], utcOffsetSeconds: number, partial?: boolean }> }} options
+ * @returns {() => void}  stops the poller
+ */
+function startSnapshotPoller(stations, dir, { intervalMinutes = DEFAULT_INTERVAL_MINUTES, fetchRows }) {
+    let running = false;
+
+    const poll = async () => {
+        if (running) return;        // a slow round is still going
+        running = true;
+        for (const station of stations) {
+            try {
+                const { rows, utcOffsetSeconds, partial } = await fetchRows(station.lat, station.lon);
+                // Hours are written once, so don't let an upstream outage blank fields for good
+                if (partial) throw new Error("incomplete upstream response, retrying next round");
+                const added = await appendSnapshot(dir, station.id, rows, { utcOffsetSeconds });
+                if (added) console.log(`Snapshot ${station.id}: ${added} new readings`);
+            } catch (err) {
+                console.error(`Snapshot error for ${station.id}:`, err.message);
+            }
+        }
+        running = false;
+    };
+
+    poll();
+    const timer = setInterval(poll, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    SNAPSHOT_FIELDS,
+    DEFAULT_INTERVAL_MINUTES,
+    appendSnapshot,
+    readSnapshots,
+    startSnapshotPoller,
+};
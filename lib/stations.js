@@ -0,0 +1,81 @@
+/**
+ * lib/stations.js
+ * Registry of buoy stations and the historical archive files behind each one.
+ * Station ids and coordinates match LOCATIONS in src/data/constants.js; the
+ * coordinates are what the live snapshot poller (lib/snapshots.js) fetches.
+ *
+ * `files` entries are either exact file names or RegExps matched against
+ * the contents of data/, so new yearly archives for a station — merged CSVs
+ * or raw NDBC stdmet downloads (e.g. 46042h2024.txt.gz) — are picked up
+ * just by dropping them into the folder.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { cacheKey } = require("./liveCache");
+
+const STATIONS = [
+    {
+        id: "ndbc_46042",
+        label: "NDBC 46042 – Monterey Bay",
+        lat: 36.785, lon: -122.398,
+        files: ["46042_master_2012_2023.csv", /^46042h\d{4}\.txt(\.gz)?$/i],
+    },
+    {
+        id: "rama_23003",
+        label: "RAMA 23003 – 2°S 81°E",
+        lat: -2, lon: 81,
+        files: [/^23003_.*\.csv$/i, /^23003h\d{4}\.txt(\.gz)?$/i],
+    },
+    {
+        id: "north_indio",
+        label: "North Indian Ocean – 12°N 65°E",
+        lat: 12, lon: 65,
+        files: [/^north_indio_.*\.csv$/i],
+    },
+    {
+        id: "bay_of_bengal",
+        label: "Bay of Bengal – 10°N 88°E",
+        lat: 10, lon: 88,
+        files: [/^bay_of_bengal_.*\.csv$/i],
+    },
+];
+
+// Used when a request omits ?station= (the archive served before stations existed)
+const DEFAULT_STATION = "ndbc_46042";
+
+/** Look up a station by id, falling back to DEFAULT_STATION. @returns {object|null} */
+function findStation(id) {
+    return STATIONS.find((s) => s.id === (id || DEFAULT_STATION)) || null;
+}
+
+/** Whether a coordinate pair is the station's own position, to the live cache's 0.01°. */
+function isAtStation(station, lat, lon) {
+    return cacheKey(station.lat, station.lon) === cacheKey(lat, lon);
+}
+
+/**
+ * Absolute paths of every archive file in `dataDir` that belongs to `station`,
+ * sorted by name so yearly files load in chronological order.
+ */
+function resolveStationFiles(station, dataDir) {
+    let names;
+    try {
+        names = fs.readdirSync(dataDir);
+    } catch {
+        return [];
+    }
+
+    return names
+        .filter((name) => station.files.some((f) => (f instanceof RegExp ? f.test(name) : f === name)))
+        .sort()
+        .map((name) => path.join(dataDir, name));
+}
+
+module.exports = {
+    STATIONS,
+    DEFAULT_STATION,
+    findStation,
+    isAtStation,
+    resolveStationFiles,
+};
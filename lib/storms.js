@@ -0,0 +1,200 @@
+/**
+ * lib/storms.js
+ * Storm / tropical-cyclone event detection from a station's pressure, wind
+ * and wave record, behind /api/storms.
+ *
+ *   storm hour  pressure ≥ 5 hPa below its highest reading of the previous
+ *               24 h, while wind ≥ 12 m/s and — where waves were measured —
+ *               significant wave height ≥ 2.5 m
+ *   event       storm hours separated by ≤ 6 h are joined; events shorter
+ *               than 3 h are dropped
+ *   peak        the lowest pressure inside the event
+ *   category    India Meteorological Department (IMD) scale from the peak
+ *               wind. A buoy rarely sits in a system's core, so this ranks
+ *               the local conditions, not the system's official class
+ *
+ * QC-failed readings (lib/qc.js) are ignored. Live rows are checked here
+ * too (detectLiveStorms, behind /api/buoy), so both views follow one set of
+ * rules. The thresholds live in src/data/stormCriteria.json, which the
+ * client reads to describe them.
+ */
+
+const { getStationArchive } = require("./historicalStore");
+const { round, archiveCoverage } = require("./climatology");
+const { QC, passingRowValues } = require("./qc");
+const { toUtcMs } = require("./openMeteo");
+const STORM_CRITERIA = require("../src/data/stormCriteria.json");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// IMD cyclone classes by sustained wind, lower bound in m/s
+const CATEGORIES = [
+    { id: "depression", min: 0 },
+    { id: "deep depression", min: 14.4 },
+    { id: "cyclonic storm", min: 17.5 },
+    { id: "severe cyclonic storm", min: 24.7 },
+    { id: "very severe cyclonic storm", min: 32.9 },
+    { id: "extremely severe cyclonic storm", min: 46.3 },
+    { id: "super cyclonic storm", min: 61.7 },
+];
+
+// Archive columns the detector reads
+const STORM_FIELDS = { pressure: "PRES", wind: "WSPD", wave: "WVHT" };
+
+// Live /api/buoy row fields; wind arrives in km/h
+const LIVE_STORM_KEYS = { pressure: "air_pressure", wind: "wind_speed", wave: "wave_height" };
+const KMH_TO_MS = 1 / 3.6;
+
+function categoryFor(wind) {
+    let id = CATEGORIES[0].id;
+    for (const c of CATEGORIES) if (wind >= c.min) id = c.id;
+    return id;
+}
+
+/**
+ * Pressure fall at each index: the highest valid reading within the
+ * previous `windowMs` minus the current one (NaN where pressure is missing).
+ * Monotonic deque, so O(n) over the whole archive.
+ */
+function pressureTendency(times, pressure, windowMs) {
+    const n = times.length;
+    const drop = new Float64Array(n).fill(NaN);
+    const deque = [];       // indices of valid readings, pressure descending
+    let head = 0;
+    for (let i = 0; i < n; i++) {
+        const p = pressure[i];
+        if (isNaN(p)) continue;
+        while (deque.length > head && pressure[deque[deque.length - 1]] <= p) deque.pop();
+        deque.push(i);
+        while (times[deque[head]] < times[i] - windowMs) head++;
+        drop[i] = pressure[deque[head]] - p;
+    }
+    return drop;
+}
+
+/**
+ * Find storm events in parallel hourly series.
+ *
+ * @param {ArrayLike<number>} times     epoch ms, ascending
+ * @param {{ pressure: ArrayLike<number>, wind: ArrayLike<number>, wave: ArrayLike<number>|null }} series
+ *        hPa, m/s and m; NaN = missing
+ * @param {object} [criteria]  STORM_CRITERIA overrides
+ * @returns {Array<{
+ *   start: string, peak: string, end: string, durationHours: number,
+ *   minPressure: number, pressureDrop: number, maxWind: number, maxWave: number|null,
+ *   category: string,
+ * }>}
+ */
+function detectStorms(times, { pressure, wind, wave }, criteria = STORM_CRITERIA) {
+    const c = { ...STORM_CRITERIA, ...criteria };
+    const n = times.length;
+    const drop = pressureTendency(times, pressure, c.dropWindowHours * HOUR_MS);
+
+    // Runs of storm hours, bridging short lulls
+    const runs = [];
+    let run = null;
+    for (let i = 0; i < n; i++) {
+        const h = wave ? wave[i] : NaN;
+        const stormy = drop[i] >= c.pressureDrop && wind[i] >= c.windSpeed && (isNaN(h) || h >= c.waveHeight);
+        if (!stormy) continue;
+        if (run && times[i] - times[run.to] <= c.mergeGapHours * HOUR_MS) {
+            run.to = i;
+        } else {
+            if (run) runs.push(run);
+            run = { from: i, to: i };
+        }
+    }
+    if (run) runs.push(run);
+
+    return runs
+        .filter((r) => times[r.to] - times[r.from] >= c.minDurationHours * HOUR_MS)
+        .map((r) => {
+            let minP = Infinity, peak = r.from, maxDrop = 0, maxWind = -Infinity, maxWave = -Infinity;
+            for (let i = r.from; i <= r.to; i++) {
+                if (pressure[i] < minP) { minP = pressure[i]; peak = i; }
+                if (drop[i] > maxDrop) maxDrop = drop[i];
+                if (wind[i] > maxWind) maxWind = wind[i];
+                if (wave && wave[i] > maxWave) maxWave = wave[i];
+            }
+            return {
+                start: new Date(times[r.from]).toISOString(),
+                peak: new Date(times[peak]).toISOString(),
+                end: new Date(times[r.to]).toISOString(),
+                durationHours: Math.round((times[r.to] - times[r.from]) / HOUR_MS),
+                minPressure: round(minP),
+                pressureDrop: round(maxDrop),
+                maxWind: round(maxWind),
+                maxWave: maxWave > -Infinity ? round(maxWave) : null,
+                category: categoryFor(maxWind),
+            };
+        });
+}
+
+/** Archive column with QC-failed readings blanked out. */
+function passingValues(archive, field) {
+    const values = archive.columns[field];
+    const flags = archive.qc?.[field];
+    if (!flags) return values;
+    return values.map((v, i) => (flags[i] === QC.FAIL ? NaN : v));
+}
+
+/**
+ * Storm events in live /api/buoy rows.
+ *
+ * @param {Array<object>} rows  flagged live rows, station-local timestamps
+ * @param {number} utcOffsetSeconds
+ * @returns {Array<object>}  events in the detectStorms shape
+ */
+function detectLiveStorms(rows, utcOffsetSeconds) {
+    return detectStorms(rows.map((r) => toUtcMs(r.timestamp, utcOffsetSeconds)), {
+        pressure: passingRowValues(rows, LIVE_STORM_KEYS.pressure),
+        wind: passingRowValues(rows, LIVE_STORM_KEYS.wind, KMH_TO_MS),
+        wave: passingRowValues(rows, LIVE_STORM_KEYS.wave),
+    });
+}
+
+/**
+ * Storm events in a station's archive, optionally limited to events
+ * overlapping [start, end]. Detection always runs on the whole record.
+ *
+ * @param {string[]} filePaths
+ * @param {{ start: Date|null, end: Date|null }} options
+ * @returns {Promise<{ coverage: object|null, criteria: object, events: Array<object> }>}
+ * @throws {Error} with `status` 400 when the archive lacks pressure or wind
+ */
+async function readStorms(filePaths, { start, end }) {
+    const archive = await getStationArchive(filePaths);
+    const missing = [STORM_FIELDS.pressure, STORM_FIELDS.wind].filter((f) => !archive.fields.includes(f));
+    if (missing.length) {
+        const err = new Error(`Archive has no ${missing.join(" / ")} data for storm detection`);
+        err.status = 400;
+        throw err;
+    }
+
+    if (!archive.storms) {
+        archive.storms = detectStorms(archive.times, {
+            pressure: passingValues(archive, STORM_FIELDS.pressure),
+            wind: passingValues(archive, STORM_FIELDS.wind),
+            wave: archive.fields.includes(STORM_FIELDS.wave) ? passingValues(archive, STORM_FIELDS.wave) : null,
+        });
+    }
+
+    const from = start ? start.getTime() : -Infinity;
+    const to = end ? end.getTime() : Infinity;
+
+    return {
+        coverage: archiveCoverage(archive),
+        criteria: STORM_CRITERIA,
+        events: archive.storms.filter((e) => Date.parse(e.end) >= from && Date.parse(e.start) <= to),
+    };
+}
+
+module.exports = {
+    STORM_CRITERIA,
+    STORM_FIELDS,
+    CATEGORIES,
+    pressureTendency,
+    detectStorms,
+    detectLiveStorms,
+    readStorms,
+};
@@ -0,0 +1,252 @@
+/**
+ * lib/verification.js
+ * Forecast verification for the live Open-Meteo data behind /api/buoy.
+ *
+ * Every /api/buoy response is logged per location into two append-only
+ * JSON-lines files:
+ *
+ *   <key>.forecasts.jsonl  one issuance per hour at most — the rows after
+ *                          the fetch time, stamped with when they were issued
+ *   <key>.observed.jsonl   the rows at or before the fetch time — Open-Meteo's
+ *                          own best estimate of hours that have happened
+ *
+ * Verification pairs each forecast hour with the latest observed value for
+ * it and reports bias (forecast − observed), MAE and RMSE per parameter and
+ * lead hour. Times are stored as UTC epoch ms.
+ *
+ * The log directory must be writable (VERIFY_DIR in the servers). Where it
+ * isn't — a read-only serverless bundle — logging is skipped after a single
+ * warning and verification reports nothing logged.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { toUtcMs } = require("./openMeteo");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Live row fields that are logged and verified
+const VERIFY_FIELDS = ["sea_surface_temp", "wind_speed", "air_pressure", "wave_height"];
+
+const MAX_LEAD = 72;            // hours — /api/buoy asks for forecast_days: 3
+const DEFAULT_DAYS = 30;        // issuances verified by default
+
+// location key → epoch ms of the last logged issuance hour
+const lastIssued = new Map();
+
+// log directory → Promise<boolean>, whether it could be written (checked on the first issuance)
+const writable = new Map();
+
+/** File-name-safe key for a coordinate pair, to 0.01°. */
+function locationKey(lat, lon) {
+    return `${lat.toFixed(2)}_${lon.toFixed(2)}`.replace(/-/g, "m");
+}
+
+function logPaths(dir, lat, lon) {
+    const key = locationKey(lat, lon);
+    return {
+        key,
+        forecasts: path.join(dir, `${key}.forecasts.jsonl`),
+        observed: path.join(dir, `${key}.observed.jsonl`),
+    };
+}
+
+/** Parsed lines of a JSON-lines file; [] when it doesn't exist. Bad lines are skipped. */
+async function readLines(filePath) {
+    let text;
+    try {
+        text = await fs.promises.readFile(filePath, "utf8");
+    } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+    }
+    const out = [];
+    for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+            out.push(JSON.parse(line));
+        } catch {
+            // a half-written line from an interrupted append
+        }
+    }
+    return out;
+}
+
+/** Create `dir` for logging if needed; false, with a one-time warning, when it can't be written. */
+function canLog(dir) {
+    if (!writable.has(dir)) {
+        writable.set(dir, fs.promises.mkdir(dir, { recursive: true })
+            .then(() => fs.promises.access(dir, fs.constants.W_OK))
+            .then(() => true, (err) => {
+                console.warn(`Forecast log disabled: ${dir} is not writable (${err.code || err.message}); `
+                    + "set VERIFY_DIR to a writable directory");
+                return false;
+            }));
+    }
+    return writable.get(dir);
+}
+
+/**
+ * Whether logging to `dir` works, without touching it: the outcome of the
+ * last write attempt, else whether the directory — or, before it exists,
+ * its parent — is writable.
+ */
+async function isLogWritable(dir) {
+    if (writable.has(dir)) return writable.get(dir);
+    const target = await fs.promises.access(dir).then(() => dir, () => path.dirname(dir));
+    return fs.promises.access(target, fs.constants.W_OK).then(() => true, () => false);
+}
+
+/** { start, values: { field: number[] } } block for hourly rows. */
+function toBlock(rows) {
+    return {
+        start: rows[0].t,
+        values: Object.fromEntries(VERIFY_FIELDS.map((f) => [f, rows.map((r) => r[f] ?? null)])),
+    };
+}
+
+/**
+ * Log one /api/buoy response.
+ *
+ * @param {string} dir    log directory (created when missing)
+ * @param {number} lat
+ * @param {number} lon
+ * @param {Array<object>} rows  /api/buoy rows, local-time `timestamp`s
+ * @param {{ utcOffsetSeconds: number, issuedAt?: number }} options
+ *        the Open-Meteo response's offset, to turn timestamps into UTC
+ * @returns {Promise<boolean>}  false when the hour was already logged or the
+ *          directory isn't writable
+ */
+async function recordIssuance(dir, lat, lon, rows, { utcOffsetSeconds, issuedAt = Date.now() }) {
+    const { key, forecasts, observed } = logPaths(dir, lat, lon);
+    const hour = Math.floor(issuedAt / HOUR_MS) * HOUR_MS;
+
+    if (!lastIssued.has(key)) {
+        const prev = await readLines(forecasts);
+        lastIssued.set(key, prev.length ? prev[prev.length - 1].issuedAt : 0);
+    }
+    if (lastIssued.get(key) >= hour) return false;
+    if (!(await canLog(dir))) return false;
+    lastIssued.set(key, hour);
+
+    const utc = rows
+        .map((r) => ({ ...r, t: toUtcMs(r.timestamp, utcOffsetSeconds) }))
+        .filter((r) => !isNaN(r.t));
+    const past = utc.filter((r) => r.t <= issuedAt);
+    const future = utc.filter((r) => r.t > issuedAt);
+
+    if (future.length) {
+        await fs.promises.appendFile(forecasts, `${JSON.stringify({ issuedAt: hour, ...toBlock(future) })}\n`);
+    }
+    if (past.length) {
+        await fs.promises.appendFile(observed, `${JSON.stringify({ recordedAt: issuedAt, ...toBlock(past) })}\n`);
+    }
+    return true;
+}
+
+/** Running sums → { n, bias, mae, rmse } (nulls when empty). */
+function summarize(acc) {
+    return acc.n
+        ? { n: acc.n, bias: acc.sum / acc.n, mae: acc.abs / acc.n, rmse: Math.sqrt(acc.sq / acc.n) }
+        : { n: 0, bias: null, mae: null, rmse: null };
+}
+
+const emptyAcc = () => ({ n: 0, sum: 0, abs: 0, sq: 0 });
+
+function add(acc, e) {
+    acc.n++;
+    acc.sum += e;
+    acc.abs += Math.abs(e);
+    acc.sq += e * e;
+}
+
+/**
+ * Skill of the logged forecasts for a location.
+ *
+ * @param {string} dir
+ * @param {number} lat
+ * @param {number} lon
+ * @param {{ days?: number, now?: number }} [options]  only issuances from the last `days`
+ * @returns {Promise<{
+ *   logging: boolean, issuances: number, verifiedHours: number, first: string|null, last: string|null,
+ *   fields: Record<string, { overall: object, byDay: object[], byLead: object[] }>,
+ * }>}  `logging` is false when the log directory isn't writable; byLead[i] is
+ *      lead hour i + 1; byDay[d] covers leads 24d+1 … 24(d+1)
+ */
+async function readVerification(dir, lat, lon, { days = DEFAULT_DAYS, now = Date.now() } = {}) {
+    const { forecasts, observed } = logPaths(dir, lat, lon);
+    const since = now - days * DAY_MS;
+    const issued = (await readLines(forecasts)).filter((b) => b.issuedAt >= since);
+
+    // Latest observed value per field and hour
+    const truth = new Map();
+    for (const block of await readLines(observed)) {
+        for (const f of VERIFY_FIELDS) {
+            (block.values[f] ?? []).forEach((v, i) => {
+                if (v === null) return;
+                const t = block.start + i * HOUR_MS;
+                if (!truth.has(t)) truth.set(t, {});
+                truth.get(t)[f] = v;
+            });
+        }
+    }
+
+    const acc = Object.fromEntries(VERIFY_FIELDS.map((f) => [f, {
+        overall: emptyAcc(),
+        byLead: Array.from({ length: MAX_LEAD }, emptyAcc),
+    }]));
+    const verified = new Set();
+
+    for (const block of issued) {
+        for (const f of VERIFY_FIELDS) {
+            (block.values[f] ?? []).forEach((v, i) => {
+                const t = block.start + i * HOUR_MS;
+                const obs = truth.get(t)?.[f];
+                const lead = Math.round((t - block.issuedAt) / HOUR_MS);
+                if (v === null || obs === undefined || lead < 1 || lead > MAX_LEAD) return;
+                add(acc[f].overall, v - obs);
+                add(acc[f].byLead[lead - 1], v - obs);
+                verified.add(`${block.issuedAt}|${t}`);
+            });
+        }
+    }
+
+    const fields = {};
+    for (const f of VERIFY_FIELDS) {
+        const byDay = [];
+        for (let d = 0; d < MAX_LEAD / 24; d++) {
+            const day = emptyAcc();
+            for (const a of acc[f].byLead.slice(d * 24, (d + 1) * 24)) {
+                day.n += a.n;
+                day.sum += a.sum;
+                day.abs += a.abs;
+                day.sq += a.sq;
+            }
+            byDay.push({ day: d + 1, ...summarize(day) });
+        }
+        fields[f] = {
+            overall: summarize(acc[f].overall),
+            byDay,
+            byLead: acc[f].byLead.map((a, i) => ({ lead: i + 1, ...summarize(a) })),
+        };
+    }
+
+    return {
+        logging: await isLogWritable(dir),
+        issuances: issued.length,
+        verifiedHours: verified.size,
+        first: issued.length ? new Date(issued[0].issuedAt).toISOString() : null,
+        last: issued.length ? new Date(issued[issued.length - 1].issuedAt).toISOString() : null,
+        fields,
+    };
+}
+
+module.exports = {
+    VERIFY_FIELDS,
+    MAX_LEAD,
+    DEFAULT_DAYS,
+    locationKey,
+    recordIssuance,
+    readVerification,
+};
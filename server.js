@@ -1,14 +1,70 @@
 const express = require("express");
-const axios = require("axios");
 const cors = require("cors");
 const fs = require("fs");
 const path = require("path");
 const csv = require("csv-parser");
+const { parseHistoricalQuery, parseFields, readHistorical } = require("./lib/historical");
+const { HALF_WINDOW, SMOOTH_DAYS, readClimatology } = require("./lib/climatology");
+const { readHeatwaves, readLiveHeatwaves } = require("./lib/heatwaves");
+const { readStorms, detectLiveStorms } = require("./lib/storms");
+const { ROSE_SECTORS, liveRoses, readRoses } = require("./lib/rose");
+const { PERIOD, HORIZON, FIT_DAYS, readForecastModels } = require("./lib/forecast");
+const { DEFAULT_DAYS, MAX_LEAD, recordIssuance, readVerification } = require("./lib/verification");
+const { getStationArchive } = require("./lib/historicalStore");
+const { flagRows } = require("./lib/qc");
+const { fetchOpenMeteo } = require("./lib/openMeteo");
+const { createProvider } = require("./lib/providers");
+const { createLiveCache, sendCached } = require("./lib/liveCache");
+const { DEFAULT_INTERVAL_MINUTES, readSnapshots, startSnapshotPoller } = require("./lib/snapshots");
+const { STATIONS, findStation, isAtStation, resolveStationFiles } = require("./lib/stations");
+
+const DATA_DIR = path.join(__dirname, "data");
+
+// Logged live forecasts and observations (lib/verification.js); VERIFY_DIR moves
+// them, e.g. to /tmp where the deployment's own files are read-only
+const VERIFY_DIR = process.env.VERIFY_DIR || path.join(DATA_DIR, "verification");
+
+// Polled live readings (lib/snapshots.js)
+const SNAPSHOT_DIR = path.join(DATA_DIR, "snapshots");
+
+// Upstream for the live data (lib/providers.js): DATA_PROVIDER=openmeteo|record|replay|ndbc|synthetic
+const provider = createProvider(process.env.DATA_PROVIDER, { dataDir: DATA_DIR, fixtureDir: process.env.FIXTURE_DIR });
+console.log(`Live data provider: ${provider.name}`);
 
 const app = express();
 app.use(cors());
 
 // ─── /api/buoy (Live forecast via Open-Meteo Marine API) ────────────────────
+// Cached per 0.01° coordinate until the next hourly upstream update (lib/liveCache.js)
+const liveCache = createLiveCache(async (lat, lon) => {
+  const { rows, utcOffsetSeconds, partial, availability, current } = await fetchOpenMeteo(lat, lon, provider);
+
+  // Log the issuance for forecast verification; never fails the request.
+  // A partial response would take the hour's slot with missing fields, so it waits
+  if (provider.live && !partial) {
+    await recordIssuance(VERIFY_DIR, lat, lon, rows, { utcOffsetSeconds })
+      .catch((err) => console.error("Forecast log error:", err.message));
+  }
+  const data = flagRows(rows);
+
+  // Storm events and roses of the live window, by the archive detectors
+  return {
+    partial, availability, current, utcOffsetSeconds, data,
+    storms: detectLiveStorms(data, utcOffsetSeconds),
+    roses: liveRoses(data),
+  };
+}, { isComplete: (value) => !value.partial });
+
+/** Marine heatwaves in the live rows against a station's archive threshold; none without an archive. */
+async function liveHeatwaves(station, { data, utcOffsetSeconds }) {
+  const files = resolveStationFiles(station, DATA_DIR);
+  if (!files.length) return [];
+  return readLiveHeatwaves(files, data, utcOffsetSeconds).catch((err) => {
+    console.error("Live heatwave error:", err.message);
+    return [];
+  });
+}
+
 app.get("/api/buoy", async (req, res) => {
   const lat = parseFloat(req.query.lat);
   const lon = parseFloat(req.query.lon);
@@ -17,82 +73,282 @@ app.get("/api/buoy", async (req, res) => {
     return res.status(400).json({ error: "lat and lon query params are required" });
   }
 
+  // Optional: the station whose archive threshold scores live heatwaves — only at
+  // the station itself; another sea's temperatures mean nothing against it
+  const station = req.query.station ? findStation(req.query.station) : null;
+  if (req.query.station && !station) {
+    return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+  }
+  if (station && !isAtStation(station, lat, lon)) {
+    return res.status(400).json({ error: `lat / lon are not at station ${station.id}` });
+  }
+
   try {
-    const url = "https://marine-api.open-meteo.com/v1/marine";
-    const params = {
-      latitude: lat,
-      longitude: lon,
-      hourly: [
-        "wave_height",
-        "wind_wave_height",
-        "swell_wave_height",
-        "sea_surface_temperature",
-      ].join(","),
-      current: [
-        "wave_height",
-        "wave_direction",
-        "wave_period",
-      ].join(","),
-      past_days: 2,
-      forecast_days: 3,
-      timezone: "auto",
-    };
-
-    const marineRes = await axios.get(url, { params, timeout: 10000 });
-    const marine = marineRes.data;
-
-    const weatherUrl = "https://api.open-meteo.com/v1/forecast";
-    const weatherParams = {
-      latitude: lat,
-      longitude: lon,
-      hourly: [
-        "temperature_2m",
-        "wind_speed_10m",
-        "surface_pressure",
-        "sea_surface_temperature",
-      ].join(","),
-      past_days: 2,
-      forecast_days: 3,
-      timezone: "auto",
-    };
-    const weatherRes = await axios.get(weatherUrl, { params: weatherParams, timeout: 10000 });
-    const weather = weatherRes.data;
-
-    const times = weather.hourly?.time ?? [];
-    const rows = times.map((t, i) => ({
-      timestamp: t,
-      sea_surface_temp: marine.hourly?.sea_surface_temperature?.[i] ?? weather.hourly?.sea_surface_temperature?.[i] ?? null,
-      wind_speed: weather.hourly.wind_speed_10m?.[i] ?? null,
-      air_pressure: weather.hourly.surface_pressure?.[i] ?? null,
-      wave_height: marine.hourly?.wave_height?.[i] ?? null,
-    }));
-
-    res.json({ lat, lon, data: rows });
+    const entry = await liveCache.get(lat, lon);
+    sendCached(req, res, entry, {
+      lat,
+      lon,
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      stale: entry.status === "STALE",
+      availability: entry.value.availability,
+      current: entry.value.current,
+      utcOffsetSeconds: entry.value.utcOffsetSeconds,
+      heatwaves: station ? await liveHeatwaves(station, entry.value) : [],
+      storms: entry.value.storms,
+      roses: entry.value.roses,
+      data: entry.value.data,
+    });
   } catch (err) {
     console.error("Open-Meteo error:", err.message);
     res.status(502).json({ error: "Failed to fetch live data: " + err.message });
   }
 });
 
-// ─── /api/buoy-historical (CSV) ─────────────────────────────────────────────
-app.get("/api/buoy-historical", (req, res) => {
-  const filePath = path.join(__dirname, "data", "46042_master_2012_2023.csv");
-  const results = [];
+// ─── /api/buoy/archive (polled live readings, kept long-term) ───────────────
+app.get("/api/buoy/archive", async (req, res) => {
+  const station = findStation(req.query.station);
+  if (!station) {
+    return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+  }
 
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: "Historical data file not found" });
+  const { error, options } = parseHistoricalQuery({ start: req.query.start, end: req.query.end });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { coverage, rows } = await readSnapshots(SNAPSHOT_DIR, station.id, options);
+    res.json({
+      station: station.id,
+      start: options.start?.toISOString() ?? null,
+      end: options.end?.toISOString() ?? null,
+      coverage,
+      count: rows.length,
+      data: flagRows(rows),
+    });
+  } catch (err) {
+    console.error("Snapshot archive error:", err);
+    res.status(500).json({ error: "Failed to read snapshot archive" });
   }
+});
 
-  fs.createReadStream(filePath)
-    .pipe(csv())
-    .on("data", (data) => results.push(data))
-    .on("end", () => {
-      res.json(results);
-    })
-    .on("error", (err) => {
-      console.error("CSV error:", err);
-      res.status(500).json({ error: "Failed to read CSV" });
+// ─── /api/verification (skill of the logged Open-Meteo forecasts) ───────────
+app.get("/api/verification", async (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lon = parseFloat(req.query.lon);
+
+  if (isNaN(lat) || isNaN(lon)) {
+    return res.status(400).json({ error: "lat and lon query params are required" });
+  }
+
+  const days = req.query.days === undefined ? DEFAULT_DAYS : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return res.status(400).json({ error: "days must be an integer from 1 to 365" });
+  }
+
+  try {
+    const result = await readVerification(VERIFY_DIR, lat, lon, { days });
+    res.json({ lat, lon, days, maxLead: MAX_LEAD, ...result });
+  } catch (err) {
+    console.error("Verification error:", err);
+    res.status(500).json({ error: "Failed to verify forecasts" });
+  }
+});
+
+// ─── /api/buoy-historical (per-station archive, sliced + aggregated) ─────────
+app.get("/api/buoy-historical", async (req, res) => {
+  const station = findStation(req.query.station);
+  if (!station) {
+    return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+  }
+
+  const files = resolveStationFiles(station, DATA_DIR);
+  if (!files.length) {
+    return res.status(404).json({ error: `No historical data for station ${station.id}` });
+  }
+
+  const { error, options } = parseHistoricalQuery(req.query);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { fields, coverage, quality, qc, data } = await readHistorical(files, options);
+    res.json({
+      station: station.id,
+      resolution: options.resolution,
+      start: options.start?.toISOString() ?? null,
+      end: options.end?.toISOString() ?? null,
+      fields,
+      coverage,
+      quality,
+      qc,
+      count: data.length,
+      data,
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("CSV error:", err);
+    res.status(500).json({ error: "Failed to read CSV" });
+  }
+});
+
+// ─── /api/climatology (seasonal baselines from a station's archive) ─────────
+app.get("/api/climatology", async (req, res) => {
+  const station = findStation(req.query.station);
+  if (!station) {
+    return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+  }
+
+  const files = resolveStationFiles(station, DATA_DIR);
+  if (!files.length) {
+    return res.status(404).json({ error: `No historical data for station ${station.id}` });
+  }
+
+  try {
+    const { fields, coverage, climatology } = await readClimatology(files, parseFields(req.query.fields));
+    res.json({
+      station: station.id,
+      fields,
+      coverage,
+      window: 2 * HALF_WINDOW + 1,
+      smoothing: SMOOTH_DAYS,
+      climatology,
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("Climatology error:", err);
+    res.status(500).json({ error: "Failed to build climatology" });
+  }
+});
+
+// ─── /api/heatwaves (marine heatwave events, Hobday et al.) ─────────────────
+app.get("/api/heatwaves", async (req, res) => {
+  const station = findStation(req.query.station);
+  if (!station) {
+    return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+  }
+
+  const files = resolveStationFiles(station, DATA_DIR);
+  if (!files.length) {
+    return res.status(404).json({ error: `No historical data for station ${station.id}` });
+  }
+
+  // Only start / end are used; the series is always daily-mean SST
+  const { error, options } = parseHistoricalQuery({ start: req.query.start, end: req.query.end });
+  if (error) return res.status(400).json({ error });
+  const field = req.query.field || "WTMP";
+
+  try {
+    const { coverage, threshold, events } = await readHeatwaves(files, { field, ...options });
+    res.json({
+      station: station.id,
+      field,
+      start: options.start?.toISOString() ?? null,
+      end: options.end?.toISOString() ?? null,
+      coverage,
+      threshold,
+      count: events.length,
+      events,
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("Heatwave error:", err);
+    res.status(500).json({ error: "Failed to detect heatwaves" });
+  }
+});
+
+// ─── /api/storms (storm events from pressure, wind and waves) ───────────────
+app.get("/api/storms", async (req, res) => {
+  const station = findStation(req.query.station);
+  if (!station) {
+    return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+  }
+
+  const files = resolveStationFiles(station, DATA_DIR);
+  if (!files.length) {
+    return res.status(404).json({ error: `No historical data for station ${station.id}` });
+  }
+
+  // Only start / end are used; detection always reads PRES / WSPD / WVHT
+  const { error, options } = parseHistoricalQuery({ start: req.query.start, end: req.query.end });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { coverage, criteria, events } = await readStorms(files, options);
+    res.json({
+      station: station.id,
+      start: options.start?.toISOString() ?? null,
+      end: options.end?.toISOString() ?? null,
+      coverage,
+      criteria,
+      count: events.length,
+      events,
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("Storm detection error:", err);
+    res.status(500).json({ error: "Failed to detect storms" });
+  }
+});
+
+// ─── /api/rose (wind and wave roses for a date range) ───────────────────────
+app.get("/api/rose", async (req, res) => {
+  const station = findStation(req.query.station);
+  if (!station) {
+    return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+  }
+
+  const files = resolveStationFiles(station, DATA_DIR);
+  if (!files.length) {
+    return res.status(404).json({ error: `No historical data for station ${station.id}` });
+  }
+
+  // Only start / end are used; roses always read WDIR / WSPD and MWD / WVHT
+  const { error, options } = parseHistoricalQuery({ start: req.query.start, end: req.query.end });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const { coverage, roses } = await readRoses(files, options);
+    res.json({
+      station: station.id,
+      start: options.start?.toISOString() ?? null,
+      end: options.end?.toISOString() ?? null,
+      coverage,
+      sectors: ROSE_SECTORS,
+      roses,
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("Rose error:", err);
+    res.status(500).json({ error: "Failed to compute roses" });
+  }
+});
+
+// ─── /api/forecast (Holt-Winters models trained on a station's archive) ─────
+app.get("/api/forecast", async (req, res) => {
+  const station = findStation(req.query.station);
+  if (!station) {
+    return res.status(400).json({ error: `Unknown station: ${req.query.station}` });
+  }
+
+  const files = resolveStationFiles(station, DATA_DIR);
+  if (!files.length) {
+    return res.status(404).json({ error: `No historical data for station ${station.id}` });
+  }
+
+  try {
+    const { fields, coverage, models } = await readForecastModels(files, parseFields(req.query.fields));
+    res.json({
+      station: station.id,
+      fields,
+      coverage,
+      period: PERIOD,
+      horizon: HORIZON,
+      trainingDays: FIT_DAYS,
+      models,
     });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("Forecast model error:", err);
+    res.status(500).json({ error: "Failed to train forecast models" });
+  }
 });
 
 // ─── /api/fisheries (Unified Risk Framework) ───────────────────────────────
@@ -104,8 +360,14 @@ app.get("/api/fisheries", async (req, res) => {
   // 1. Fetch live SST for Climate Stress Score
   let climateStressData = { sst_avg: 28.5 };
   try {
-    const sstRes = await axios.get(`https://marine-api.open-meteo.com/v1/marine?latitude=-2&longitude=81&hourly=sea_surface_temperature&past_days=1&forecast_days=1`);
-    const sstData = sstRes.data.hourly?.sea_surface_temperature || [];
+    const sstRes = await provider.fetch("marine", {
+      latitude: -2,
+      longitude: 81,
+      hourly: "sea_surface_temperature",
+      past_days: 1,
+      forecast_days: 1,
+    });
+    const sstData = sstRes.hourly?.sea_surface_temperature || [];
     const validSst = sstData.filter(v => v !== null);
     if (validSst.length > 0) {
       climateStressData.sst_avg = validSst.reduce((a, b) => a + b, 0) / validSst.length;
@@ -187,4 +449,33 @@ app.get("/api/fisheries", async (req, res) => {
 });
 
 const PORT = process.env.PORT || 6000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// Poll every station's live readings into the snapshot archive (0 turns it off).
+// Only real upstream data is archived — replayed or generated readings would pollute it.
+const SNAPSHOT_INTERVAL_MINUTES = Number(process.env.SNAPSHOT_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+if (provider.live && SNAPSHOT_INTERVAL_MINUTES > 0) {
+  startSnapshotPoller(STATIONS, SNAPSHOT_DIR, {
+    intervalMinutes: SNAPSHOT_INTERVAL_MINUTES,
+    // Through the live cache, so a poll and /api/buoy share one upstream call per hour
+    fetchRows: async (lat, lon) => {
+      const { value } = await liveCache.get(lat, lon);
+      return { rows: value.data, utcOffsetSeconds: value.utcOffsetSeconds, partial: value.partial };
+    },
+  });
+}
+
+// Parse every station's historical archive up front so the first request is served from memory,
+// then fit its forecast models in the background (lib/forecast.js yields while it searches)
+for (const station of STATIONS) {
+  const files = resolveStationFiles(station, DATA_DIR);
+  if (!files.length) continue;
+  getStationArchive(files)
+    .then((a) => {
+      console.log(`Historical archive indexed for ${station.id}: ${a.times.length} rows`);
+      return readForecastModels(files, null)
+        .then(({ fields }) => console.log(`Forecast models fitted for ${station.id}: ${fields.join(", ")}`))
+        .catch((err) => console.error(`Forecast model fit failed for ${station.id}:`, err.message));
+    })
+    .catch((err) => console.error(`Historical archive index failed for ${station.id}:`, err.message));
+}
@@ -6,20 +6,71 @@ import LoadingSpinner from './components/LoadingSpinner';
 import HistoricalChart from './components/HistoricalChart';
 import OceanAnalyticsSummary, { LIVE_ANALYTICS_PARAMS, HIST_ANALYTICS_PARAMS } from './components/OceanAnalyticsSummary';
 import FisheriesIntelligence from './components/FisheriesIntelligence';
+import StormTimeline from './components/StormTimeline';
+import ForecastVerification from './components/ForecastVerification';
+import RoseChart from './components/RoseChart';
+import StationComparison from './components/StationComparison';
+import DateRangePicker from './components/DateRangePicker';
 import { useBuoyData } from './hooks/useBuoyData';
 import { useHistoricalBuoyData } from './hooks/useHistoricalBuoyData';
-import { LOCATIONS, PARAMETERS } from './data/constants';
+import { useClimatology } from './hooks/useClimatology';
+import { useHeatwaves } from './hooks/useHeatwaves';
+import { useStorms } from './hooks/useStorms';
+import { useForecastModels } from './hooks/useForecastModels';
+import { useForecastVerification } from './hooks/useForecastVerification';
+import { useRose } from './hooks/useRose';
+import { useStationConditions } from './hooks/useStationConditions';
+import { useCustomLocations } from './hooks/useCustomLocations';
+import { useComparisonData } from './hooks/useComparisonData';
+import { withClimatology } from './utils/climatology';
+import { withHeatwaves } from './utils/heatwaves';
+import { toUtcMs } from './utils/compare';
+import { windowRows, stormZoom, formatZoom } from './utils/zoom';
+import { withForecast } from './utils/forecast';
+import { LOCATIONS, MAP_POINT_ID, PARAMETERS, ANOMALY_DIRECTIONS } from './data/constants';
+import { QC_MODES } from './utils/qc';
+import { formatDirection } from './utils/direction';
+import { mapPointLocation } from './utils/geo';
+import { DETECTOR_OPTIONS, DEFAULT_DETECTOR } from './utils/detectors';
 
-const YEARS = Array.from({ length: 2023 - 2012 + 1 }, (_, i) => 2023 - i); // [2023..2012]
+// Fallback year list until the station's archive coverage is known
+const DEFAULT_YEARS = Array.from({ length: 2023 - 2012 + 1 }, (_, i) => 2023 - i); // [2023..2012]
 
-// Max rows to pass to charts — prevents the renderer from stalling on huge sets.
-const MAX_RENDER_ROWS = 5000;
+// Server-side aggregation levels offered for the historical view
+const RESOLUTIONS = [
+    { value: 'raw', label: 'Raw' },
+    { value: 'hourly', label: 'Hourly' },
+    { value: 'daily', label: 'Daily' },
+    { value: 'monthly', label: 'Monthly' },
+];
 
-// ─── Moving Average Toggle ────────────────────────────────────────────────────
-function MAToggle({ enabled, onToggle }) {
+// Only the columns the historical charts actually plot are requested
+const HIST_FIELDS = HIST_ANALYTICS_PARAMS.map((p) => p.key);
+
+// Row key → archive column whose seasonal baseline scores it
+const HIST_CLIM_MAP = Object.fromEntries(HIST_FIELDS.map((f) => [f, f]));
+const LIVE_CLIM_MAP = Object.fromEntries(
+    PARAMETERS.filter((p) => p.archiveField).map((p) => [p.key, p.archiveField])
+);
+
+// SST series marine heatwaves are detected on, per view
+const HIST_SST_KEY = 'WTMP';
+const LIVE_SST_KEY = 'sea_surface_temp';
+
+// Open-Meteo wind comes in km/h, the archive's in m/s
+const KMH_TO_MS = 1 / 3.6;
+
+// Live row key → archive model it is forecast with (wind models are in m/s)
+const LIVE_FORECAST_MAP = {
+    ...Object.fromEntries(Object.entries(LIVE_CLIM_MAP).map(([key, field]) => [key, { field }])),
+    wind_speed: { field: 'WSPD', scale: 1 / KMH_TO_MS },
+};
+
+// ─── On/off switch (moving average, forecast) ─────────────────────────────────
+function SwitchToggle({ id, label, enabled, onToggle }) {
     return (
         <label
-            htmlFor="ma-toggle"
+            htmlFor={id}
             style={{
                 display: 'inline-flex', alignItems: 'center', gap: 8,
                 cursor: 'pointer', userSelect: 'none',
@@ -38,7 +89,7 @@ function MAToggle({ enabled, onToggle }) {
                 }}
             >
                 <input
-                    id="ma-toggle"
+                    id={id}
                     type="checkbox"
                     checked={enabled}
                     onChange={onToggle}
@@ -59,13 +110,100 @@ function MAToggle({ enabled, onToggle }) {
                     transition: 'left 0.2s, background 0.2s',
                 }} />
             </span>
-            Show 24h Trend Line
+            {label}
         </label>
     );
 }
 
+// ─── QC display mode: show / grey out / hide suspect and failed points ────────
+function QcModeToggle({ mode, onChange }) {
+    return (
+        <div
+            role="group"
+            aria-label="Quality-flagged points"
+            style={{
+                display: 'inline-flex', alignItems: 'center', gap: 4,
+                background: 'rgba(36,144,204,0.08)',
+                border: '1px solid rgba(36,144,204,0.2)',
+                borderRadius: 99, padding: '0.2rem 0.3rem 0.2rem 0.75rem',
+                fontSize: '0.72rem', color: '#4db8e8',
+            }}
+        >
+            <span style={{ marginRight: 4 }}>QC-flagged points</span>
+            {QC_MODES.map((m) => (
+                <button
+                    key={m.value}
+                    onClick={() => onChange(m.value)}
+                    style={{
+                        background: mode === m.value ? 'rgba(0,212,255,0.2)' : 'transparent',
+                        border: 'none', borderRadius: 99,
+                        padding: '0.15rem 0.55rem', cursor: 'pointer',
+                        fontSize: '0.7rem', fontWeight: mode === m.value ? 700 : 400,
+                        color: mode === m.value ? '#00d4ff' : '#4db8e8',
+                    }}
+                >
+                    {m.label}
+                </button>
+            ))}
+        </div>
+    );
+}
+
+// ─── Anomaly detector picker ──────────────────────────────────────────────────
+function DetectorSelect({ value, onChange }) {
+    return (
+        <label
+            style={{
+                display: 'inline-flex', alignItems: 'center', gap: 8,
+                fontSize: '0.72rem', color: '#4db8e8',
+            }}
+        >
+            Anomaly detector
+            <select
+                className="ocean-select"
+                style={{ width: 'auto', minWidth: 150, padding: '0.3rem 0.6rem', fontSize: '0.72rem' }}
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+            >
+                {DETECTOR_OPTIONS.map((d) => (
+                    <option key={d.value} value={d.value}>{d.label}</option>
+                ))}
+            </select>
+        </label>
+    );
+}
+
+// ─── Zoom window every chart shares: drag hint, or its span + reset ───────────
+function ZoomBadge({ zoom, onReset }) {
+    if (!zoom) {
+        return (
+            <span style={{ alignSelf: 'center', fontSize: '0.68rem', color: '#4db8e8', opacity: 0.7 }}>
+                Drag across a chart to zoom
+            </span>
+        );
+    }
+    return (
+        <button
+            onClick={onReset}
+            title="Show the full range"
+            style={{
+                display: 'inline-flex', alignItems: 'center', gap: 6,
+                background: 'rgba(0,212,255,0.1)', border: '1px solid rgba(0,212,255,0.3)',
+                borderRadius: 99, padding: '0.3rem 0.75rem',
+                fontSize: '0.72rem', color: '#00d4ff', cursor: 'pointer',
+            }}
+        >
+            🔍 {formatZoom(zoom)} · Reset
+        </button>
+    );
+}
+
 export default function App() {
     const [locationId, setLocationId] = useState(LOCATIONS[0].id);
+    const [mapPoint, setMapPoint] = useState(null);         // ad-hoc location picked on the map
+    const {
+        locations: customLocations, add: addLocation, update: updateLocation, remove: removeLocation,
+    } = useCustomLocations();
     const [activeParams, setActiveParams] = useState(['sea_surface_temp', 'wind_speed', 'air_pressure']);
 
     // ── Sidebar State (Mobile) ────────────────────────────────────────────────
@@ -74,20 +212,80 @@ export default function App() {
     const closeSidebar = useCallback(() => setIsSidebarOpen(false), []);
 
     // ── View mode + year filter ── ─────────────────────────────────────────────
-    const [viewMode, setViewMode] = useState('live');        // 'live' | 'historical'
+    const [viewMode, setViewMode] = useState('live');        // 'live' | 'historical' | 'fisheries' | 'verification' | 'compare'
     const [selectedYear, setSelectedYear] = useState(2023); // Default latest year
+    const [histResolution, setHistResolution] = useState('hourly');
+
+    // ── Archive date range: { start, end } picked by hand, null = the selected year
+    const [histRange, setHistRange] = useState(null);
+    const selectYear = useCallback((year) => {
+        setSelectedYear(year);
+        setHistRange(null);
+    }, []);
+    const histSpan = useMemo(
+        () => histRange ?? { start: `${selectedYear}-01-01`, end: `${selectedYear}-12-31` },
+        [histRange, selectedYear]
+    );
+    // Epoch ms bounds of the span, end exclusive
+    const histFrom = Date.parse(histSpan.start);
+    const histTo = Date.parse(histSpan.end) + 24 * 3600 * 1000;
+
+    // ── Year-over-year overlay: extra years drawn with the selected one ─────────
+    const [showOverlay, setShowOverlay] = useState(false);
+    const toggleOverlay = useCallback(() => setShowOverlay((v) => !v), []);
+    const [overlayExtraYears, setOverlayExtraYears] = useState([]);
+    const toggleOverlayYear = useCallback((year) => {
+        setOverlayExtraYears((prev) => (prev.includes(year) ? prev.filter((y) => y !== year) : [...prev, year]));
+    }, []);
 
     // ── Moving average toggle ──────────────────────────────────────────────────
     const [showMA, setShowMA] = useState(false);
     const toggleMA = useCallback(() => setShowMA((v) => !v), []);
 
-    const location = LOCATIONS.find((l) => l.id === locationId) || LOCATIONS[0];
+    // ── Archive-trained forecast band on the live charts ───────────────────────
+    const [showForecast, setShowForecast] = useState(false);
+    const toggleForecast = useCallback(() => setShowForecast((v) => !v), []);
+
+    // ── QC display mode — anything but 'show' also drops failed points from stats
+    const [qcMode, setQcMode] = useState('show');
+    const excludeFailed = qcMode !== 'show';
+
+    // ── Anomaly detector (utils/detectors.js) used by every chart and summary
+    const [detector, setDetector] = useState(DEFAULT_DETECTOR);
+
+    // ── Per-parameter anomaly side: 'high' | 'low' | 'both' ─────────────────────
+    const [anomalyDirections, setAnomalyDirections] = useState(ANOMALY_DIRECTIONS);
+    const setAnomalyDirection = useCallback(
+        (key, direction) => setAnomalyDirections((prev) => ({ ...prev, [key]: direction })),
+        []
+    );
+
+    // ── Forecast verification window (days of logged issuances)
+    const [verifyDays, setVerifyDays] = useState(30);
+
+    // ── Comparison view: locations in selection order (first = reference) + parameter
+    const [compareIds, setCompareIds] = useState(['rama_23003', 'bay_of_bengal']);
+    const [compareParam, setCompareParam] = useState('sea_surface_temp');
+
+    // ── Window every chart is zoomed to (utils/zoom.js; null = full range) — set
+    //    by dragging across a chart or picking a storm
+    const [zoom, setZoom] = useState(null);
+
+    const location = (locationId === MAP_POINT_ID && mapPoint)
+        || LOCATIONS.find((l) => l.id === locationId)
+        || customLocations.find((l) => l.id === locationId)
+        || LOCATIONS[0];
+
+    // Archive-backed hooks take a station id; map points and custom locations have none
+    const stationId = LOCATIONS.includes(location) ? location.id : null;
 
     const isHistorical = viewMode === 'historical';
 
     // ── Live data hook (auto-refresh paused when in historical mode) ──────────
-    const { data, loading, error, lastUpdated, refetch, pauseRefresh, resumeRefresh } =
-        useBuoyData(location.lat, location.lon);
+    const {
+        data, availability, current: seaState, utcOffsetSeconds, heatwaves: liveHeatwaves, storms: liveStorms, roses: liveRoses,
+        loading, error, lastUpdated, refetch, pauseRefresh, resumeRefresh,
+    } = useBuoyData(location.lat, location.lon, stationId);
 
     // Pause auto-refresh when historical mode is active
     useEffect(() => {
@@ -98,30 +296,137 @@ export default function App() {
         }
     }, [isHistorical, pauseRefresh, resumeRefresh]);
 
-    // ── Historical data hook — lazy, cached; never re-fetches ─────────────────
-    const { allData: histAllData, hasLoaded, loading: histLoading, error: histError, load: loadHistorical } =
-        useHistoricalBuoyData();
+    // ── Historical data hook — lazy; the server slices the selected station + range
+    const histQuery = useMemo(() => ({
+        station: stationId,
+        start: histSpan.start,
+        end: histSpan.end,
+        fields: HIST_FIELDS,
+        resolution: histResolution,
+    }), [stationId, histSpan, histResolution]);
+
+    const {
+        data: histData, coverage: histCoverage, quality: histQuality,
+        unavailable: histUnavailable, loading: histLoading, error: histError,
+    } = useHistoricalBuoyData(histQuery, isHistorical);
+
+    // Year options follow the archive, so newly added yearly files show up
+    const years = useMemo(() => {
+        if (!histCoverage) return DEFAULT_YEARS;
+        const first = new Date(histCoverage.first).getUTCFullYear();
+        const last = new Date(histCoverage.last).getUTCFullYear();
+        return Array.from({ length: last - first + 1 }, (_, i) => last - i);
+    }, [histCoverage]);
+
+    // ── Daily means of the whole archive for the year-over-year overlay; the
+    //    years not overlaid form its reference mean and envelope
+    const overlayQuery = useMemo(() => ({
+        station: stationId,
+        start: `${years[years.length - 1]}-01-01`,
+        end: `${years[0]}-12-31`,
+        fields: HIST_FIELDS,
+        resolution: 'daily',
+    }), [stationId, years]);
+
+    const {
+        data: overlayRows, loading: overlayLoading, error: overlayError,
+    } = useHistoricalBuoyData(overlayQuery, isHistorical && showOverlay && Boolean(histCoverage));
+
+    const overlay = useMemo(() => (showOverlay
+        ? { rows: overlayRows, years: [selectedYear, ...overlayExtraYears.filter((y) => y !== selectedYear && years.includes(y))] }
+        : null
+    ), [showOverlay, overlayRows, selectedYear, overlayExtraYears, years]);
+
+    // ── Seasonal baselines — anomalies are scored against "normal for the
+    //    time of year" wherever the station has an archive
+    const { climatology } = useClimatology(stationId, HIST_FIELDS, viewMode !== 'fisheries');
 
-    // Trigger fetch exactly once, the first time user opens Historical mode
+    // ── Marine heatwaves — archive events and the threshold curve the charts
+    //    shade against; live-window events come with the live rows
+    const { events: archiveHeatwaves, threshold: heatwaveThreshold } =
+        useHeatwaves(stationId, viewMode !== 'fisheries');
+
+    const histHeatwaves = useMemo(
+        () => archiveHeatwaves.filter((e) => Date.parse(e.end) >= histFrom && Date.parse(e.start) < histTo),
+        [archiveHeatwaves, histFrom, histTo]
+    );
+
+    // Stable props for the memoized charts
+    const liveHeatwaveProp = useMemo(() => ({ key: LIVE_SST_KEY, events: liveHeatwaves }), [liveHeatwaves]);
+    const histHeatwaveProp = useMemo(() => ({ key: HIST_SST_KEY, events: histHeatwaves }), [histHeatwaves]);
+
+    const liveData = useMemo(
+        () => withHeatwaves(
+            withClimatology(data, climatology, LIVE_CLIM_MAP, 'hourly', utcOffsetSeconds),
+            LIVE_SST_KEY, liveHeatwaves, heatwaveThreshold, utcOffsetSeconds
+        ),
+        [data, climatology, utcOffsetSeconds, liveHeatwaves, heatwaveThreshold]
+    );
+
+    // ── Storm events — all from the server: archive events from /api/storms,
+    //    live-window events with the /api/buoy rows
+    const { events: archiveStorms, error: stormError } = useStorms(stationId, viewMode !== 'fisheries');
+
+    const histStorms = useMemo(
+        () => archiveStorms.filter((e) => Date.parse(e.end) >= histFrom && Date.parse(e.start) < histTo),
+        [archiveStorms, histFrom, histTo]
+    );
+
+    // Time span the timeline track covers, per view
+    const liveStormRange = useMemo(
+        () => (data.length
+            ? [toUtcMs(data[0].timestamp, utcOffsetSeconds), toUtcMs(data[data.length - 1].timestamp, utcOffsetSeconds)]
+            : [0, 0]),
+        [data, utcOffsetSeconds]
+    );
+    const histStormRange = useMemo(() => [histFrom, histTo], [histFrom, histTo]);
+
+    // ── Wind and wave roses — all from the server: the archive range from
+    //    /api/rose, the live window with the /api/buoy rows
+    const { roses: histRoses, loading: roseLoading, error: roseError } =
+        useRose(stationId, histSpan.start, histSpan.end, isHistorical);
+
+    // A zoom belongs to one station / view / date range
     useEffect(() => {
-        if (isHistorical && !hasLoaded && !histLoading) {
-            loadHistorical();
-        }
-    }, [isHistorical, hasLoaded, histLoading, loadHistorical]);
+        setZoom(null);
+    }, [location, viewMode, histSpan]);
+
+    // Zooming the archive needs hourly rows to show anything of a storm
+    const selectStorm = useCallback((event) => {
+        setZoom(stormZoom(event));
+        if (event && isHistorical) setHistResolution('hourly');
+    }, [isHistorical]);
+    const resetZoom = useCallback(() => setZoom(null), []);
+
+    // ── Skill of the logged Open-Meteo forecasts for this location
+    const {
+        verification, loading: verifyLoading, error: verifyError,
+    } = useForecastVerification(location.lat, location.lon, verifyDays, viewMode === 'verification');
+
+    // ── Forecast models trained on the archive, run on the live rows
+    const { models: forecastModels } = useForecastModels(stationId, viewMode === 'live');
+
+    // Live rows inside the zoom window — the charts, stats and summary all use them
+    const liveWindow = useMemo(() => windowRows(liveData, zoom, utcOffsetSeconds), [liveData, zoom, utcOffsetSeconds]);
+
+    const liveChartData = useMemo(
+        () => windowRows(showForecast ? withForecast(liveData, forecastModels, LIVE_FORECAST_MAP, { utcOffsetSeconds }) : liveData, zoom, utcOffsetSeconds),
+        [liveData, forecastModels, showForecast, utcOffsetSeconds, zoom]
+    );
 
-    // ── Memoized stats (only recalculates when live data or params change) ──────
+    // ── Memoized stats (only recalculates when the window or params change) ─────
     const stats = useMemo(
-        () => OceanChart.computeStats(data, activeParams),
-        [data, activeParams]
+        () => OceanChart.computeStats(liveWindow, activeParams, { excludeFailed, detector, directions: anomalyDirections }),
+        [liveWindow, activeParams, excludeFailed, detector, anomalyDirections]
     );
 
-    // ── Client-side year filter + render cap (both memoized) ──────────────────
-    const filteredHistorical = useMemo(() => {
-        const yearRows = histAllData.filter((r) => r.year === selectedYear);
-        return yearRows.length > MAX_RENDER_ROWS
-            ? yearRows.slice(yearRows.length - MAX_RENDER_ROWS)
-            : yearRows;
-    }, [histAllData, selectedYear]);
+    // ── Seasonal baseline and heatwave columns, then the zoom window (memoized).
+    //    Every row goes to the charts — they downsample for drawing
+    //    (utils/downsample.js) but score stats on the full window
+    const histWindow = useMemo(() => withHeatwaves(
+        withClimatology(windowRows(histData, zoom), climatology, HIST_CLIM_MAP, histResolution),
+        HIST_SST_KEY, histHeatwaves, heatwaveThreshold
+    ), [histData, zoom, climatology, histResolution, histHeatwaves, heatwaveThreshold]);
 
     // ── Stable callbacks ───────────────────────────────────────────────────────
     const toggleParam = useCallback((key) => {
@@ -136,6 +441,44 @@ export default function App() {
         setLocationId(id);
     }, []);
 
+    const handlePickPoint = useCallback((lat, lon) => {
+        setMapPoint(mapPointLocation(lat, lon));
+        setLocationId(MAP_POINT_ID);
+    }, []);
+
+    // Deleting the location being viewed falls back to the first station
+    const handleRemoveLocation = useCallback((id) => {
+        removeLocation(id);
+        setLocationId((current) => (current === id ? LOCATIONS[0].id : current));
+    }, [removeLocation]);
+
+    // ── Station map: every location coloured by its latest SST / anomaly ─────
+    const mapLocations = useMemo(
+        () => [...LOCATIONS, ...customLocations, ...(mapPoint ? [mapPoint] : [])],
+        [customLocations, mapPoint]
+    );
+    const { conditions: stationConditions } = useStationConditions(mapLocations, true, {
+        detector,
+        direction: anomalyDirections.sea_surface_temp,
+    });
+
+    // ── Comparison: live rows for each selected location ──────────────────────
+    const compareLocations = useMemo(
+        () => compareIds.map((id) => mapLocations.find((l) => l.id === id)).filter(Boolean),
+        [compareIds, mapLocations]
+    );
+    const { series: compareSeries, loading: compareLoading } =
+        useComparisonData(compareLocations, viewMode === 'compare');
+
+    const toggleCompare = useCallback((id) => {
+        setCompareIds((prev) => (prev.includes(id) ? prev.filter((k) => k !== id) : [...prev, id]));
+    }, []);
+
+    const compareOptions = useMemo(
+        () => ({ excludeFailed, detector, directions: anomalyDirections }),
+        [excludeFailed, detector, anomalyDirections]
+    );
+
     // ── Filter live analytics params to only what is active ───────────────────
     const liveAnalyticsParams = useMemo(
         () => LIVE_ANALYTICS_PARAMS.filter((p) => activeParams.includes(p.key)),
@@ -143,6 +486,12 @@ export default function App() {
     );
 
     // ── Format last-updated timestamp ─────────────────────────────────────────
+    // Shown live parameters an upstream source couldn't supply this refresh
+    const unavailableParams = useMemo(
+        () => PARAMETERS.filter((p) => activeParams.includes(p.key) && availability?.[p.key]?.available === false),
+        [availability, activeParams]
+    );
+
     const lastUpdatedStr = useMemo(
         () => lastUpdated
             ? lastUpdated.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', second: '2-digit' })
@@ -160,7 +509,10 @@ export default function App() {
         }}>
             {/* ── Sidebar ──────────────────────────────────────────────────────── */}
             <Sidebar
-                locationId={locationId} onLocationChange={handleLocationChange}
+                location={location} onLocationChange={handleLocationChange}
+                mapLocations={mapLocations} conditions={stationConditions} onPickPoint={handlePickPoint}
+                customLocations={customLocations} onAddLocation={addLocation}
+                onUpdateLocation={updateLocation} onRemoveLocation={handleRemoveLocation}
                 activeParams={activeParams} onToggleParam={toggleParam}
                 onRefresh={refetch}
                 isOpen={isSidebarOpen} onClose={closeSidebar}
@@ -190,7 +542,11 @@ export default function App() {
                                 Ocean Data Explorer
                             </h1>
                             <div style={{ color: '#4db8e8', fontSize: '0.8rem', marginTop: '0.25rem' }}>
-                                {location.label} &nbsp;·&nbsp; {isHistorical ? `Historical Data — ${selectedYear}` : 'Live Hourly Data'}
+                                {viewMode === 'compare'
+                                    ? `${compareLocations.length} locations · Station Comparison`
+                                    : <>{location.label} &nbsp;·&nbsp; {isHistorical
+                                        ? `Historical Data — ${histRange ? `${histRange.start} → ${histRange.end}` : selectedYear}`
+                                        : viewMode === 'verification' ? 'Forecast Verification' : 'Live Hourly Data'}</>}
                             </div>
                         </div>
                     </div>
@@ -216,6 +572,18 @@ export default function App() {
                             >
                                 🎣 Fisheries
                             </button>
+                            <button
+                                className={viewMode === 'verification' ? 'active' : ''}
+                                onClick={() => setViewMode('verification')}
+                            >
+                                🎯 Verification
+                            </button>
+                            <button
+                                className={viewMode === 'compare' ? 'active' : ''}
+                                onClick={() => setViewMode('compare')}
+                            >
+                                ⚖️ Compare
+                            </button>
                         </div>
 
                         {/* ── Year filter (historical mode only) ─────────────────── */}
@@ -223,15 +591,41 @@ export default function App() {
                             <select
                                 className="ocean-select"
                                 style={{ width: 'auto', minWidth: 110 }}
-                                value={selectedYear}
-                                onChange={(e) => setSelectedYear(Number(e.target.value))}
+                                value={histRange ? '' : selectedYear}
+                                onChange={(e) => selectYear(Number(e.target.value))}
                             >
-                                {YEARS.map((y) => (
+                                {histRange && <option value="" disabled>Custom range</option>}
+                                {years.map((y) => (
                                     <option key={y} value={y}>{y}</option>
                                 ))}
                             </select>
                         )}
 
+                        {/* ── Any date range inside the archive (historical mode only) */}
+                        {isHistorical && (
+                            <DateRangePicker
+                                start={histSpan.start}
+                                end={histSpan.end}
+                                min={histCoverage?.first?.slice(0, 10)}
+                                max={histCoverage?.last?.slice(0, 10)}
+                                onApply={setHistRange}
+                            />
+                        )}
+
+                        {/* ── Resolution (historical mode only) ──────────────────── */}
+                        {isHistorical && (
+                            <select
+                                className="ocean-select"
+                                style={{ width: 'auto', minWidth: 110 }}
+                                value={histResolution}
+                                onChange={(e) => setHistResolution(e.target.value)}
+                            >
+                                {RESOLUTIONS.map((r) => (
+                                    <option key={r.value} value={r.value}>{r.label}</option>
+                                ))}
+                            </select>
+                        )}
+
                         {/* Live-mode badges */}
                         {!isHistorical && (
                             <>
@@ -248,6 +642,20 @@ export default function App() {
                                         ⚠ {error}
                                     </div>
                                 )}
+                                {unavailableParams.length > 0 && (
+                                    <div
+                                        title={unavailableParams.map((p) => `${p.label}: ${availability[p.key].reason}`).join('\n')}
+                                        style={{
+                                            display: 'flex', alignItems: 'center', gap: 6,
+                                            background: 'rgba(251,146,60,0.1)',
+                                            border: '1px solid rgba(251,146,60,0.3)',
+                                            borderRadius: 99, padding: '0.25rem 0.7rem',
+                                            fontSize: '0.7rem', color: '#fb923c',
+                                        }}
+                                    >
+                                        ⚠ Partial data — {unavailableParams.map((p) => p.label).join(', ')} unavailable
+                                    </div>
+                                )}
                                 {lastUpdatedStr && (
                                     <div
                                         style={{
@@ -272,11 +680,26 @@ export default function App() {
                                         {data.length} observations
                                     </div>
                                 )}
+                                {seaState?.wave_height != null && (
+                                    <div
+                                        title="Latest sea state from the Open-Meteo Marine API"
+                                        style={{
+                                            background: 'rgba(36,144,204,0.08)',
+                                            border: '1px solid rgba(36,144,204,0.15)',
+                                            borderRadius: 99, padding: '0.25rem 0.7rem',
+                                            fontSize: '0.7rem', color: '#4db8e8',
+                                        }}
+                                    >
+                                        🌊 Now {seaState.wave_height.toFixed(1)} m
+                                        {seaState.wave_period != null && ` · ${seaState.wave_period.toFixed(1)} s`}
+                                        {seaState.wave_direction != null && ` from ${formatDirection(seaState.wave_direction)}`}
+                                    </div>
+                                )}
                             </>
                         )}
 
                         {/* Historical badge */}
-                        {isHistorical && !histLoading && !histError && (
+                        {isHistorical && !histLoading && !histError && !histUnavailable && (
                             <div
                                 style={{
                                     background: 'rgba(36,144,204,0.08)',
@@ -285,7 +708,7 @@ export default function App() {
                                     fontSize: '0.7rem', color: '#4db8e8',
                                 }}
                             >
-                                {filteredHistorical.length} records
+                                {histWindow.length} records
                             </div>
                         )}
                     </div>
@@ -307,20 +730,136 @@ export default function App() {
                                 {histError}. Make sure the backend server is running on port 5000.
                             </div>
                         </div>
+                    ) : histUnavailable ? (
+                        <div
+                            className="glass-card flex flex-col items-center justify-center gap-4"
+                            style={{ height: 340, textAlign: 'center', padding: '2rem' }}
+                        >
+                            <div style={{ fontSize: '2rem' }}>🗄️</div>
+                            <div style={{ color: '#4db8e8', fontWeight: 700 }}>No historical archive for this station</div>
+                            <div style={{ color: '#4db8e8', fontSize: '0.8rem', maxWidth: 360, opacity: 0.8 }}>
+                                {stationId
+                                    ? `${location.label} has no archive files in data/ yet. Pick another location to browse its record.`
+                                    : `${location.label} is not a station, so it has live data only. Pick a station to browse its record.`}
+                            </div>
+                        </div>
                     ) : (
                         <div className="flex flex-col gap-8">
-                            {/* Moving Average Toggle */}
-                            <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
-                                <MAToggle enabled={showMA} onToggle={toggleMA} />
+                            {/* Detector, QC + Moving Average Toggles */}
+                            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, flexWrap: 'wrap' }}>
+                                <DetectorSelect value={detector} onChange={setDetector} />
+                                <QcModeToggle mode={qcMode} onChange={setQcMode} />
+                                <SwitchToggle id="overlay-toggle" label="Year-over-year" enabled={showOverlay} onToggle={toggleOverlay} />
+                                {!showOverlay && (
+                                    <SwitchToggle id="ma-toggle" label="Show 24h Trend Line" enabled={showMA} onToggle={toggleMA} />
+                                )}
+                                {!showOverlay && <ZoomBadge zoom={zoom} onReset={resetZoom} />}
                             </div>
 
-                            {/* Charts */}
-                            <HistoricalChart data={filteredHistorical} showMovingAverage={showMA} />
+                            {/* Years drawn over the selected one */}
+                            {showOverlay && (
+                                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: 6, flexWrap: 'wrap' }}>
+                                    <span style={{ fontSize: '0.7rem', color: '#4db8e8' }}>Compare {selectedYear} with</span>
+                                    {years.filter((y) => y !== selectedYear).map((y) => (
+                                        <button
+                                            key={y}
+                                            className={`param-pill ${overlayExtraYears.includes(y) ? 'active' : ''}`}
+                                            style={{ fontSize: '0.7rem', padding: '0.2rem 0.6rem' }}
+                                            onClick={() => toggleOverlayYear(y)}
+                                        >
+                                            {y}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+
+                            {/* Charts + storm timeline */}
+                            <div className="grid gap-6 items-start xl:grid-cols-[minmax(0,1fr)_18rem]">
+                                {showOverlay && overlayLoading ? (
+                                    <LoadingSpinner message="Loading daily means for every archive year…" />
+                                ) : showOverlay && overlayError ? (
+                                    <div className="glass-card flex items-center justify-center" style={{ height: 300, color: '#ff4d6d', fontSize: '0.8rem' }}>
+                                        {overlayError}
+                                    </div>
+                                ) : (
+                                    <HistoricalChart
+                                        data={histWindow}
+                                        quality={histQuality}
+                                        showMovingAverage={showMA}
+                                        qcMode={qcMode}
+                                        heatwaves={histHeatwaveProp}
+                                        detector={detector}
+                                        directions={anomalyDirections}
+                                        onDirectionChange={setAnomalyDirection}
+                                        overlay={overlay}
+                                        onZoom={setZoom}
+                                        resolution={histResolution}
+                                    />
+                                )}
+                                <div className="flex flex-col gap-6">
+                                    <StormTimeline
+                                        events={histStorms}
+                                        range={histStormRange}
+                                        selected={zoom?.event ?? null}
+                                        onSelect={selectStorm}
+                                        error={stormError}
+                                    />
+                                    <RoseChart
+                                        roses={histRoses}
+                                        subtitle={`${histRange ? `${histRange.start} → ${histRange.end}` : selectedYear} · hourly archive`}
+                                        loading={roseLoading}
+                                        error={roseError}
+                                    />
+                                </div>
+                            </div>
 
                             {/* Analytics Summary Panel */}
-                            <OceanAnalyticsSummary data={filteredHistorical} params={HIST_ANALYTICS_PARAMS} />
+                            <OceanAnalyticsSummary
+                                data={histWindow}
+                                params={HIST_ANALYTICS_PARAMS}
+                                excludeFailed={excludeFailed}
+                                detector={detector}
+                                directions={anomalyDirections}
+                                resolution={histResolution}
+                            />
                         </div>
                     )
+                ) : viewMode === 'verification' ? (
+                    /* ── VERIFICATION VIEW ──────────────────────────────────────── */
+                    verifyLoading && !verification ? (
+                        <LoadingSpinner message="Verifying logged forecasts…" />
+                    ) : verifyError ? (
+                        <div
+                            className="glass-card flex flex-col items-center justify-center gap-4"
+                            style={{ height: 340, textAlign: 'center', padding: '2rem' }}
+                        >
+                            <div style={{ fontSize: '2rem' }}>🎯</div>
+                            <div style={{ color: '#ff4d6d', fontWeight: 700 }}>Unable to load forecast verification</div>
+                            <div style={{ color: '#4db8e8', fontSize: '0.8rem', maxWidth: 360 }}>
+                                {verifyError}. Make sure the backend server is running on port 5000.
+                            </div>
+                        </div>
+                    ) : (
+                        <ForecastVerification verification={verification} days={verifyDays} onDaysChange={setVerifyDays} />
+                    )
+                ) : viewMode === 'compare' ? (
+                    /* ── COMPARISON VIEW ────────────────────────────────────────── */
+                    <div className="flex flex-col gap-6">
+                        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, flexWrap: 'wrap' }}>
+                            <DetectorSelect value={detector} onChange={setDetector} />
+                            <QcModeToggle mode={qcMode} onChange={setQcMode} />
+                        </div>
+                        <StationComparison
+                            locations={mapLocations}
+                            selectedIds={compareIds}
+                            onToggle={toggleCompare}
+                            paramKey={compareParam}
+                            onParamChange={setCompareParam}
+                            series={compareSeries}
+                            loading={compareLoading}
+                            options={compareOptions}
+                        />
+                    </div>
                 ) : viewMode === 'fisheries' ? (
                     /* ── FISHERIES VIEW ─────────────────────────────────────────── */
                     <FisheriesIntelligence currentData={data[data.length - 1] || {}} />
@@ -355,13 +894,43 @@ export default function App() {
                         </div>
                     ) : (
                         <div className="flex flex-col gap-8">
-                            {/* Moving Average Toggle */}
-                            <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
-                                <MAToggle enabled={showMA} onToggle={toggleMA} />
+                            {/* Detector, QC, Forecast + Moving Average Toggles */}
+                            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, flexWrap: 'wrap' }}>
+                                <DetectorSelect value={detector} onChange={setDetector} />
+                                <QcModeToggle mode={qcMode} onChange={setQcMode} />
+                                {forecastModels && (
+                                    <SwitchToggle id="forecast-toggle" label="Show Model Forecast" enabled={showForecast} onToggle={toggleForecast} />
+                                )}
+                                <SwitchToggle id="ma-toggle" label="Show 24h Trend Line" enabled={showMA} onToggle={toggleMA} />
+                                <ZoomBadge zoom={zoom} onReset={resetZoom} />
                             </div>
 
-                            {/* Charts */}
-                            <OceanChart data={data} activeParams={activeParams} showMovingAverage={showMA} />
+                            {/* Charts + storm timeline */}
+                            <div className="grid gap-6 items-start xl:grid-cols-[minmax(0,1fr)_18rem]">
+                                <OceanChart
+                                    data={liveChartData}
+                                    activeParams={activeParams}
+                                    showMovingAverage={showMA}
+                                    showForecast={showForecast && Boolean(forecastModels)}
+                                    qcMode={qcMode}
+                                    heatwaves={liveHeatwaveProp}
+                                    detector={detector}
+                                    directions={anomalyDirections}
+                                    onDirectionChange={setAnomalyDirection}
+                                    availability={availability}
+                                    onZoom={setZoom}
+                                    utcOffsetSeconds={utcOffsetSeconds}
+                                />
+                                <div className="flex flex-col gap-6">
+                                    <StormTimeline
+                                        events={liveStorms}
+                                        range={liveStormRange}
+                                        selected={zoom?.event ?? null}
+                                        onSelect={selectStorm}
+                                    />
+                                    <RoseChart roses={liveRoses} subtitle="Live window · past 2 days + 3-day forecast" />
+                                </div>
+                            </div>
 
                             {/* Existing Stats */}
                             <div>
@@ -373,11 +942,17 @@ export default function App() {
                                 >
                                     Summary Statistics
                                 </div>
-                                <StatsCards stats={stats} activeParams={activeParams} dataCount={data.length} />
+                                <StatsCards stats={stats} activeParams={activeParams} dataCount={liveWindow.length} />
                             </div>
 
                             {/* Analytics Summary Panel */}
-                            <OceanAnalyticsSummary data={data} params={liveAnalyticsParams} />
+                            <OceanAnalyticsSummary
+                                data={liveWindow}
+                                params={liveAnalyticsParams}
+                                excludeFailed={excludeFailed}
+                                detector={detector}
+                                directions={anomalyDirections}
+                            />
                         </div>
                     )
                 )}
@@ -0,0 +1,190 @@
+import React, { memo, useState } from 'react';
+import { formatLatLon } from '../utils/geo';
+
+const EMPTY_FORM = { name: '', lat: '', lon: '', notes: '' };
+
+const inputStyle = {
+    background: 'var(--color-ocean-900)',
+    border: '1px solid var(--color-ocean-600)',
+    borderRadius: '0.4rem',
+    padding: '0.35rem 0.55rem',
+    color: '#e2f4ff',
+    fontSize: '0.75rem',
+    width: '100%',
+    outline: 'none',
+};
+
+const linkButtonStyle = {
+    background: 'none',
+    border: 'none',
+    padding: 0,
+    color: '#4db8e8',
+    fontSize: '0.7rem',
+    cursor: 'pointer',
+};
+
+const actionButtonStyle = {
+    background: 'rgba(0,212,255,0.08)',
+    border: '1px solid rgba(0,212,255,0.25)',
+    borderRadius: '0.4rem',
+    padding: '0.3rem 0.6rem',
+    color: '#00d4ff',
+    fontSize: '0.7rem',
+    cursor: 'pointer',
+};
+
+function Field({ label, error, children }) {
+    return (
+        <label style={{ display: 'flex', flexDirection: 'column', gap: 3, fontSize: '0.62rem', color: '#4db8e8' }}>
+            {label}
+            {children}
+            {error && <span style={{ color: '#ff4d6d' }}>{error}</span>}
+        </label>
+    );
+}
+
+// ─── Add / edit form ─────────────────────────────────────────────────────────
+function LocationForm({ initial, submitLabel, onSubmit, onCancel }) {
+    const [form, setForm] = useState(initial);
+    const [errors, setErrors] = useState({});
+    const set = (key) => (e) => setForm((f) => ({ ...f, [key]: e.target.value }));
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const result = onSubmit(form);
+        setErrors(result.errors);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 6 }}>
+            <Field label="Name" error={errors.name}>
+                <input style={inputStyle} value={form.name} onChange={set('name')} maxLength={60} autoFocus />
+            </Field>
+            <div style={{ display: 'flex', gap: 6 }}>
+                <Field label="Lat (°N)" error={errors.lat}>
+                    <input style={inputStyle} value={form.lat} onChange={set('lat')} inputMode="decimal" placeholder="-2.5" />
+                </Field>
+                <Field label="Lon (°E)" error={errors.lon}>
+                    <input style={inputStyle} value={form.lon} onChange={set('lon')} inputMode="decimal" placeholder="81.0" />
+                </Field>
+            </div>
+            <Field label="Notes (optional)" error={errors.notes}>
+                <textarea style={{ ...inputStyle, resize: 'vertical' }} rows={2} value={form.notes} onChange={set('notes')} maxLength={500} />
+            </Field>
+            <div style={{ display: 'flex', gap: 6 }}>
+                <button type="submit" style={actionButtonStyle}>{submitLabel}</button>
+                <button type="button" style={{ ...linkButtonStyle, marginLeft: 4 }} onClick={onCancel}>Cancel</button>
+            </div>
+        </form>
+    );
+}
+
+// ─── Saved locations: select, edit, delete, add ──────────────────────────────
+/**
+ * The user's own locations (hooks/useCustomLocations.js). A map point being
+ * browsed can be saved straight from here.
+ *
+ * @param {Array<object>} locations  custom locations
+ * @param {string}        selectedId
+ * @param {object|null}   mapPoint   current map point location, if one is selected
+ * @param {function}      onSelect   (id) → void
+ * @param {function}      onAdd      (input) → { id, errors }
+ * @param {function}      onUpdate   (id, input) → { errors }
+ * @param {function}      onRemove   (id) → void
+ */
+function CustomLocations({ locations, selectedId, mapPoint, onSelect, onAdd, onUpdate, onRemove }) {
+    // null | { mode: 'add', initial } | { mode: 'edit', id, initial }
+    const [editing, setEditing] = useState(null);
+
+    const startAdd = () => setEditing({
+        mode: 'add',
+        initial: mapPoint ? { ...EMPTY_FORM, lat: String(mapPoint.lat), lon: String(mapPoint.lon) } : EMPTY_FORM,
+    });
+
+    const handleSubmit = (input) => {
+        if (editing.mode === 'edit') {
+            const result = onUpdate(editing.id, input);
+            if (!Object.keys(result.errors).length) setEditing(null);
+            return result;
+        }
+        const result = onAdd(input);
+        if (result.id) {
+            setEditing(null);
+            onSelect(result.id);
+        }
+        return result;
+    };
+
+    const handleRemove = (loc) => {
+        if (window.confirm(`Delete “${loc.label}”?`)) onRemove(loc.id);
+    };
+
+    return (
+        <div>
+            {!locations.length && !editing && (
+                <div style={{ fontSize: '0.65rem', color: '#4db8e8', opacity: 0.7, lineHeight: 1.5, marginBottom: 6 }}>
+                    Save your own points of interest to find them again here and on the map.
+                </div>
+            )}
+
+            <div className="flex flex-col gap-1">
+                {locations.map((loc) => {
+                    const active = loc.id === selectedId;
+                    return (
+                        <div
+                            key={loc.id}
+                            className={`param-pill ${active ? 'active' : ''}`}
+                            style={{ flexDirection: 'column', alignItems: 'stretch', gap: 2 }}
+                            onClick={() => onSelect(loc.id)}
+                            title={loc.notes || undefined}
+                        >
+                            <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                                <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>◆ {loc.label}</span>
+                                <span style={{ marginLeft: 'auto', display: 'flex', gap: 8 }}>
+                                    <button
+                                        style={linkButtonStyle}
+                                        title="Edit"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            setEditing({
+                                                mode: 'edit',
+                                                id: loc.id,
+                                                initial: { name: loc.label, lat: String(loc.lat), lon: String(loc.lon), notes: loc.notes ?? '' },
+                                            });
+                                        }}
+                                    >
+                                        ✎
+                                    </button>
+                                    <button
+                                        style={{ ...linkButtonStyle, color: '#ff4d6d' }}
+                                        title="Delete"
+                                        onClick={(e) => { e.stopPropagation(); handleRemove(loc); }}
+                                    >
+                                        ✕
+                                    </button>
+                                </span>
+                            </div>
+                            <div style={{ fontSize: '0.6rem', opacity: 0.7 }}>{formatLatLon(loc.lat, loc.lon)}</div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {editing ? (
+                <LocationForm
+                    key={editing.id ?? 'add'}
+                    initial={editing.initial}
+                    submitLabel={editing.mode === 'edit' ? 'Save changes' : 'Add location'}
+                    onSubmit={handleSubmit}
+                    onCancel={() => setEditing(null)}
+                />
+            ) : (
+                <button style={{ ...linkButtonStyle, marginTop: 6 }} onClick={startAdd}>
+                    {mapPoint ? '＋ Save this map point' : '＋ Add location'}
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default memo(CustomLocations);
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+
+const INPUT = {
+    background: 'rgba(4,24,46,0.6)', border: '1px solid rgba(36,144,204,0.3)',
+    borderRadius: '0.5rem', padding: '0.25rem 0.5rem',
+    color: '#e0f4ff', fontSize: '0.75rem', colorScheme: 'dark',
+};
+
+// ─── Any start / end inside the archive; applied together ─────────────────────
+/**
+ * @param {string}   start    'YYYY-MM-DD' currently shown
+ * @param {string}   end      'YYYY-MM-DD' currently shown
+ * @param {string}   [min]    first archive day
+ * @param {string}   [max]    last archive day
+ * @param {function} onApply  ({ start, end }) → void
+ */
+export default function DateRangePicker({ start, end, min, max, onApply }) {
+    const [draft, setDraft] = useState({ start, end });
+
+    // Follow the range when it changes elsewhere (year select, station switch)
+    useEffect(() => {
+        setDraft({ start, end });
+    }, [start, end]);
+
+    const invalid = !draft.start || !draft.end || draft.start > draft.end
+        || (min && draft.start < min) || (max && draft.end > max);
+    const changed = draft.start !== start || draft.end !== end;
+
+    return (
+        <form
+            style={{ display: 'flex', alignItems: 'center', gap: 6 }}
+            onSubmit={(e) => {
+                e.preventDefault();
+                if (!invalid && changed) onApply(draft);
+            }}
+        >
+            <input
+                type="date"
+                aria-label="Start date"
+                style={INPUT}
+                value={draft.start}
+                min={min}
+                max={draft.end || max}
+                onChange={(e) => setDraft((d) => ({ ...d, start: e.target.value }))}
+            />
+            <span style={{ color: '#4db8e8', fontSize: '0.75rem' }}>→</span>
+            <input
+                type="date"
+                aria-label="End date"
+                style={INPUT}
+                value={draft.end}
+                min={draft.start || min}
+                max={max}
+                onChange={(e) => setDraft((d) => ({ ...d, end: e.target.value }))}
+            />
+            <button
+                type="submit"
+                className="param-pill active"
+                disabled={invalid || !changed}
+                title={invalid ? `Pick a start before the end${min && max ? `, between ${min} and ${max}` : ''}` : undefined}
+                style={{ fontSize: '0.7rem', padding: '0.2rem 0.6rem', opacity: invalid || !changed ? 0.5 : 1 }}
+            >
+                Apply
+            </button>
+        </form>
+    );
+}
@@ -0,0 +1,35 @@
+import React from 'react';
+import { DIRECTIONS } from '../utils/detectors';
+
+// ─── Per-chart switch: flag high, low or both sides as anomalies ──────────────
+export default function DirectionToggle({ value = 'both', onChange }) {
+    if (!onChange) return null;
+    return (
+        <div
+            role="group"
+            aria-label="Anomaly direction"
+            style={{
+                display: 'inline-flex', gap: 2,
+                background: 'rgba(36,144,204,0.08)', border: '1px solid rgba(36,144,204,0.2)',
+                borderRadius: 99, padding: 2,
+            }}
+        >
+            {DIRECTIONS.map((d) => (
+                <button
+                    key={d.value}
+                    title={d.title}
+                    onClick={() => onChange(d.value)}
+                    style={{
+                        background: value === d.value ? 'rgba(0,212,255,0.2)' : 'transparent',
+                        border: 'none', borderRadius: 99, cursor: 'pointer',
+                        padding: '0.1rem 0.45rem', fontSize: '0.62rem',
+                        color: value === d.value ? '#00d4ff' : '#4db8e8',
+                        fontWeight: value === d.value ? 700 : 400,
+                    }}
+                >
+                    {d.label}
+                </button>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,146 @@
+import React, { memo } from 'react';
+import {
+    ComposedChart, Line, XAxis, YAxis, CartesianGrid,
+    Tooltip, ResponsiveContainer, ReferenceLine,
+} from 'recharts';
+import { PARAMETERS } from '../data/constants';
+
+// ─── Static style objects ─────────────────────────────────────────────────────
+const CHART_MARGIN = { top: 10, right: 16, left: 0, bottom: 0 };
+const GRID_STYLE = { strokeDasharray: '3 3', stroke: 'rgba(36,144,204,0.1)', vertical: false };
+const AXIS_TICK = { fill: '#4db8e8', fontSize: 10 };
+const AXIS_LINE = { stroke: 'rgba(36,144,204,0.2)' };
+const TOOLTIP_STYLE = {
+    background: 'rgba(4,24,46,0.95)', border: '1px solid rgba(0,212,255,0.35)',
+    borderRadius: '0.6rem', fontSize: '0.75rem',
+};
+
+export const VERIFICATION_DAYS = [7, 30, 90];
+
+const fmt = (v) => (v === null || v === undefined ? '—' : Number(v).toFixed(2));
+const fmtDate = (iso) => new Date(iso).toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+const CELL = { padding: '0.3rem 0.5rem', textAlign: 'right' };
+
+// ─── Per-parameter skill card: day table + metrics by lead hour ───────────────
+function SkillCard({ param, skill }) {
+    return (
+        <div className="glass-card p-5">
+            <div className="flex items-center gap-2 mb-4">
+                <div style={{ width: 3, height: 18, borderRadius: 2, background: param.color }} />
+                <span style={{ fontWeight: 700, fontSize: '0.9rem', color: param.color }}>{param.label}</span>
+                <span style={{ fontSize: '0.7rem', color: '#4db8e8', opacity: 0.7 }}>({param.unit})</span>
+                <span style={{ marginLeft: 'auto', fontSize: '0.68rem', color: '#4db8e8' }}>
+                    {skill.overall.n} verified hours
+                </span>
+            </div>
+
+            {!skill.overall.n ? (
+                <div style={{ fontSize: '0.75rem', color: '#4db8e8', opacity: 0.8 }}>Nothing verified yet.</div>
+            ) : (
+                <>
+                    <table style={{ width: '100%', fontSize: '0.72rem', color: '#87d4f4', borderCollapse: 'collapse', marginBottom: 12 }}>
+                        <thead>
+                            <tr style={{ color: '#4db8e8', fontSize: '0.62rem', textTransform: 'uppercase', letterSpacing: '0.08em' }}>
+                                <th style={{ ...CELL, textAlign: 'left' }}>Lead</th>
+                                <th style={CELL}>n</th>
+                                <th style={CELL}>Bias</th>
+                                <th style={CELL}>MAE</th>
+                                <th style={CELL}>RMSE</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {skill.byDay.map((d) => (
+                                <tr key={d.day} style={{ borderTop: '1px solid rgba(36,144,204,0.12)' }}>
+                                    <td style={{ ...CELL, textAlign: 'left' }}>Day {d.day}</td>
+                                    <td style={CELL}>{d.n}</td>
+                                    <td style={CELL}>{d.bias > 0 ? '+' : ''}{fmt(d.bias)}</td>
+                                    <td style={CELL}>{fmt(d.mae)}</td>
+                                    <td style={CELL}>{fmt(d.rmse)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <ResponsiveContainer width="100%" height={180}>
+                        <ComposedChart data={skill.byLead} margin={CHART_MARGIN}>
+                            <CartesianGrid {...GRID_STYLE} />
+                            <XAxis dataKey="lead" tick={AXIS_TICK} axisLine={AXIS_LINE} tickLine={false} unit="h" interval="preserveStartEnd" />
+                            <YAxis tick={AXIS_TICK} axisLine={false} tickLine={false} width={44} />
+                            <Tooltip
+                                contentStyle={TOOLTIP_STYLE}
+                                labelFormatter={(lead) => `Lead ${lead} h`}
+                                formatter={(v, name) => [fmt(v), name]}
+                            />
+                            <ReferenceLine y={0} stroke="rgba(0,212,255,0.35)" />
+                            <Line dataKey="rmse" name="RMSE" stroke="#ef4444" dot={false} strokeWidth={1.5} connectNulls isAnimationActive={false} />
+                            <Line dataKey="mae" name="MAE" stroke={param.color} dot={false} strokeWidth={2} connectNulls isAnimationActive={false} />
+                            <Line dataKey="bias" name="Bias" stroke="#a78bfa" dot={false} strokeWidth={1.5} strokeDasharray="4 3" connectNulls isAnimationActive={false} />
+                        </ComposedChart>
+                    </ResponsiveContainer>
+                </>
+            )}
+        </div>
+    );
+}
+
+// ─── Why there is nothing to score yet ────────────────────────────────────────
+function NoSkill({ verification: v }) {
+    const text = v.logging === false
+        ? 'This server cannot write its forecast log, so nothing is being logged here. '
+            + 'Set VERIFY_DIR to a writable directory to start verifying.'
+        : !v.issuances
+            ? 'Nothing has been logged for this location yet. Open the live view: each refresh logs '
+                + 'the forecast, at most once an hour.'
+            : 'Forecasts have been logged, but none of their hours have passed and been re-fetched yet. '
+                + 'Scores appear once a later refresh logs the values for the forecast hours.';
+    return (
+        <div className="glass-card p-5" style={{ fontSize: '0.75rem', color: '#4db8e8', opacity: 0.85, lineHeight: 1.5 }}>
+            {text}
+        </div>
+    );
+}
+
+// ─── Forecast verification dashboard ──────────────────────────────────────────
+function ForecastVerification({ verification, days, onDaysChange }) {
+    const v = verification;
+    return (
+        <div className="flex flex-col gap-6">
+            <div className="glass-card p-5" style={{ display: 'flex', alignItems: 'center', gap: 16, flexWrap: 'wrap' }}>
+                <div style={{ flex: 1, minWidth: 220 }}>
+                    <div style={{ fontSize: '0.65rem', fontWeight: 700, letterSpacing: '0.12em', color: '#4db8e8', textTransform: 'uppercase', marginBottom: 4 }}>
+                        Open-Meteo forecast verification
+                    </div>
+                    <div style={{ fontSize: '0.78rem', color: '#87d4f4' }}>
+                        {v?.issuances
+                            ? `${v.issuances} issuances logged ${fmtDate(v.first)} – ${fmtDate(v.last)} · ${v.verifiedHours} forecast hours verified`
+                            : 'No forecasts logged for this location yet.'}
+                    </div>
+                    <div style={{ fontSize: '0.68rem', color: '#4db8e8', opacity: 0.75, marginTop: 4 }}>
+                        Each live refresh logs the forecast (at most hourly); hours are verified against Open-Meteo's
+                        later values for them. Bias = forecast − observed.
+                    </div>
+                </div>
+                <div className="view-toggle">
+                    {VERIFICATION_DAYS.map((d) => (
+                        <button key={d} className={days === d ? 'active' : ''} onClick={() => onDaysChange(d)}>
+                            {d} d
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {v && !v.verifiedHours && <NoSkill verification={v} />}
+
+            {v?.verifiedHours > 0 && (
+                <div className="grid gap-6 lg:grid-cols-2">
+                    {PARAMETERS.filter((p) => v.fields[p.key]).map((p) => (
+                        <SkillCard key={p.key} param={p} skill={v.fields[p.key]} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default memo(ForecastVerification);
@@ -0,0 +1,39 @@
+import React from 'react';
+import { HEATWAVE_COLORS } from '../utils/heatwaves';
+
+const fmtDay = (iso) => new Date(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+// ─── Marine heatwave list shown under the SST chart ───────────────────────────
+export default function HeatwaveEvents({ events, unit = '°C' }) {
+    if (!events?.length) return null;
+    return (
+        <div style={{ marginTop: 12, paddingTop: 10, borderTop: '1px solid rgba(36,144,204,0.12)' }}>
+            <div style={{ fontSize: '0.62rem', fontWeight: 700, letterSpacing: '0.1em', color: '#fb923c', textTransform: 'uppercase', marginBottom: 6 }}>
+                🌡 {events.length} marine heatwave{events.length === 1 ? '' : 's'}
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+                {events.map((e) => {
+                    const color = HEATWAVE_COLORS[e.category];
+                    return (
+                        <div
+                            key={e.start}
+                            style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap', fontSize: '0.7rem', color: '#87d4f4' }}
+                        >
+                            <span style={{
+                                background: `${color}1a`, border: `1px solid ${color}55`,
+                                borderRadius: 99, padding: '0.1rem 0.5rem',
+                                fontSize: '0.64rem', fontWeight: 700, color, textTransform: 'capitalize',
+                            }}>
+                                {e.category}
+                            </span>
+                            <span>{fmtDay(e.start)} – {fmtDay(e.end)}</span>
+                            <span style={{ opacity: 0.75 }}>
+                                {e.duration} d · peak +{Number(e.intensityMax).toFixed(2)} {unit} · cumulative {Number(e.intensityCumulative).toFixed(1)} {unit}·days
+                            </span>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -1,9 +1,17 @@
 import React, { useMemo, memo } from 'react';
 import {
-    ComposedChart, Line, XAxis, YAxis, CartesianGrid,
-    Tooltip, ResponsiveContainer,
+    ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid,
+    Tooltip, ResponsiveContainer, ReferenceArea,
 } from 'recharts';
 import { computeStats, computeMovingAverage } from '../utils/anomaly';
+import { getDetector } from '../utils/detectors';
+import { applyQcMode, isFlagged, qcFlag } from '../utils/qc';
+import { OVERLAY_COLORS, formatYearSpans, yearOverlay } from '../utils/yearOverlay';
+import { downsampleMinMax, MAX_RENDER_POINTS } from '../utils/downsample';
+import QcBadge, { QcDot } from './QcBadge';
+import HeatwaveEvents from './HeatwaveEvents';
+import DirectionToggle from './DirectionToggle';
+import { useDragZoom } from '../hooks/useDragZoom';
 
 // ─── Historical chart configuration (stable reference — defined outside component) ─
 const HIST_PARAMS = [
@@ -19,6 +27,8 @@ const XAXIS_STYLE = { fill: '#4db8e8', fontSize: 9 };
 const XAXIS_LINE = { stroke: 'rgba(36,144,204,0.2)' };
 const YAXIS_STYLE = { fill: '#4db8e8', fontSize: 10 };
 const ACTIVE_DOT = { r: 5, stroke: '#fff', strokeWidth: 1 };
+const NO_DIRECTIONS = {};
+const ZOOM_AREA = { fill: 'rgba(0,212,255,0.12)', stroke: 'rgba(0,212,255,0.5)', strokeOpacity: 0.6 };
 
 // ─── Tooltip ─────────────────────────────────────────────────────────────────
 function HistTooltip({ active, payload, label, unit }) {
@@ -41,7 +51,11 @@ function HistTooltip({ active, payload, label, unit }) {
                 >
                     <span>{entry.name}</span>
                     <span style={{ fontWeight: 700 }}>
-                        {entry.value != null ? `${Number(entry.value).toFixed(2)} ${unit}` : '—'}
+                        {entry.value == null
+                            ? '—'
+                            : Array.isArray(entry.value)
+                                ? `${Number(entry.value[0]).toFixed(2)} – ${Number(entry.value[1]).toFixed(2)} ${unit}`
+                                : `${Number(entry.value).toFixed(2)} ${unit}`}
                     </span>
                 </div>
             ))}
@@ -53,7 +67,10 @@ function HistTooltip({ active, payload, label, unit }) {
 function AnomalyBadge({ s }) {
     if (!s || s.anomalyCount === 0) return null;
     return (
-        <div style={{ display: 'flex', alignItems: 'center', gap: 5, flexWrap: 'wrap' }}>
+        <div
+            title={`Detector: ${getDetector(s.detector).label}`}
+            style={{ display: 'flex', alignItems: 'center', gap: 5, flexWrap: 'wrap' }}
+        >
             <div style={{
                 display: 'flex', alignItems: 'center', gap: 5,
                 background: 'rgba(255,77,109,0.12)', border: '1px solid rgba(255,77,109,0.3)',
@@ -62,6 +79,9 @@ function AnomalyBadge({ s }) {
             }}>
                 <span style={{ width: 6, height: 6, borderRadius: '50%', background: '#ff4d6d', display: 'inline-block' }} />
                 {s.anomalyCount} anomal{s.anomalyCount === 1 ? 'y' : 'ies'}
+                {s.direction === 'both' && s.highCount > 0 && s.lowCount > 0 && (
+                    <span style={{ opacity: 0.8 }}>(▲{s.highCount} ▼{s.lowCount})</span>
+                )}
             </div>
             {s.moderateCount > 0 && (
                 <div style={{
@@ -81,12 +101,47 @@ function AnomalyBadge({ s }) {
     );
 }
 
+// ─── Data-quality note: how many fill values / impossible readings were dropped ─
+function QualityNote({ q }) {
+    if (!q) return null;
+    const dropped = q.sentinel + q.outOfRange;
+
+    if (dropped === 0) {
+        return (
+            <div style={{ fontSize: '0.68rem', color: '#4db8e8', opacity: 0.6, marginTop: -8, marginBottom: 12 }}>
+                ✓ No fill values or out-of-range readings
+            </div>
+        );
+    }
+
+    const parts = [];
+    if (q.sentinel > 0) parts.push(`${q.sentinel.toLocaleString()} fill value${q.sentinel === 1 ? '' : 's'}`);
+    if (q.outOfRange > 0) parts.push(`${q.outOfRange.toLocaleString()} out-of-range reading${q.outOfRange === 1 ? '' : 's'}`);
+
+    return (
+        <div style={{ fontSize: '0.68rem', color: '#fbbf24', opacity: 0.85, marginTop: -8, marginBottom: 12 }}>
+            ⚠ {parts.join(' and ')} removed ({(dropped / q.total * 100).toFixed(1)}% of {q.total.toLocaleString()} raw values)
+        </div>
+    );
+}
+
 // ─── Single parameter chart — memoized ────────────────────────────────────────
-const HistParamChart = memo(function HistParamChart({ param, chartData, stats, showMovingAverage }) {
+// `chartData` is every row of the zoom window; the line is drawn from a
+// min/max downsample of it that keeps anomalies and (greyed) QC flags
+const HistParamChart = memo(function HistParamChart({
+    param, chartData, stats, quality, showMovingAverage, qcMode, heatwaveEvents, direction, onDirectionChange, onZoom,
+}) {
     const s = stats[param.key];
 
+    const renderData = useMemo(() => downsampleMinMax(
+        chartData, param.key, MAX_RENDER_POINTS,
+        (row, i) => (s?.levels[i] && s.levels[i] !== 'normal') || (qcMode === 'grey' && isFlagged(row, param.key))
+    ), [chartData, param.key, s, qcMode]);
+
+    const { handlers: zoomHandlers, selection } = useDragZoom(renderData, onZoom);
+
     const validCount = useMemo(
-        () => chartData.filter(r => !isNaN(r[param.key])).length,
+        () => chartData.filter(r => r[param.key] != null && !isNaN(r[param.key])).length,
         [chartData, param.key]
     );
 
@@ -96,6 +151,19 @@ const HistParamChart = memo(function HistParamChart({ param, chartData, stats, s
     );
 
     const maKey = `${param.key}_ma`;
+    const climKey = `${param.key}_clim`;
+    const bandKey = `${param.key}_band`;
+    const hasBaseline = s?.baseline === 'climatology';
+
+    // Grey mode marks QC-flagged points; otherwise the line is drawn bare
+    const dot = useMemo(() => {
+        if (qcMode !== 'grey') return false;
+        return ({ key, cx, cy, payload }) => (
+            isFlagged(payload, param.key)
+                ? <QcDot key={key} cx={cx} cy={cy} flag={qcFlag(payload, param.key)} />
+                : null
+        );
+    }, [qcMode, param.key]);
 
     return (
         <div className="glass-card p-5">
@@ -109,20 +177,34 @@ const HistParamChart = memo(function HistParamChart({ param, chartData, stats, s
                     <span style={{ fontSize: '0.7rem', color: '#4db8e8', opacity: 0.7 }}>({param.unit})</span>
                 </div>
                 <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                    <QcBadge s={s} excluded={qcMode !== 'show'} />
                     <AnomalyBadge s={s} />
-                    <span style={{
-                        background: 'rgba(36,144,204,0.10)',
-                        border: '1px solid rgba(36,144,204,0.2)',
-                        borderRadius: 99, padding: '0.2rem 0.6rem',
-                        fontSize: '0.68rem', color: '#4db8e8',
-                    }}>
+                    <DirectionToggle value={direction} onChange={onDirectionChange && ((d) => onDirectionChange(param.key, d))} />
+                    <span
+                        title={renderData.length < chartData.length
+                            ? `Drawn from ${renderData.length.toLocaleString()} rows keeping each span's highs and lows — zoom in for every point`
+                            : undefined}
+                        style={{
+                            background: 'rgba(36,144,204,0.10)',
+                            border: '1px solid rgba(36,144,204,0.2)',
+                            borderRadius: 99, padding: '0.2rem 0.6rem',
+                            fontSize: '0.68rem', color: '#4db8e8',
+                        }}
+                    >
                         {validCount} pts
                     </span>
                 </div>
             </div>
 
+            <QualityNote q={quality?.[param.key]} />
+            {hasBaseline && (
+                <div style={{ fontSize: '0.68rem', color: '#4db8e8', opacity: 0.6, marginTop: -8, marginBottom: 12 }}>
+                    Shaded band: seasonal normal ±2σ from the station's full archive · anomalies scored against it
+                </div>
+            )}
+
             <ResponsiveContainer width="100%" height={240}>
-                <ComposedChart data={chartData} margin={{ top: 10, right: 16, left: 0, bottom: 0 }}>
+                <ComposedChart data={renderData} margin={{ top: 10, right: 16, left: 0, bottom: 0 }} {...zoomHandlers}>
                     <CartesianGrid {...GRID_STYLE} />
                     <XAxis
                         dataKey="label"
@@ -140,6 +222,47 @@ const HistParamChart = memo(function HistParamChart({ param, chartData, stats, s
                     />
                     <Tooltip content={<HistTooltip unit={param.unit} />} />
 
+                    {/* Seasonal baseline: normal ±2σ band and climatological mean */}
+                    {hasBaseline && (
+                        <Area
+                            type="monotone"
+                            dataKey={bandKey}
+                            name="Normal ±2σ"
+                            stroke="none"
+                            fill={param.color}
+                            fillOpacity={0.1}
+                            activeDot={false}
+                            isAnimationActive={false}
+                        />
+                    )}
+                    {/* Marine heatwaves: shaded between threshold and SST */}
+                    {heatwaveEvents?.length > 0 && (
+                        <Area
+                            type="monotone"
+                            dataKey={`${param.key}_mhw`}
+                            name="Heatwave (above p90)"
+                            stroke="none"
+                            fill="#ef4444"
+                            fillOpacity={0.4}
+                            activeDot={false}
+                            connectNulls={false}
+                            isAnimationActive={false}
+                        />
+                    )}
+                    {hasBaseline && (
+                        <Line
+                            type="monotone"
+                            dataKey={climKey}
+                            name="Seasonal normal"
+                            stroke="rgba(255,255,255,0.35)"
+                            strokeWidth={1}
+                            strokeDasharray="3 3"
+                            dot={false}
+                            activeDot={false}
+                            isAnimationActive={false}
+                        />
+                    )}
+
                     {/* Main data line */}
                     <Line
                         type="monotone"
@@ -147,7 +270,7 @@ const HistParamChart = memo(function HistParamChart({ param, chartData, stats, s
                         name={param.label}
                         stroke={param.color}
                         strokeWidth={2}
-                        dot={false}
+                        dot={dot}
                         activeDot={activeDot}
                         connectNulls={false}
                         isAnimationActive={false}
@@ -169,6 +292,117 @@ const HistParamChart = memo(function HistParamChart({ param, chartData, stats, s
                             isAnimationActive={false}
                         />
                     )}
+
+                    {/* Span being dragged across to zoom */}
+                    {selection && <ReferenceArea x1={selection[0]} x2={selection[1]} {...ZOOM_AREA} />}
+                </ComposedChart>
+            </ResponsiveContainer>
+
+            <HeatwaveEvents events={heatwaveEvents} unit={param.unit} />
+        </div>
+    );
+});
+
+// ─── Year-over-year: chosen years on a day-of-year axis over the other years ──
+const HistOverlayChart = memo(function HistOverlayChart({ param, rows, years, excludeFailed }) {
+    const { data, referenceYears, offsets } = useMemo(
+        () => yearOverlay(rows, param.key, years, { excludeFailed }),
+        [rows, param.key, years, excludeFailed]
+    );
+    const refLabel = referenceYears.length ? formatYearSpans(referenceYears) : null;
+
+    return (
+        <div className="glass-card p-5">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-4 gap-3 flex-wrap">
+                <div className="flex items-center gap-2">
+                    <div style={{ width: 3, height: 18, borderRadius: 2, background: param.color }} />
+                    <span style={{ fontWeight: 700, fontSize: '0.9rem', color: param.color }}>
+                        {param.label}
+                    </span>
+                    <span style={{ fontSize: '0.7rem', color: '#4db8e8', opacity: 0.7 }}>({param.unit}) · daily means</span>
+                </div>
+                <div style={{ display: 'flex', gap: '0.3rem 0.8rem', flexWrap: 'wrap', fontSize: '0.68rem' }}>
+                    {years.map((y, i) => (
+                        <span
+                            key={y}
+                            style={{ color: OVERLAY_COLORS[i % OVERLAY_COLORS.length] }}
+                            title={refLabel ? `Mean departure from the ${refLabel} mean, over the days both have` : undefined}
+                        >
+                            {y} {offsets[y] != null && `${offsets[y] > 0 ? '+' : ''}${offsets[y].toFixed(2)} ${param.unit}`}
+                        </span>
+                    ))}
+                </div>
+            </div>
+
+            <div style={{ fontSize: '0.68rem', color: '#4db8e8', opacity: 0.6, marginTop: -8, marginBottom: 12 }}>
+                {refLabel
+                    ? `Grey: ${refLabel} mean (dashed) and min–max envelope`
+                    : 'No other archive years to compare against'}
+            </div>
+
+            <ResponsiveContainer width="100%" height={260}>
+                <ComposedChart data={data} margin={{ top: 10, right: 16, left: 0, bottom: 0 }}>
+                    <CartesianGrid {...GRID_STYLE} />
+                    <XAxis
+                        dataKey="label"
+                        tick={XAXIS_STYLE}
+                        axisLine={XAXIS_LINE}
+                        tickLine={false}
+                        interval="preserveStartEnd"
+                    />
+                    <YAxis
+                        domain={['auto', 'auto']}
+                        tick={YAXIS_STYLE}
+                        axisLine={false}
+                        tickLine={false}
+                        width={50}
+                    />
+                    <Tooltip content={<HistTooltip unit={param.unit} />} />
+
+                    {/* Reference years: envelope and mean behind the overlaid years */}
+                    {refLabel && (
+                        <Area
+                            type="monotone"
+                            dataKey="ref_range"
+                            name={`${refLabel} min–max`}
+                            stroke="none"
+                            fill="#94a3b8"
+                            fillOpacity={0.15}
+                            activeDot={false}
+                            connectNulls={false}
+                            isAnimationActive={false}
+                        />
+                    )}
+                    {refLabel && (
+                        <Line
+                            type="monotone"
+                            dataKey="ref_mean"
+                            name={`${refLabel} mean`}
+                            stroke="rgba(226,232,240,0.55)"
+                            strokeWidth={1.5}
+                            strokeDasharray="4 3"
+                            dot={false}
+                            activeDot={false}
+                            connectNulls={false}
+                            isAnimationActive={false}
+                        />
+                    )}
+
+                    {years.map((y, i) => (
+                        <Line
+                            key={y}
+                            type="monotone"
+                            dataKey={`y${y}`}
+                            name={String(y)}
+                            stroke={OVERLAY_COLORS[i % OVERLAY_COLORS.length]}
+                            strokeWidth={i === 0 ? 2 : 1.5}
+                            dot={false}
+                            activeDot={{ ...ACTIVE_DOT, fill: OVERLAY_COLORS[i % OVERLAY_COLORS.length] }}
+                            connectNulls={false}
+                            isAnimationActive={false}
+                        />
+                    ))}
                 </ComposedChart>
             </ResponsiveContainer>
         </div>
@@ -176,39 +410,71 @@ const HistParamChart = memo(function HistParamChart({ param, chartData, stats, s
 });
 
 // ─── Main export ─────────────────────────────────────────────────────────────
-const HistoricalChart = memo(function HistoricalChart({ data, showMovingAverage = false }) {
+// `overlay` ({ rows, years }) switches to the year-over-year charts: `rows`
+// are daily rows of the whole archive, `years` the ones to draw
+const HistoricalChart = memo(function HistoricalChart({
+    data, quality = null, showMovingAverage = false, qcMode = 'show', heatwaves = null, detector,
+    directions = NO_DIRECTIONS, onDirectionChange, overlay = null, onZoom, resolution = 'hourly',
+}) {
     const chartData = useMemo(() => {
+        // A range across New Year needs the year on its labels
+        const multiYear = data.length > 1 && data[0].year !== data[data.length - 1].year;
+        const dateFormat = multiYear
+            ? { month: 'short', day: 'numeric', year: 'numeric' }
+            : { month: 'short', day: 'numeric' };
         const rows = data.map((row) => ({
             ...row,
             label: (() => {
                 if (row.timestamp instanceof Date && !isNaN(row.timestamp)) {
-                    return row.timestamp.toLocaleDateString('en-GB', { month: 'short', day: 'numeric' });
+                    return row.timestamp.toLocaleDateString('en-GB', dateFormat);
                 }
                 return '—';
             })(),
         }));
 
+        // Drop QC-flagged values from the lines when hiding them
+        applyQcMode(rows, HIST_PARAMS.map((p) => p.key), qcMode);
+
         // Inject MA columns when toggled on
         if (showMovingAverage) {
             HIST_PARAMS.forEach((p) => {
-                const maValues = computeMovingAverage(data, p.key, 24);
+                const maValues = computeMovingAverage(rows, p.key, 24);
                 maValues.forEach((v, i) => { rows[i][`${p.key}_ma`] = v; });
             });
         }
 
         return rows;
-    }, [data, showMovingAverage]);
+    }, [data, showMovingAverage, qcMode]);
 
     // Compute stats for anomaly badges — memoized
     const stats = useMemo(
-        () => Object.fromEntries(HIST_PARAMS.map((p) => [p.key, computeStats(data, p.key)])),
-        [data]
+        () => Object.fromEntries(HIST_PARAMS.map((p) => [
+            p.key,
+            computeStats(data, p.key, { excludeFailed: qcMode !== 'show', detector, direction: directions[p.key], resolution }),
+        ])),
+        [data, qcMode, detector, directions, resolution]
     );
 
+    if (overlay) {
+        return (
+            <div className="flex flex-col gap-6">
+                {HIST_PARAMS.map((param) => (
+                    <HistOverlayChart
+                        key={param.key}
+                        param={param}
+                        rows={overlay.rows}
+                        years={overlay.years}
+                        excludeFailed={qcMode !== 'show'}
+                    />
+                ))}
+            </div>
+        );
+    }
+
     if (!data.length) {
         return (
             <div className="glass-card flex items-center justify-center" style={{ height: 300, color: '#4db8e8' }}>
-                No historical data for this year — try another year.
+                No historical data for this range — try another year or dates.
             </div>
         );
     }
@@ -221,7 +487,13 @@ const HistoricalChart = memo(function HistoricalChart({ data, showMovingAverage
                     param={param}
                     chartData={chartData}
                     stats={stats}
+                    quality={quality}
                     showMovingAverage={showMovingAverage}
+                    qcMode={qcMode}
+                    heatwaveEvents={heatwaves?.key === param.key ? heatwaves.events : null}
+                    direction={directions[param.key]}
+                    onDirectionChange={onDirectionChange}
+                    onZoom={onZoom}
                 />
             ))}
         </div>
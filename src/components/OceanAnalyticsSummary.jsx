@@ -1,5 +1,7 @@
 import React, { useMemo, memo } from 'react';
 import { computeStats } from '../utils/anomaly';
+import { getDetector } from '../utils/detectors';
+import { directionStats, formatDirection } from '../utils/direction';
 
 // ─── Param config for Live mode ───────────────────────────────────────────────
 export const LIVE_ANALYTICS_PARAMS = [
@@ -7,6 +9,14 @@ export const LIVE_ANALYTICS_PARAMS = [
     { key: 'wind_speed', label: 'Wind Speed', unit: 'm/s', color: '#4db8e8' },
     { key: 'wave_height', label: 'Wave Height', unit: 'm', color: '#38bdf8' },
     { key: 'air_pressure', label: 'Air Pressure', unit: 'hPa', color: '#fbbf24' },
+    { key: 'air_temp', label: 'Air Temperature', unit: '°C', color: '#f472b6' },
+    { key: 'wind_direction', label: 'Wind Direction', unit: '°', color: '#7dd3fc', directional: 'from' },
+    { key: 'wind_wave_height', label: 'Wind Wave Height', unit: 'm', color: '#22d3ee' },
+    { key: 'swell_wave_height', label: 'Swell Height', unit: 'm', color: '#818cf8' },
+    { key: 'wave_period', label: 'Wave Period', unit: 's', color: '#34d399' },
+    { key: 'wave_direction', label: 'Wave Direction', unit: '°', color: '#60a5fa', directional: 'from' },
+    { key: 'current_velocity', label: 'Ocean Current Speed', unit: 'km/h', color: '#2dd4bf' },
+    { key: 'current_direction', label: 'Ocean Current Direction', unit: '°', color: '#5eead4', directional: 'to' },
 ];
 
 // ─── Param config for Historical mode ─────────────────────────────────────────
@@ -17,6 +27,8 @@ export const HIST_ANALYTICS_PARAMS = [
     { key: 'PRES', label: 'Air Pressure', unit: 'hPa', color: '#fbbf24' },
 ];
 
+const NO_DIRECTIONS = {};
+
 // ─── Trend badge ──────────────────────────────────────────────────────────────
 function TrendBadge({ trend }) {
     const map = {
@@ -56,6 +68,39 @@ function StatPill({ label, value, unit, color }) {
     );
 }
 
+// ─── Analytics card for a directional parameter: circular stats ───────────────
+const DirectionCard = memo(function DirectionCard({ param, stats }) {
+    const s = stats[param.key];
+    if (!s) return null;
+    const steadiness = s.resultant == null ? null : s.resultant >= 0.8 ? 'Steady' : s.resultant >= 0.5 ? 'Variable' : 'Shifting';
+
+    return (
+        <div className="glass-card p-5" style={{ position: 'relative', overflow: 'hidden' }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '0.85rem', flexWrap: 'wrap', gap: '0.4rem' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                    <div style={{ width: 3, height: 18, borderRadius: 2, background: param.color, flexShrink: 0 }} />
+                    <span style={{ fontWeight: 700, fontSize: '0.875rem', color: param.color }}>
+                        {param.label}
+                    </span>
+                </div>
+                {steadiness && (
+                    <span style={{ fontSize: '0.68rem', fontWeight: 700, color: '#4db8e8' }}>{steadiness}</span>
+                )}
+            </div>
+            <div style={{ display: 'flex', gap: '1.25rem', flexWrap: 'wrap' }}>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 2, minWidth: 90 }}>
+                    <span style={{ fontSize: '0.6rem', fontWeight: 700, color: '#4db8e8', letterSpacing: '0.1em', textTransform: 'uppercase' }}>
+                        Mean {param.directional === 'from' ? 'from' : 'towards'}
+                    </span>
+                    <span style={{ fontSize: '1.05rem', fontWeight: 800, color: param.color }}>{formatDirection(s.mean)}</span>
+                </div>
+                <StatPill label="Spread" value={s.std} unit="°" color="#87d4f4" />
+                <StatPill label="Steadiness" value={s.resultant} unit="R" color="#4db8e8" />
+            </div>
+        </div>
+    );
+});
+
 // ─── Single analytics card ────────────────────────────────────────────────────
 const AnalyticsCard = memo(function AnalyticsCard({ param, stats }) {
     const s = stats[param.key];
@@ -109,6 +154,18 @@ const AnalyticsCard = memo(function AnalyticsCard({ param, stats }) {
                         {s.anomalyCount} anomal{s.anomalyCount === 1 ? 'y' : 'ies'}
                     </span>
 
+                    {/* High / low split */}
+                    {s.highCount > 0 && s.lowCount > 0 && (
+                        <span style={{
+                            display: 'inline-flex', alignItems: 'center', gap: 5,
+                            background: 'rgba(167,139,250,0.10)', border: '1px solid rgba(167,139,250,0.28)',
+                            borderRadius: 99, padding: '0.18rem 0.55rem',
+                            fontSize: '0.68rem', color: '#a78bfa', fontWeight: 700,
+                        }}>
+                            ▲{s.highCount} ▼{s.lowCount}
+                        </span>
+                    )}
+
                     {/* Moderate */}
                     {s.moderateCount > 0 && (
                         <span style={{
@@ -132,6 +189,11 @@ const AnalyticsCard = memo(function AnalyticsCard({ param, stats }) {
                             {s.extremeCount} extreme
                         </span>
                     )}
+
+                    {/* Which detector, and which baseline it scored against */}
+                    <span style={{ alignSelf: 'center', fontSize: '0.64rem', color: '#4db8e8', opacity: 0.7 }}>
+                        {getDetector(s.detector).label} · {s.baseline === 'climatology' ? 'vs seasonal normal' : 'vs this window'}
+                    </span>
                 </div>
             )}
         </div>
@@ -139,12 +201,19 @@ const AnalyticsCard = memo(function AnalyticsCard({ param, stats }) {
 });
 
 // ─── Main analytics summary panel ─────────────────────────────────────────────
-const OceanAnalyticsSummary = memo(function OceanAnalyticsSummary({ data, params }) {
+const OceanAnalyticsSummary = memo(function OceanAnalyticsSummary({
+    data, params, excludeFailed = false, detector, directions = NO_DIRECTIONS, resolution = 'hourly',
+}) {
     // Heavy computation gated by useMemo — only recalculates when data changes
     const stats = useMemo(() => {
         if (!data || !data.length) return {};
-        return Object.fromEntries(params.map((p) => [p.key, computeStats(data, p.key)]));
-    }, [data, params]);
+        return Object.fromEntries(params.map((p) => [
+            p.key,
+            p.directional
+                ? directionStats(data, p.key, { excludeFailed })
+                : computeStats(data, p.key, { excludeFailed, detector, direction: directions[p.key], resolution }),
+        ]));
+    }, [data, params, excludeFailed, detector, directions, resolution]);
 
     if (!data || !data.length) return null;
 
@@ -165,7 +234,9 @@ const OceanAnalyticsSummary = memo(function OceanAnalyticsSummary({ data, params
                 gap: '1rem',
             }}>
                 {params.map((param) => (
-                    <AnalyticsCard key={param.key} param={param} stats={stats} />
+                    param.directional
+                        ? <DirectionCard key={param.key} param={param} stats={stats} />
+                        : <AnalyticsCard key={param.key} param={param} stats={stats} />
                 ))}
             </div>
         </div>
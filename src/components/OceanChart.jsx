@@ -1,10 +1,18 @@
 import React, { useMemo, memo } from 'react';
 import {
-    ComposedChart, Line, XAxis, YAxis, CartesianGrid,
-    Tooltip, ResponsiveContainer, ReferenceLine,
+    ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid,
+    Tooltip, ResponsiveContainer, ReferenceLine, ReferenceArea,
 } from 'recharts';
 import { PARAMETERS } from '../data/constants';
-import { computeStats, isAnomaly, zScore, classifyAnomaly, computeMovingAverage } from '../utils/anomaly';
+import { computeStats, computeMovingAverage } from '../utils/anomaly';
+import { getDetector } from '../utils/detectors';
+import { applyQcMode, isFlagged, qcFlag } from '../utils/qc';
+import { compareForecast } from '../utils/forecast';
+import { directionStats, formatDirection, compassPoint, travelHeading } from '../utils/direction';
+import QcBadge, { QcDot } from './QcBadge';
+import HeatwaveEvents from './HeatwaveEvents';
+import DirectionToggle from './DirectionToggle';
+import { useDragZoom } from '../hooks/useDragZoom';
 
 // ─── Static style objects (module scope – never recreated per render) ─────────
 const CHART_MARGIN = { top: 10, right: 16, left: 0, bottom: 0 };
@@ -13,9 +21,13 @@ const XAXIS_TICK = { fill: '#4db8e8', fontSize: 9 };
 const XAXIS_LINE = { stroke: 'rgba(36,144,204,0.2)' };
 const YAXIS_TICK = { fill: '#4db8e8', fontSize: 10 };
 const Y_DOMAIN = ['auto', 'auto'];
+const DIRECTION_DOMAIN = [0, 360];
+const DIRECTION_TICKS = [0, 90, 180, 270, 360];
+const NO_DIRECTIONS = {};
+const ZOOM_AREA = { fill: 'rgba(0,212,255,0.12)', stroke: 'rgba(0,212,255,0.5)', strokeOpacity: 0.6 };
 
 // ─── Custom Tooltip ─────────────────────────────────────────────────────────
-function CustomTooltip({ active, payload, label }) {
+function CustomTooltip({ active, payload, label, format }) {
     if (!active || !payload?.length) return null;
     return (
         <div
@@ -39,9 +51,13 @@ function CustomTooltip({ active, payload, label }) {
                 >
                     <span>{entry.name}</span>
                     <span style={{ fontWeight: 700 }}>
-                        {entry.value !== null && entry.value !== undefined
-                            ? Number(entry.value).toFixed(2)
-                            : '—'}
+                        {entry.value === null || entry.value === undefined
+                            ? '—'
+                            : format
+                                ? format(entry.value)
+                                : Array.isArray(entry.value)
+                                    ? `${Number(entry.value[0]).toFixed(2)} – ${Number(entry.value[1]).toFixed(2)}`
+                                    : Number(entry.value).toFixed(2)}
                     </span>
                 </div>
             ))}
@@ -49,16 +65,23 @@ function CustomTooltip({ active, payload, label }) {
     );
 }
 
-// ─── Custom Dot: render anomaly circles with Z-score colour classification ────
+// ─── Custom Dot: render anomaly circles with the active detector's classification ─
+// `level` / `side` come from computeStats (utils/detectors.js): warm colours
+// above normal, violet below. QC-flagged points are drawn grey instead when
+// qcMode is 'grey'
+const LOW_COLORS = { moderate: '#a78bfa', extreme: '#7c3aed' };
+
 function AnomalyDot(props) {
-    const { cx, cy, payload, dataKey, fieldMean, fieldStd } = props;
+    const { cx, cy, payload, dataKey, level, side, qcMode } = props;
     if (!payload || payload[dataKey] == null) return null;
-    if (!isAnomaly(payload[dataKey], fieldMean, fieldStd)) return null;
-
-    const z = zScore(payload[dataKey], fieldMean, fieldStd);
-    const cls = classifyAnomaly(z);
+    if (qcMode === 'grey' && isFlagged(payload, dataKey)) {
+        return <QcDot cx={cx} cy={cy} flag={qcFlag(payload, dataKey)} />;
+    }
+    if (!level || level === 'normal') return null;
 
-    const color = cls === 'extreme' ? '#ef4444' : '#fb923c'; // extreme → red, moderate → orange
+    const color = side === 'low'
+        ? LOW_COLORS[level]
+        : level === 'extreme' ? '#ef4444' : '#fb923c'; // extreme → red, moderate → orange
     return (
         <g>
             <circle cx={cx} cy={cy} r={7} fill="none" stroke={color} strokeWidth={2} opacity={0.8} />
@@ -71,7 +94,10 @@ function AnomalyDot(props) {
 function AnomalyBadge({ s }) {
     if (!s || s.anomalyCount === 0) return null;
     return (
-        <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap' }}>
+        <div
+            title={`Detector: ${getDetector(s.detector).label}`}
+            style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap' }}
+        >
             <div style={{
                 display: 'flex', alignItems: 'center', gap: 6,
                 background: 'rgba(255,77,109,0.12)',
@@ -81,6 +107,9 @@ function AnomalyBadge({ s }) {
             }}>
                 <span style={{ width: 6, height: 6, borderRadius: '50%', background: '#ff4d6d', display: 'inline-block' }} />
                 {s.anomalyCount} anomal{s.anomalyCount === 1 ? 'y' : 'ies'}
+                {s.direction === 'both' && s.highCount > 0 && s.lowCount > 0 && (
+                    <span style={{ opacity: 0.8 }}>(▲{s.highCount} ▼{s.lowCount})</span>
+                )}
             </div>
             {s.moderateCount > 0 && (
                 <div style={{
@@ -104,9 +133,182 @@ function AnomalyBadge({ s }) {
     );
 }
 
+// ─── Model forecast vs Open-Meteo over the hours both cover ───────────────────
+function ForecastBadge({ cmp, unit }) {
+    if (!cmp) return null;
+    const sign = cmp.bias >= 0 ? '+' : '−';
+    return (
+        <div
+            title={`Archive-trained model minus Open-Meteo over ${cmp.n} forecast hours`}
+            style={{
+                background: 'rgba(226,232,240,0.08)', border: '1px solid rgba(226,232,240,0.25)',
+                borderRadius: 99, padding: '0.2rem 0.55rem',
+                fontSize: '0.68rem', color: '#e2e8f0', fontWeight: 600,
+            }}
+        >
+            vs Open-Meteo {sign}{Math.abs(cmp.bias).toFixed(2)} · MAE {cmp.mae.toFixed(2)} {unit}
+        </div>
+    );
+}
+
+// ─── Directional parameters: arrows along the time axis + a compass ──────────
+// Arrows point the way the wind / waves / current travel; the y position is
+// the reported angle. Drawn on every `step`-th row so they don't overlap
+function ArrowDot({ cx, cy, payload, dataKey, index, step, color, convention, qcMode }) {
+    const v = payload?.[dataKey];
+    if (cx == null || cy == null || v == null || index % step !== 0) return null;
+    const fill = qcMode === 'grey' && isFlagged(payload, dataKey) ? '#94a3b8' : color;
+    return (
+        <g transform={`translate(${cx},${cy}) rotate(${travelHeading(v, convention)})`}>
+            <path d="M0,-7 L4,4 L0,1.5 L-4,4 Z" fill={fill} opacity={0.9} />
+        </g>
+    );
+}
+
+function Compass({ latest, mean, color, convention, size = 64 }) {
+    const r = size / 2;
+    const needle = (deg, len, props) => (
+        <line x1={0} y1={0} x2={0} y2={-len} transform={`rotate(${travelHeading(deg, convention)})`} {...props} />
+    );
+    return (
+        <svg width={size} height={size} viewBox={`${-r} ${-r} ${size} ${size}`} style={{ flexShrink: 0 }}>
+            <circle r={r - 8} fill="none" stroke="rgba(36,144,204,0.35)" />
+            {['N', 'E', 'S', 'W'].map((p, i) => (
+                <text
+                    key={p} x={0} y={-(r - 4)} transform={`rotate(${i * 90})`}
+                    textAnchor="middle" dominantBaseline="middle" fontSize={7} fill="#4db8e8"
+                >
+                    {p}
+                </text>
+            ))}
+            {mean != null && needle(mean, r - 12, { stroke: color, strokeOpacity: 0.4, strokeWidth: 4, strokeLinecap: 'round' })}
+            {latest != null && needle(latest, r - 10, { stroke: color, strokeWidth: 2, strokeLinecap: 'round' })}
+            <circle r={2} fill={color} />
+        </svg>
+    );
+}
+
+const DirectionChart = memo(function DirectionChart({ param, chartData, stats, qcMode, onZoom, utcOffsetSeconds }) {
+    const s = stats[param.key];
+    const { handlers: zoomHandlers, selection } = useDragZoom(chartData, onZoom, { utcOffsetSeconds });
+    const step = Math.max(1, Math.ceil(chartData.length / 48));
+    const latest = useMemo(() => {
+        for (let i = chartData.length - 1; i >= 0; i--) {
+            if (chartData[i][param.key] != null) return chartData[i][param.key];
+        }
+        return null;
+    }, [chartData, param.key]);
+
+    return (
+        <div className="glass-card p-5">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-4 gap-3">
+                <div className="flex items-center gap-2">
+                    <div style={{ width: 3, height: 18, borderRadius: 2, background: param.color }} />
+                    <span style={{ fontWeight: 700, fontSize: '0.9rem', color: param.color }}>
+                        {param.label}
+                    </span>
+                    <span style={{ fontSize: '0.7rem', color: '#4db8e8', opacity: 0.7 }}>
+                        ({param.directional === 'from' ? 'coming from' : 'flowing towards'})
+                    </span>
+                </div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap' }}>
+                    <QcBadge s={s} excluded={qcMode !== 'show'} />
+                    <div style={{ fontSize: '0.7rem', color: '#87d4f4', textAlign: 'right', lineHeight: 1.5 }}>
+                        <div>Now <b style={{ color: param.color }}>{formatDirection(latest)}</b></div>
+                        <div title="Circular mean; R = 1 is a perfectly steady direction">
+                            Mean {formatDirection(s?.mean)} · R {s?.resultant != null ? s.resultant.toFixed(2) : '—'}
+                        </div>
+                    </div>
+                    <Compass latest={latest} mean={s?.mean} color={param.color} convention={param.directional} />
+                </div>
+            </div>
+
+            <ResponsiveContainer width="100%" height={200}>
+                <ComposedChart data={chartData} margin={CHART_MARGIN} {...zoomHandlers}>
+                    <CartesianGrid {...GRID_STYLE} />
+                    <XAxis
+                        dataKey="label"
+                        tick={XAXIS_TICK}
+                        axisLine={XAXIS_LINE}
+                        tickLine={false}
+                        interval="preserveStartEnd"
+                    />
+                    <YAxis
+                        domain={DIRECTION_DOMAIN}
+                        ticks={DIRECTION_TICKS}
+                        tickFormatter={compassPoint}
+                        tick={YAXIS_TICK}
+                        axisLine={false}
+                        tickLine={false}
+                        width={50}
+                    />
+                    <Tooltip content={<CustomTooltip format={formatDirection} />} />
+                    {/* No connecting line: it would jump across the chart at every 360°→0° wrap */}
+                    <Line
+                        dataKey={param.key}
+                        name={param.label}
+                        stroke="none"
+                        dot={(dotProps) => (
+                            <ArrowDot
+                                key={dotProps.index}
+                                {...dotProps}
+                                dataKey={param.key}
+                                step={step}
+                                color={param.color}
+                                convention={param.directional}
+                                qcMode={qcMode}
+                            />
+                        )}
+                        activeDot={{ r: 4, fill: param.color, stroke: '#fff', strokeWidth: 1 }}
+                        isAnimationActive={false}
+                    />
+                    {selection && <ReferenceArea x1={selection[0]} x2={selection[1]} {...ZOOM_AREA} />}
+                </ComposedChart>
+            </ResponsiveContainer>
+        </div>
+    );
+});
+
+// ─── Placeholder for a parameter whose upstream source failed ─────────────────
+function SourceUnavailable({ param, reason }) {
+    return (
+        <div className="glass-card p-5">
+            <div className="flex items-center gap-2 mb-4">
+                <div style={{ width: 3, height: 18, borderRadius: 2, background: param.color, opacity: 0.4 }} />
+                <span style={{ fontWeight: 700, fontSize: '0.9rem', color: param.color, opacity: 0.6 }}>
+                    {param.label}
+                </span>
+                <span style={{ fontSize: '0.7rem', color: '#4db8e8', opacity: 0.7 }}>({param.unit})</span>
+            </div>
+            <div
+                style={{
+                    height: 240, display: 'flex', flexDirection: 'column',
+                    alignItems: 'center', justifyContent: 'center', gap: 6, textAlign: 'center',
+                    border: '1px dashed rgba(36,144,204,0.3)', borderRadius: '0.6rem', padding: '1rem',
+                }}
+            >
+                <div style={{ fontSize: '0.85rem', fontWeight: 700, color: '#4db8e8' }}>Source unavailable</div>
+                <div style={{ fontSize: '0.72rem', color: '#4db8e8', opacity: 0.75, maxWidth: 380 }}>
+                    {reason || 'No data was returned for this parameter.'} The other parameters are unaffected.
+                </div>
+            </div>
+        </div>
+    );
+}
+
 // ─── Per-parameter sub-chart — memoized so it only re-renders when props change ─
-const ParamChart = memo(function ParamChart({ param, chartData, stats, showMovingAverage }) {
+const ParamChart = memo(function ParamChart({
+    param, chartData, stats, showMovingAverage, showForecast, qcMode, heatwaveEvents, direction, onDirectionChange, onZoom,
+    utcOffsetSeconds,
+}) {
     const s = stats[param.key];
+    const { handlers: zoomHandlers, selection } = useDragZoom(chartData, onZoom, { utcOffsetSeconds });
+
+    const forecastCmp = useMemo(
+        () => (showForecast ? compareForecast(chartData, param.key, { utcOffsetSeconds }) : null),
+        [showForecast, chartData, param.key, utcOffsetSeconds]
+    );
 
     // Stable activeDot config per param — avoids object recreation
     const activeDot = useMemo(
@@ -128,11 +330,16 @@ const ParamChart = memo(function ParamChart({ param, chartData, stats, showMovin
                     </span>
                     <span style={{ fontSize: '0.7rem', color: '#4db8e8', opacity: 0.7 }}>({param.unit})</span>
                 </div>
-                <AnomalyBadge s={s} />
+                <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap' }}>
+                    <QcBadge s={s} excluded={qcMode !== 'show'} />
+                    <AnomalyBadge s={s} />
+                    <ForecastBadge cmp={forecastCmp} unit={param.unit} />
+                    <DirectionToggle value={direction} onChange={onDirectionChange && ((d) => onDirectionChange(param.key, d))} />
+                </div>
             </div>
 
             <ResponsiveContainer width="100%" height={240}>
-                <ComposedChart data={chartData} margin={CHART_MARGIN}>
+                <ComposedChart data={chartData} margin={CHART_MARGIN} {...zoomHandlers}>
                     <CartesianGrid {...GRID_STYLE} />
                     <XAxis
                         dataKey="label"
@@ -159,13 +366,65 @@ const ParamChart = memo(function ParamChart({ param, chartData, stats, showMovin
                             label={{ value: `μ ${Number(s.mean).toFixed(1)}`, position: 'insideTopRight', fill: 'rgba(0,212,255,0.65)', fontSize: 10 }}
                         />
                     )}
-                    {/* Anomaly threshold μ+2σ */}
+                    {/* Anomaly fences of the active detector (μ±2σ, med±3MAD, …), per flagged side */}
                     {s?.anomalyThreshold != null && (
                         <ReferenceLine
                             y={s.anomalyThreshold}
                             stroke="rgba(255,77,109,0.5)"
                             strokeDasharray="4 4"
-                            label={{ value: 'μ+2σ', position: 'insideTopRight', fill: 'rgba(255,77,109,0.75)', fontSize: 10 }}
+                            label={{ value: getDetector(s.detector).fenceLabels?.upper, position: 'insideTopRight', fill: 'rgba(255,77,109,0.75)', fontSize: 10 }}
+                        />
+                    )}
+                    {s?.lowerThreshold != null && (
+                        <ReferenceLine
+                            y={s.lowerThreshold}
+                            stroke="rgba(167,139,250,0.55)"
+                            strokeDasharray="4 4"
+                            label={{ value: getDetector(s.detector).fenceLabels?.lower, position: 'insideBottomRight', fill: 'rgba(167,139,250,0.8)', fontSize: 10 }}
+                        />
+                    )}
+
+                    {/* Marine heatwaves: shaded between threshold and SST */}
+                    {heatwaveEvents?.length > 0 && (
+                        <Area
+                            type="monotone"
+                            dataKey={`${param.key}_mhw`}
+                            name="Heatwave (above p90)"
+                            stroke="none"
+                            fill="#ef4444"
+                            fillOpacity={0.4}
+                            activeDot={false}
+                            connectNulls={false}
+                            isAnimationActive={false}
+                        />
+                    )}
+
+                    {/* Archive-trained model forecast with its 95% band */}
+                    {showForecast && (
+                        <Area
+                            type="monotone"
+                            dataKey={`${param.key}_fc_band`}
+                            name="Model 95% CI"
+                            stroke="none"
+                            fill="#e2e8f0"
+                            fillOpacity={0.12}
+                            activeDot={false}
+                            connectNulls={false}
+                            isAnimationActive={false}
+                        />
+                    )}
+                    {showForecast && (
+                        <Line
+                            type="monotone"
+                            dataKey={`${param.key}_fc`}
+                            name="Model forecast"
+                            stroke="#e2e8f0"
+                            strokeWidth={1.5}
+                            strokeDasharray="3 3"
+                            dot={false}
+                            activeDot={false}
+                            connectNulls={false}
+                            isAnimationActive={false}
                         />
                     )}
 
@@ -181,8 +440,9 @@ const ParamChart = memo(function ParamChart({ param, chartData, stats, showMovin
                                 key={dotProps.index}
                                 {...dotProps}
                                 dataKey={param.key}
-                                fieldMean={s?.mean}
-                                fieldStd={s?.std}
+                                level={s?.levels?.[dotProps.index]}
+                                side={s?.sides?.[dotProps.index]}
+                                qcMode={qcMode}
                             />
                         )}
                         activeDot={activeDot}
@@ -206,6 +466,88 @@ const ParamChart = memo(function ParamChart({ param, chartData, stats, showMovin
                             isAnimationActive={false}
                         />
                     )}
+
+                    {/* Span being dragged across to zoom */}
+                    {selection && <ReferenceArea x1={selection[0]} x2={selection[1]} {...ZOOM_AREA} />}
+                </ComposedChart>
+            </ResponsiveContainer>
+
+            <HeatwaveEvents events={heatwaveEvents} unit={param.unit} />
+        </div>
+    );
+});
+
+// ─── One parameter from several stations on a shared UTC axis ────────────────
+// `data` comes from utils/compare.js alignSeries: `s<i>` is series[i]'s value
+export const ComparisonChart = memo(function ComparisonChart({ param, series, data }) {
+    const directional = Boolean(param.directional);
+
+    if (!data.length) {
+        return (
+            <div className="glass-card flex items-center justify-center" style={{ height: 300, color: '#4db8e8' }}>
+                No {param.label.toLowerCase()} readings at the selected stations.
+            </div>
+        );
+    }
+
+    return (
+        <div className="glass-card p-5">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-4 gap-3 flex-wrap">
+                <div className="flex items-center gap-2">
+                    <div style={{ width: 3, height: 18, borderRadius: 2, background: param.color }} />
+                    <span style={{ fontWeight: 700, fontSize: '0.9rem', color: param.color }}>
+                        {param.label}
+                    </span>
+                    <span style={{ fontSize: '0.7rem', color: '#4db8e8', opacity: 0.7 }}>
+                        ({directional ? `° ${param.directional === 'from' ? 'coming from' : 'flowing towards'}` : param.unit}) · UTC
+                    </span>
+                </div>
+                <div style={{ display: 'flex', gap: '0.3rem 0.8rem', flexWrap: 'wrap' }}>
+                    {series.map((s) => (
+                        <span key={s.id} style={{ display: 'inline-flex', alignItems: 'center', gap: 5, fontSize: '0.7rem', color: s.color }}>
+                            <span style={{ width: 12, height: 3, borderRadius: 2, background: s.color }} />
+                            {s.label}
+                        </span>
+                    ))}
+                </div>
+            </div>
+
+            <ResponsiveContainer width="100%" height={280}>
+                <ComposedChart data={data} margin={CHART_MARGIN}>
+                    <CartesianGrid {...GRID_STYLE} />
+                    <XAxis
+                        dataKey="label"
+                        tick={XAXIS_TICK}
+                        axisLine={XAXIS_LINE}
+                        tickLine={false}
+                        interval="preserveStartEnd"
+                    />
+                    <YAxis
+                        domain={directional ? DIRECTION_DOMAIN : Y_DOMAIN}
+                        ticks={directional ? DIRECTION_TICKS : undefined}
+                        tickFormatter={directional ? compassPoint : undefined}
+                        tick={YAXIS_TICK}
+                        axisLine={false}
+                        tickLine={false}
+                        width={50}
+                    />
+                    <Tooltip content={<CustomTooltip format={directional ? formatDirection : undefined} />} />
+                    {/* Directions as dots only: a line would jump across the chart at every 360°→0° wrap */}
+                    {series.map((s, i) => (
+                        <Line
+                            key={s.id}
+                            type="monotone"
+                            dataKey={`s${i}`}
+                            name={s.label}
+                            stroke={directional ? 'none' : s.color}
+                            strokeWidth={2}
+                            dot={directional ? { r: 1.8, fill: s.color, stroke: 'none' } : false}
+                            activeDot={{ r: 4, fill: s.color, stroke: '#fff', strokeWidth: 1 }}
+                            connectNulls={false}
+                            isAnimationActive={false}
+                        />
+                    ))}
                 </ComposedChart>
             </ResponsiveContainer>
         </div>
@@ -213,7 +555,10 @@ const ParamChart = memo(function ParamChart({ param, chartData, stats, showMovin
 });
 
 // ─── Main Export — memoized ───────────────────────────────────────────────────
-const OceanChart = memo(function OceanChart({ data, activeParams, showMovingAverage = false }) {
+const OceanChart = memo(function OceanChart({
+    data, activeParams, showMovingAverage = false, showForecast = false, qcMode = 'show', heatwaves = null, detector,
+    directions = NO_DIRECTIONS, onDirectionChange, availability = null, onZoom, utcOffsetSeconds = null,
+}) {
     const chartData = useMemo(() => {
         // Build formatted rows
         const rows = data.map((row) => ({
@@ -226,26 +571,25 @@ const OceanChart = memo(function OceanChart({ data, activeParams, showMovingAver
             })(),
         }));
 
+        // Drop QC-flagged values from the lines when hiding them
+        applyQcMode(rows, activeParams, qcMode);
+
         // Inject MA columns for every active param
         if (showMovingAverage) {
             PARAMETERS
-                .filter((p) => activeParams.includes(p.key))
+                .filter((p) => activeParams.includes(p.key) && !p.directional)
                 .forEach((p) => {
-                    const maValues = computeMovingAverage(data, p.key, 24);
+                    const maValues = computeMovingAverage(rows, p.key, 24);
                     maValues.forEach((v, i) => { rows[i][`${p.key}_ma`] = v; });
                 });
         }
 
         return rows;
-    }, [data, activeParams, showMovingAverage]);
+    }, [data, activeParams, showMovingAverage, qcMode]);
 
     const stats = useMemo(
-        () => Object.fromEntries(
-            PARAMETERS
-                .filter((p) => activeParams.includes(p.key))
-                .map((p) => [p.key, computeStats(data, p.key)])
-        ),
-        [data, activeParams]
+        () => OceanChart.computeStats(data, activeParams, { excludeFailed: qcMode !== 'show', detector, directions }),
+        [data, activeParams, qcMode, detector, directions]
     );
 
     // Memoized param list — only re-derives when activeParams changes
@@ -265,13 +609,34 @@ const OceanChart = memo(function OceanChart({ data, activeParams, showMovingAver
     return (
         <div className="flex flex-col gap-6">
             {paramsToRender.map((param) => (
-                <ParamChart
-                    key={param.key}
-                    param={param}
-                    chartData={chartData}
-                    stats={stats}
-                    showMovingAverage={showMovingAverage}
-                />
+                availability?.[param.key]?.available === false ? (
+                    <SourceUnavailable key={param.key} param={param} reason={availability[param.key].reason} />
+                ) : param.directional ? (
+                    <DirectionChart
+                        key={param.key}
+                        param={param}
+                        chartData={chartData}
+                        stats={stats}
+                        qcMode={qcMode}
+                        onZoom={onZoom}
+                        utcOffsetSeconds={utcOffsetSeconds}
+                    />
+                ) : (
+                    <ParamChart
+                        key={param.key}
+                        param={param}
+                        chartData={chartData}
+                        stats={stats}
+                        showMovingAverage={showMovingAverage}
+                        showForecast={showForecast}
+                        qcMode={qcMode}
+                        heatwaveEvents={heatwaves?.key === param.key ? heatwaves.events : null}
+                        direction={directions[param.key]}
+                        onDirectionChange={onDirectionChange}
+                        onZoom={onZoom}
+                        utcOffsetSeconds={utcOffsetSeconds}
+                    />
+                )
             ))}
         </div>
     );
@@ -279,10 +644,13 @@ const OceanChart = memo(function OceanChart({ data, activeParams, showMovingAver
 
 export default OceanChart;
 
-// Expose computeAllStats for App.jsx
-OceanChart.computeStats = (data, activeParams) =>
+// Expose computeAllStats for App.jsx — `options.directions` maps param key → side(s) to flag.
+// Directional parameters get circular stats instead
+OceanChart.computeStats = (data, activeParams, { directions = {}, ...options } = {}) =>
     Object.fromEntries(
         PARAMETERS
             .filter((p) => activeParams.includes(p.key))
-            .map((p) => [p.key, computeStats(data, p.key)])
+            .map((p) => [p.key, p.directional
+                ? directionStats(data, p.key, options)
+                : computeStats(data, p.key, { ...options, direction: directions[p.key] })])
     );
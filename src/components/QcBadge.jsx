@@ -0,0 +1,32 @@
+import React from 'react';
+import { QC_FLAGS } from '../utils/qc';
+
+const QC_GREY = '#94a3b8';
+
+// ─── QC badge for chart headers: suspect / failed point counts ────────────────
+export default function QcBadge({ s, excluded = false }) {
+    if (!s || (!s.suspectCount && !s.failedCount)) return null;
+    const parts = [];
+    if (s.suspectCount) parts.push(`${s.suspectCount} suspect`);
+    if (s.failedCount) parts.push(`${s.failedCount} failed${excluded ? ' (excluded)' : ''}`);
+    return (
+        <div
+            title="QARTOD quality control: spike, rate-of-change, flat-line and range tests"
+            style={{
+                background: 'rgba(148,163,184,0.10)', border: '1px solid rgba(148,163,184,0.3)',
+                borderRadius: 99, padding: '0.2rem 0.6rem',
+                fontSize: '0.68rem', color: QC_GREY, fontWeight: 700,
+            }}
+        >
+            QC · {parts.join(' · ')}
+        </div>
+    );
+}
+
+// ─── Grey marker for a flagged point: hollow = suspect, filled = fail ─────────
+export function QcDot({ cx, cy, flag }) {
+    if (cx == null || cy == null) return null;
+    return flag === QC_FLAGS.FAIL
+        ? <circle cx={cx} cy={cy} r={3.5} fill={QC_GREY} opacity={0.9} />
+        : <circle cx={cx} cy={cy} r={4} fill="none" stroke={QC_GREY} strokeWidth={1.5} opacity={0.9} />;
+}
@@ -0,0 +1,142 @@
+import React, { memo, useMemo } from 'react';
+import { ROSE_COLORS, ROSE_SPECS, binLabels } from '../utils/rose';
+import { compassPoint } from '../utils/direction';
+
+// ─── Geometry: degrees clockwise from north → SVG coordinates ────────────────
+const SIZE = 240;
+const CENTER = SIZE / 2;
+const R_MAX = 96;
+
+function polar(r, deg) {
+    const a = (deg * Math.PI) / 180;
+    return [CENTER + r * Math.sin(a), CENTER - r * Math.cos(a)];
+}
+
+/** Annular wedge between radii r0 < r1, spanning [a0, a1] degrees. */
+function wedgePath(r0, r1, a0, a1) {
+    const [x0, y0] = polar(r0, a0);
+    const [x1, y1] = polar(r1, a0);
+    const [x2, y2] = polar(r1, a1);
+    const [x3, y3] = polar(r0, a1);
+    return `M${x0},${y0} L${x1},${y1} A${r1},${r1} 0 0 1 ${x2},${y2} L${x3},${y3} A${r0},${r0} 0 0 0 ${x0},${y0} Z`;
+}
+
+/** Ring spacing in % that gives 3–5 rings up to `max`. */
+function ringStep(max) {
+    return [1, 2, 2.5, 5, 10, 20, 25, 50].find((s) => max / s <= 5) ?? 50;
+}
+
+// ─── A single rose: stacked petals per sector, one colour per magnitude bin ─────
+function Rose({ rose, spec }) {
+    const labels = useMemo(() => binLabels(rose.edges), [rose.edges]);
+
+    // Percent of all readings (calms included) per sector and bin
+    const petals = useMemo(() => rose.sectors.map((s) => {
+        let cum = 0;
+        return {
+            direction: s.direction,
+            layers: s.counts.map((c, bin) => {
+                const from = cum;
+                cum += (c / rose.n) * 100;
+                return { bin, from, to: cum, pct: (c / rose.n) * 100 };
+            }),
+            total: cum,
+        };
+    }), [rose]);
+
+    const maxPct = Math.max(...petals.map((p) => p.total), 0);
+    const step = ringStep(maxPct);
+    const outer = Math.max(step, Math.ceil(maxPct / step) * step);
+    const radius = (pct) => (pct / outer) * R_MAX;
+    const halfWidth = (360 / rose.sectors.length) * 0.42;
+
+    return (
+        <div>
+            <div style={{ fontSize: '0.72rem', fontWeight: 700, color: '#87d4f4', marginBottom: 4 }}>{spec.label}</div>
+            <svg width="100%" viewBox={`0 0 ${SIZE} ${SIZE}`} style={{ display: 'block', maxWidth: SIZE, margin: '0 auto' }}>
+                {/* Frequency rings */}
+                {Array.from({ length: Math.round(outer / step) }, (_, i) => (i + 1) * step).map((pct) => (
+                    <g key={pct}>
+                        <circle cx={CENTER} cy={CENTER} r={radius(pct)} fill="none" stroke="rgba(36,144,204,0.18)" />
+                        <text x={CENTER + 3} y={CENTER - radius(pct) + 9} fontSize={7} fill="#4db8e880">{pct}%</text>
+                    </g>
+                ))}
+                {[0, 90, 180, 270].map((deg) => {
+                    const [x, y] = polar(R_MAX + 12, deg);
+                    return (
+                        <g key={deg}>
+                            <line x1={CENTER} y1={CENTER} x2={polar(R_MAX, deg)[0]} y2={polar(R_MAX, deg)[1]} stroke="rgba(36,144,204,0.18)" />
+                            <text x={x} y={y} fontSize={9} fill="#4db8e8" textAnchor="middle" dominantBaseline="middle">
+                                {compassPoint(deg)}
+                            </text>
+                        </g>
+                    );
+                })}
+
+                {/* Petals */}
+                {petals.map((p) => p.layers.filter((l) => l.pct > 0).map((l) => (
+                    <path
+                        key={`${p.direction}-${l.bin}`}
+                        d={wedgePath(radius(l.from), radius(l.to), p.direction - halfWidth, p.direction + halfWidth)}
+                        fill={ROSE_COLORS[l.bin]}
+                        stroke="rgba(4,24,46,0.6)"
+                        strokeWidth={0.5}
+                    >
+                        <title>{`From ${compassPoint(p.direction)} · ${labels[l.bin]} ${spec.unit}: ${l.pct.toFixed(1)}% (sector ${p.total.toFixed(1)}%)`}</title>
+                    </path>
+                )))}
+            </svg>
+
+            {/* Legend */}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem 0.6rem', justifyContent: 'center', marginTop: 6 }}>
+                {labels.map((label, bin) => (
+                    <span key={label} style={{ display: 'inline-flex', alignItems: 'center', gap: 4, fontSize: '0.6rem', color: '#87d4f4' }}>
+                        <span style={{ width: 8, height: 8, borderRadius: 2, background: ROSE_COLORS[bin] }} />
+                        {label}
+                    </span>
+                ))}
+                <span style={{ fontSize: '0.6rem', color: '#4db8e8' }}>{spec.unit}</span>
+            </div>
+            <div style={{ fontSize: '0.62rem', color: '#4db8e8', opacity: 0.75, textAlign: 'center', marginTop: 4 }}>
+                {rose.n} readings{spec.calm > 0 && ` · calm ${((rose.calm / rose.n) * 100).toFixed(1)}%`}
+            </div>
+        </div>
+    );
+}
+
+// ─── Wind + wave roses for the view's station and range ───────────────────────
+function RoseChart({ roses, subtitle, loading = false, error = null }) {
+    const shown = Object.keys(ROSE_SPECS).filter((kind) => roses?.[kind]?.n > 0);
+
+    return (
+        <div className="glass-card p-5">
+            <div style={{ marginBottom: 10 }}>
+                <div style={{ fontSize: '0.65rem', fontWeight: 700, letterSpacing: '0.12em', color: '#4db8e8', textTransform: 'uppercase' }}>
+                    🧭 Wind &amp; wave roses
+                </div>
+                {subtitle && <div style={{ fontSize: '0.64rem', color: '#4db8e8', opacity: 0.75, marginTop: 2 }}>{subtitle}</div>}
+            </div>
+
+            {error ? (
+                <div style={{ fontSize: '0.72rem', color: '#ff4d6d' }}>{error}</div>
+            ) : loading ? (
+                <div style={{ fontSize: '0.72rem', color: '#4db8e8', opacity: 0.8 }}>Loading roses…</div>
+            ) : !shown.length ? (
+                <div style={{ fontSize: '0.72rem', color: '#4db8e8', opacity: 0.8, lineHeight: 1.5 }}>
+                    No direction readings in this range.
+                </div>
+            ) : (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+                    {shown.map((kind) => (
+                        <Rose key={kind} rose={roses[kind]} spec={ROSE_SPECS[kind]} />
+                    ))}
+                    <div style={{ fontSize: '0.6rem', color: '#4db8e8', opacity: 0.7, lineHeight: 1.5 }}>
+                        Petals point to where the wind and waves come from; length is the share of readings.
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default memo(RoseChart);
@@ -1,8 +1,13 @@
 import React from 'react';
-import { LOCATIONS, PARAMETERS } from '../data/constants';
+import { LOCATIONS, MAP_POINT_ID, PARAMETERS } from '../data/constants';
+import { formatLatLon } from '../utils/geo';
+import StationMap from './StationMap';
+import CustomLocations from './CustomLocations';
 
 export default function Sidebar({
-    locationId, onLocationChange,
+    location, onLocationChange,
+    mapLocations, conditions, onPickPoint,
+    customLocations, onAddLocation, onUpdateLocation, onRemoveLocation,
     activeParams, onToggleParam,
     onRefresh,
     isOpen, onClose, // New props for mobile control
@@ -67,23 +72,55 @@ export default function Sidebar({
                 <div className="sidebar-label">Buoy Location</div>
                 <select
                     className="ocean-select"
-                    value={locationId}
+                    value={location.id}
                     onChange={(e) => onLocationChange(e.target.value)}
                 >
-                    {LOCATIONS.map((loc) => (
-                        <option key={loc.id} value={loc.id}>{loc.label}</option>
-                    ))}
+                    <optgroup label="Stations">
+                        {LOCATIONS.map((loc) => (
+                            <option key={loc.id} value={loc.id}>{loc.label}</option>
+                        ))}
+                    </optgroup>
+                    {customLocations.length > 0 && (
+                        <optgroup label="My locations">
+                            {customLocations.map((loc) => (
+                                <option key={loc.id} value={loc.id}>{loc.label}</option>
+                            ))}
+                        </optgroup>
+                    )}
+                    {location.id === MAP_POINT_ID && (
+                        <option value={MAP_POINT_ID}>{location.label}</option>
+                    )}
                 </select>
                 {/* Lat/lon display */}
-                {(() => {
-                    const loc = LOCATIONS.find((l) => l.id === locationId);
-                    return loc ? (
-                        <div style={{ fontSize: '0.65rem', color: '#4db8e8', marginTop: '0.4rem', opacity: 0.7 }}>
-                            {loc.lat >= 0 ? `${loc.lat}°N` : `${Math.abs(loc.lat)}°S`} &nbsp;
-                            {loc.lon >= 0 ? `${loc.lon}°E` : `${Math.abs(loc.lon)}°W`}
-                        </div>
-                    ) : null;
-                })()}
+                <div style={{ fontSize: '0.65rem', color: '#4db8e8', marginTop: '0.4rem', opacity: 0.7 }}>
+                    {formatLatLon(location.lat, location.lon)}
+                </div>
+            </div>
+
+            {/* User-defined Locations */}
+            <div>
+                <div className="sidebar-label">My Locations</div>
+                <CustomLocations
+                    locations={customLocations}
+                    selectedId={location.id}
+                    mapPoint={location.id === MAP_POINT_ID ? location : null}
+                    onSelect={onLocationChange}
+                    onAdd={onAddLocation}
+                    onUpdate={onUpdateLocation}
+                    onRemove={onRemoveLocation}
+                />
+            </div>
+
+            {/* Map Picker */}
+            <div>
+                <div className="sidebar-label">Map</div>
+                <StationMap
+                    locations={mapLocations}
+                    selectedId={location.id}
+                    conditions={conditions}
+                    onSelect={onLocationChange}
+                    onPickPoint={onPickPoint}
+                />
             </div>
 
             {/* Parameter Selector */}
@@ -0,0 +1,241 @@
+import React, { memo, useMemo } from 'react';
+import { PARAMETERS } from '../data/constants';
+import { computeStats } from '../utils/anomaly';
+import { directionStats, formatDirection } from '../utils/direction';
+import { COMPARE_COLORS, alignSeries, pairMetrics } from '../utils/compare';
+import { ComparisonChart } from './OceanChart';
+
+const fmt = (v, digits = 2) => (v === null || v === undefined ? '—' : Number(v).toFixed(digits));
+const signed = (v, digits = 2) => (v === null || v === undefined ? '—' : `${v > 0 ? '+' : ''}${Number(v).toFixed(digits)}`);
+
+const CELL = { padding: '0.3rem 0.5rem', textAlign: 'right', whiteSpace: 'nowrap' };
+const HEAD_ROW = { color: '#4db8e8', fontSize: '0.62rem', textTransform: 'uppercase', letterSpacing: '0.08em' };
+const BODY_ROW = { borderTop: '1px solid rgba(36,144,204,0.12)' };
+const TABLE = { width: '100%', fontSize: '0.72rem', color: '#87d4f4', borderCollapse: 'collapse' };
+
+function StationName({ s }) {
+    return (
+        <td style={{ ...CELL, textAlign: 'left', color: s.color, fontWeight: 600 }}>
+            <span style={{ display: 'inline-block', width: 8, height: 8, borderRadius: '50%', background: s.color, marginRight: 6 }} />
+            {s.label}
+        </td>
+    );
+}
+
+// ─── computeStats side by side ───────────────────────────────────────────────
+function StatsTable({ param, series, stats }) {
+    const directional = Boolean(param.directional);
+    return (
+        <div className="glass-card p-5" style={{ overflowX: 'auto' }}>
+            <div style={{ fontSize: '0.65rem', fontWeight: 700, letterSpacing: '0.12em', color: '#4db8e8', textTransform: 'uppercase', marginBottom: 10 }}>
+                Statistics · {param.label} ({directional ? '°' : param.unit})
+            </div>
+            <table style={TABLE}>
+                <thead>
+                    <tr style={HEAD_ROW}>
+                        <th style={{ ...CELL, textAlign: 'left' }}>Station</th>
+                        <th style={CELL}>n</th>
+                        {directional ? (
+                            <>
+                                <th style={CELL}>Mean</th>
+                                <th style={CELL}>Spread</th>
+                                <th style={CELL} title="Resultant length: 1 is a perfectly steady direction">R</th>
+                            </>
+                        ) : (
+                            <>
+                                <th style={CELL}>Mean</th>
+                                <th style={CELL}>Min</th>
+                                <th style={CELL}>Max</th>
+                                <th style={CELL}>Std</th>
+                                <th style={CELL}>Anomalies</th>
+                                <th style={CELL}>Trend</th>
+                            </>
+                        )}
+                    </tr>
+                </thead>
+                <tbody>
+                    {series.map((s, i) => {
+                        const st = stats[i];
+                        return (
+                            <tr key={s.id} style={BODY_ROW}>
+                                <StationName s={s} />
+                                {s.error ? (
+                                    <td style={{ ...CELL, textAlign: 'left', color: '#ff4d6d' }} colSpan={directional ? 4 : 7}>{s.error}</td>
+                                ) : directional ? (
+                                    <>
+                                        <td style={CELL}>{st.count}</td>
+                                        <td style={CELL}>{formatDirection(st.mean)}</td>
+                                        <td style={CELL}>{fmt(st.std, 0)}°</td>
+                                        <td style={CELL}>{fmt(st.resultant)}</td>
+                                    </>
+                                ) : (
+                                    <>
+                                        <td style={CELL}>{s.count}</td>
+                                        <td style={CELL}>{fmt(st.mean)}</td>
+                                        <td style={CELL}>{fmt(st.min)}</td>
+                                        <td style={CELL}>{fmt(st.max)}</td>
+                                        <td style={CELL}>{fmt(st.std)}</td>
+                                        <td style={CELL}>
+                                            {st.anomalyCount}
+                                            {st.anomalyCount > 0 && (
+                                                <span style={{ opacity: 0.7 }}> ({st.highCount}▲ {st.lowCount}▼)</span>
+                                            )}
+                                        </td>
+                                        <td style={CELL}>{st.trend}</td>
+                                    </>
+                                )}
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+// ─── Every other station against the first ───────────────────────────────────
+function DifferenceTable({ param, series, metrics }) {
+    const directional = Boolean(param.directional);
+    const unit = directional ? '°' : param.unit;
+    const [ref, ...others] = series;
+    return (
+        <div className="glass-card p-5" style={{ overflowX: 'auto' }}>
+            <div style={{ fontSize: '0.65rem', fontWeight: 700, letterSpacing: '0.12em', color: '#4db8e8', textTransform: 'uppercase', marginBottom: 2 }}>
+                Differences vs {ref.label}
+            </div>
+            <div style={{ fontSize: '0.64rem', color: '#4db8e8', opacity: 0.75, marginBottom: 10 }}>
+                Over the hours both stations report ({unit}).
+                {directional ? ' Direction differences are taken the short way round.' : ' r is the Pearson correlation.'}
+            </div>
+            <table style={TABLE}>
+                <thead>
+                    <tr style={HEAD_ROW}>
+                        <th style={{ ...CELL, textAlign: 'left' }}>Station</th>
+                        <th style={CELL}>Shared hours</th>
+                        <th style={CELL} title={`Mean of station − ${ref.label}`}>Mean Δ</th>
+                        <th style={CELL}>Mean |Δ|</th>
+                        <th style={CELL}>RMS Δ</th>
+                        {!directional && <th style={CELL}>r</th>}
+                    </tr>
+                </thead>
+                <tbody>
+                    {others.map((s, k) => {
+                        const m = metrics[k];
+                        return (
+                            <tr key={s.id} style={BODY_ROW}>
+                                <StationName s={s} />
+                                <td style={CELL}>{m.n}</td>
+                                <td style={CELL}>{signed(m.meanDiff)}</td>
+                                <td style={CELL}>{fmt(m.mae)}</td>
+                                <td style={CELL}>{fmt(m.rmsd)}</td>
+                                {!directional && <td style={CELL}>{fmt(m.r)}</td>}
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+// ─── Comparison view ─────────────────────────────────────────────────────────
+/**
+ * One live parameter from two or more locations: overlaid on a shared UTC
+ * axis, with their statistics side by side and how each differs from the
+ * first selected.
+ *
+ * @param {Array<object>} locations     every location that can be compared
+ * @param {string[]}      selectedIds   in selection order; the first is the reference
+ * @param {function}      onToggle      (id) → void
+ * @param {string}        paramKey
+ * @param {function}      onParamChange (key) → void
+ * @param {Array<object>} series        useComparisonData result
+ * @param {boolean}       loading
+ * @param {object}        options       { excludeFailed, detector, directions }
+ */
+function StationComparison({ locations, selectedIds, onToggle, paramKey, onParamChange, series, loading, options }) {
+    const param = PARAMETERS.find((p) => p.key === paramKey) ?? PARAMETERS[0];
+    const { excludeFailed, detector, directions } = options;
+
+    // Series decorated for display, in selection order
+    const shown = useMemo(() => series
+        .filter((s) => selectedIds.includes(s.location.id))
+        .map((s) => ({
+            ...s,
+            id: s.location.id,
+            label: s.location.label,
+            color: COMPARE_COLORS[selectedIds.indexOf(s.location.id) % COMPARE_COLORS.length],
+            count: s.rows.filter((r) => r[param.key] !== null && r[param.key] !== undefined && !isNaN(r[param.key])).length,
+        })), [series, selectedIds, param.key]);
+
+    const aligned = useMemo(
+        () => alignSeries(shown, param.key, { excludeFailed }),
+        [shown, param.key, excludeFailed]
+    );
+
+    const stats = useMemo(() => shown.map((s) => (param.directional
+        ? directionStats(s.rows, param.key, { excludeFailed })
+        : computeStats(s.rows, param.key, { excludeFailed, detector, direction: directions[param.key] }))),
+    [shown, param, excludeFailed, detector, directions]);
+
+    const metrics = useMemo(
+        () => shown.slice(1).map((_, k) => pairMetrics(aligned, 0, k + 1, Boolean(param.directional))),
+        [shown, aligned, param.directional]
+    );
+
+    return (
+        <div className="flex flex-col gap-6">
+            {/* Station + parameter pickers */}
+            <div className="glass-card p-5 flex flex-col gap-3">
+                <div style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap' }}>
+                    <span style={{ fontSize: '0.65rem', fontWeight: 700, letterSpacing: '0.12em', color: '#4db8e8', textTransform: 'uppercase' }}>
+                        Compare
+                    </span>
+                    <select
+                        className="ocean-select"
+                        style={{ width: 'auto', minWidth: 180 }}
+                        value={param.key}
+                        onChange={(e) => onParamChange(e.target.value)}
+                    >
+                        {PARAMETERS.map((p) => (
+                            <option key={p.key} value={p.key}>{p.label}</option>
+                        ))}
+                    </select>
+                    {loading && <span style={{ fontSize: '0.7rem', color: '#4db8e8', opacity: 0.8 }}>Loading…</span>}
+                </div>
+                <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                    {locations.map((loc) => {
+                        const order = selectedIds.indexOf(loc.id);
+                        const active = order !== -1;
+                        const color = active ? COMPARE_COLORS[order % COMPARE_COLORS.length] : 'rgba(36,144,204,0.3)';
+                        return (
+                            <button
+                                key={loc.id}
+                                className={`param-pill ${active ? 'active' : ''}`}
+                                onClick={() => onToggle(loc.id)}
+                                style={{ fontSize: '0.72rem' }}
+                            >
+                                <span style={{ width: 8, height: 8, borderRadius: '50%', background: color, flexShrink: 0 }} />
+                                {loc.label}
+                            </button>
+                        );
+                    })}
+                </div>
+            </div>
+
+            {selectedIds.length < 2 ? (
+                <div className="glass-card flex items-center justify-center" style={{ height: 200, color: '#4db8e8', fontSize: '0.85rem' }}>
+                    Pick at least two locations to compare.
+                </div>
+            ) : (
+                <>
+                    <ComparisonChart param={param} series={shown} data={aligned} />
+                    <StatsTable param={param} series={shown} stats={stats} />
+                    {shown.length > 1 && <DifferenceTable param={param} series={shown} metrics={metrics} />}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default memo(StationComparison);
@@ -0,0 +1,255 @@
+import React, { memo, useMemo, useRef, useState, useCallback } from 'react';
+import { LAND } from '../data/coastline';
+import { MAP_POINT_ID } from '../data/constants';
+import { isOnLand } from '../utils/geo';
+
+// ─── Projection: equirectangular, one SVG unit per degree ────────────────────
+// Latitudes beyond ±80° are cut off: no buoys there, and it keeps the map wide
+const LAT_TOP = 80;
+const WIDTH = 360;
+const HEIGHT = LAT_TOP * 2;
+const MAX_ZOOM = 16;
+
+const project = (lon, lat) => [lon + 180, LAT_TOP - lat];
+const unproject = (x, y) => [LAT_TOP - y, x - 180];           // → [lat, lon]
+
+const LAND_PATH = LAND
+    .map((ring) => `M${ring.map(([lon, lat]) => project(lon, lat).join(',')).join('L')}Z`)
+    .join('');
+
+// ─── Marker colours ──────────────────────────────────────────────────────────
+// SST bands, cold → warm (°C lower bounds)
+const SST_BANDS = [
+    { from: -Infinity, color: '#6366f1', label: '< 10' },
+    { from: 10, color: '#0ea5e9', label: '10–20' },
+    { from: 20, color: '#22d3ee', label: '20–26' },
+    { from: 26, color: '#facc15', label: '26–29' },
+    { from: 29, color: '#f97316', label: '29–31' },
+    { from: 31, color: '#ef4444', label: '≥ 31' },
+];
+
+// Anomaly status of the latest SST; matches OceanChart's anomaly dots
+const STATUS_COLORS = [
+    { key: 'normal', color: '#34d399', label: 'Normal' },
+    { key: 'high-moderate', color: '#fb923c', label: 'Warm' },
+    { key: 'high-extreme', color: '#ef4444', label: 'Very warm' },
+    { key: 'low-moderate', color: '#a78bfa', label: 'Cool' },
+    { key: 'low-extreme', color: '#7c3aed', label: 'Very cool' },
+];
+
+const NO_DATA_COLOR = '#475569';
+
+function markerColor(cond, colorBy) {
+    if (!cond || cond.error || cond.sst === null || cond.sst === undefined) return NO_DATA_COLOR;
+    if (colorBy === 'sst') {
+        return [...SST_BANDS].reverse().find((b) => cond.sst >= b.from).color;
+    }
+    const key = cond.level === 'normal' ? 'normal' : `${cond.side}-${cond.level}`;
+    return STATUS_COLORS.find((s) => s.key === key)?.color ?? NO_DATA_COLOR;
+}
+
+function markerTitle(loc, cond) {
+    if (!cond) return `${loc.label}\nLoading…`;
+    if (cond.error) return `${loc.label}\n${cond.error}`;
+    if (cond.sst === null) return `${loc.label}\nNo SST at this location`;
+    const status = cond.level === 'normal' ? 'normal' : `${cond.level} ${cond.side === 'high' ? 'warm' : 'cool'} anomaly`;
+    return `${loc.label}\nSST ${cond.sst.toFixed(1)} °C · ${status}`;
+}
+
+const zoomButtonStyle = {
+    width: 22, height: 22, padding: 0,
+    borderRadius: 6,
+    border: '1px solid rgba(36,144,204,0.3)',
+    background: 'rgba(4,24,46,0.85)',
+    color: '#4db8e8',
+    fontSize: '0.8rem',
+    lineHeight: 1,
+    cursor: 'pointer',
+};
+
+// ─── Map ─────────────────────────────────────────────────────────────────────
+/**
+ * Station picker on a bundled world coastline. Stations are coloured by
+ * their latest SST or its anomaly status; clicking one selects it, clicking
+ * elsewhere at sea picks that point. Drag to pan, +/− to zoom.
+ *
+ * @param {Array<object>} locations    LOCATIONS entries, custom locations and the map point, if any
+ * @param {string}        selectedId
+ * @param {object}        conditions   useStationConditions result, by location id
+ * @param {function}      onSelect     (id) → void
+ * @param {function}      onPickPoint  (lat, lon) → void
+ */
+function StationMap({ locations, selectedId, conditions, onSelect, onPickPoint }) {
+    const svgRef = useRef(null);
+    const dragRef = useRef(null);
+    const [colorBy, setColorBy] = useState('sst');          // 'sst' | 'anomaly'
+    const [view, setView] = useState({ zoom: 1, cx: WIDTH / 2, cy: HEIGHT / 2 });
+    const [notice, setNotice] = useState(null);
+
+    const w = WIDTH / view.zoom;
+    const h = HEIGHT / view.zoom;
+
+    // Keep the view inside the map
+    const clampView = useCallback(({ zoom, cx, cy }) => {
+        const z = Math.min(MAX_ZOOM, Math.max(1, zoom));
+        const hw = WIDTH / z / 2;
+        const hh = HEIGHT / z / 2;
+        return {
+            zoom: z,
+            cx: Math.min(WIDTH - hw, Math.max(hw, cx)),
+            cy: Math.min(HEIGHT - hh, Math.max(hh, cy)),
+        };
+    }, []);
+
+    const zoomBy = useCallback((factor) => setView((v) => clampView({ ...v, zoom: v.zoom * factor })), [clampView]);
+
+    // Screen → SVG (degree) coordinates
+    const toMap = useCallback((e) => {
+        const svg = svgRef.current;
+        const pt = svg.createSVGPoint();
+        pt.x = e.clientX;
+        pt.y = e.clientY;
+        return pt.matrixTransform(svg.getScreenCTM().inverse());
+    }, []);
+
+    const handlePointerDown = useCallback((e) => {
+        // Pointer capture retargets later events to the svg, so note the marker now
+        dragRef.current = { x: e.clientX, y: e.clientY, start: toMap(e), view, moved: false, locationId: e.target.dataset?.locationId };
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+    }, [toMap, view]);
+
+    const handlePointerMove = useCallback((e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        if (Math.hypot(e.clientX - drag.x, e.clientY - drag.y) > 4) drag.moved = true;
+        if (!drag.moved) return;
+        // Degrees per screen pixel at the drag's starting view
+        const scale = (WIDTH / drag.view.zoom) / svgRef.current.getBoundingClientRect().width;
+        setView(clampView({
+            ...drag.view,
+            cx: drag.view.cx - (e.clientX - drag.x) * scale,
+            cy: drag.view.cy - (e.clientY - drag.y) * scale,
+        }));
+    }, [clampView]);
+
+    const handlePointerUp = useCallback(() => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        if (!drag || drag.moved) return;
+
+        // A click, not a drag: a station marker or a point at sea
+        if (drag.locationId) {
+            setNotice(null);
+            onSelect(drag.locationId);
+            return;
+        }
+        const [lat, lon] = unproject(drag.start.x, drag.start.y);
+        if (isOnLand(lat, lon)) {
+            setNotice('That’s land — pick a point at sea.');
+            return;
+        }
+        setNotice(null);
+        onPickPoint(lat, lon);
+    }, [onSelect, onPickPoint]);
+
+    const markers = useMemo(() => locations.map((loc) => {
+        const [x, y] = project(loc.lon, loc.lat);
+        return { loc, x, y, color: markerColor(conditions[loc.id], colorBy), title: markerTitle(loc, conditions[loc.id]) };
+    }), [locations, conditions, colorBy]);
+
+    const legend = colorBy === 'sst' ? SST_BANDS : STATUS_COLORS;
+    const r = 6 / view.zoom;                                 // ~4 px at any zoom
+
+    return (
+        <div>
+            <div className="view-toggle" style={{ marginBottom: 6, width: 'fit-content' }}>
+                <button className={colorBy === 'sst' ? 'active' : ''} onClick={() => setColorBy('sst')}>SST</button>
+                <button className={colorBy === 'anomaly' ? 'active' : ''} onClick={() => setColorBy('anomaly')}>Anomaly</button>
+            </div>
+
+            <div style={{ position: 'relative' }}>
+                <svg
+                    ref={svgRef}
+                    viewBox={`${view.cx - w / 2} ${view.cy - h / 2} ${w} ${h}`}
+                    width="100%"
+                    style={{
+                        display: 'block',
+                        background: 'rgba(2,13,24,0.9)',
+                        border: '1px solid rgba(36,144,204,0.25)',
+                        borderRadius: '0.5rem',
+                        cursor: 'crosshair',
+                        touchAction: 'none',
+                    }}
+                    onPointerDown={handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerLeave={() => { dragRef.current = null; }}
+                >
+                    <path d={LAND_PATH} fill="#12344f" stroke="#2490cc" strokeWidth={0.3 / view.zoom} strokeOpacity={0.6} />
+
+                    {markers.map(({ loc, x, y, color, title }) => {
+                        const selected = loc.id === selectedId;
+                        const isPoint = loc.id === MAP_POINT_ID || loc.custom;   // not a station: diamond
+                        return (
+                            <g key={loc.id}>
+                                {selected && (
+                                    <circle cx={x} cy={y} r={r * 2} fill="none" stroke="#e0f2fe" strokeWidth={r / 4} />
+                                )}
+                                {isPoint ? (
+                                    <rect
+                                        data-location-id={loc.id}
+                                        x={x - r} y={y - r} width={r * 2} height={r * 2}
+                                        transform={`rotate(45 ${x} ${y})`}
+                                        fill={color} stroke="#04182e" strokeWidth={r / 4}
+                                        style={{ cursor: 'pointer' }}
+                                    >
+                                        <title>{title}</title>
+                                    </rect>
+                                ) : (
+                                    <circle
+                                        data-location-id={loc.id}
+                                        cx={x} cy={y} r={r}
+                                        fill={color} stroke="#04182e" strokeWidth={r / 4}
+                                        style={{ cursor: 'pointer' }}
+                                    >
+                                        <title>{title}</title>
+                                    </circle>
+                                )}
+                            </g>
+                        );
+                    })}
+                </svg>
+
+                {/* Zoom controls */}
+                <div style={{ position: 'absolute', top: 4, right: 4, display: 'flex', flexDirection: 'column', gap: 3 }}>
+                    <button style={zoomButtonStyle} onClick={() => zoomBy(2)} title="Zoom in">+</button>
+                    <button style={zoomButtonStyle} onClick={() => zoomBy(0.5)} title="Zoom out">−</button>
+                    <button
+                        style={zoomButtonStyle}
+                        onClick={() => setView({ zoom: 1, cx: WIDTH / 2, cy: HEIGHT / 2 })}
+                        title="Whole world"
+                    >
+                        ⤢
+                    </button>
+                </div>
+            </div>
+
+            {/* Legend */}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.2rem 0.5rem', marginTop: 6 }}>
+                {legend.map((item) => (
+                    <span key={item.label} style={{ display: 'inline-flex', alignItems: 'center', gap: 4, fontSize: '0.6rem', color: '#87d4f4' }}>
+                        <span style={{ width: 8, height: 8, borderRadius: '50%', background: item.color }} />
+                        {item.label}
+                    </span>
+                ))}
+                {colorBy === 'sst' && <span style={{ fontSize: '0.6rem', color: '#4db8e8' }}>°C</span>}
+            </div>
+
+            <div style={{ fontSize: '0.6rem', color: notice ? '#fbbf24' : '#4db8e8', opacity: notice ? 1 : 0.7, marginTop: 4, lineHeight: 1.5 }}>
+                {notice ?? 'Click a station, or anywhere at sea for live data there.'}
+            </div>
+        </div>
+    );
+}
+
+export default memo(StationMap);
@@ -1,7 +1,9 @@
 import React from 'react';
 import { PARAMETERS } from '../data/constants';
+import { getDetector } from '../utils/detectors';
+import { formatDirection } from '../utils/direction';
 
-function StatCard({ label, value, unit, icon, color }) {
+function StatCard({ label, value, unit, icon, color, display }) {
     return (
         <div
             className="glass-card flex flex-col gap-1.5 p-4"
@@ -22,7 +24,7 @@ function StatCard({ label, value, unit, icon, color }) {
             </div>
             <div style={{ display: 'flex', alignItems: 'baseline', gap: '0.3rem' }}>
                 <span style={{ fontSize: '1.5rem', fontWeight: 800, color }}>
-                    {value !== null && value !== undefined ? Number(value).toFixed(2) : '—'}
+                    {display ?? (value !== null && value !== undefined ? Number(value).toFixed(2) : '—')}
                 </span>
                 <span style={{ fontSize: '0.7rem', color: '#4db8e8' }}>{unit}</span>
             </div>
@@ -31,6 +33,17 @@ function StatCard({ label, value, unit, icon, color }) {
     );
 }
 
+// ─── Directional parameters: circular mean, spread and steadiness ─────────────
+function DirectionCards({ s, param }) {
+    return (
+        <div className="flex gap-3 flex-wrap">
+            <StatCard label="Mean Direction" display={formatDirection(s.mean)} color={param.color} icon="🧭" />
+            <StatCard label="Spread" value={s.std} unit="°" color="#87d4f4" icon="σ" />
+            <StatCard label="Steadiness" value={s.resultant} unit="R" color="#4db8e8" icon="⟶" />
+        </div>
+    );
+}
+
 export default function StatsCards({ stats, activeParams, dataCount }) {
     return (
         <div className="flex flex-col gap-4">
@@ -51,39 +64,51 @@ export default function StatsCards({ stats, activeParams, dataCount }) {
                             {param.label}
                         </div>
                         {/* Stat cards row */}
-                        <div className="flex gap-3 flex-wrap">
-                            <StatCard label="Mean" value={s.mean} unit={param.unit} color={param.color} icon="〜" />
-                            <StatCard label="Min" value={s.min} unit={param.unit} color="#4db8e8" icon="↓" />
-                            <StatCard label="Max" value={s.max} unit={param.unit} color="#00d4ff" icon="↑" />
-                            <StatCard label="Std Dev" value={s.std} unit={param.unit} color="#87d4f4" icon="σ" />
-                            {/* Anomaly count */}
-                            {s.anomalyCount !== undefined && (
-                                <div
-                                    className="glass-card flex flex-col gap-1.5 p-4"
-                                    style={{ flex: 1, minWidth: 120, position: 'relative', overflow: 'hidden' }}
-                                >
+                        {param.directional ? (
+                            <DirectionCards s={s} param={param} />
+                        ) : (
+                            <div className="flex gap-3 flex-wrap">
+                                <StatCard label="Mean" value={s.mean} unit={param.unit} color={param.color} icon="〜" />
+                                <StatCard label="Min" value={s.min} unit={param.unit} color="#4db8e8" icon="↓" />
+                                <StatCard label="Max" value={s.max} unit={param.unit} color="#00d4ff" icon="↑" />
+                                <StatCard label="Std Dev" value={s.std} unit={param.unit} color="#87d4f4" icon="σ" />
+                                {/* Anomaly count */}
+                                {s.anomalyCount !== undefined && (
                                     <div
-                                        style={{
-                                            position: 'absolute', top: -20, right: -20,
-                                            width: 70, height: 70,
-                                            borderRadius: '50%',
-                                            background: 'radial-gradient(circle, #ff4d6d30, transparent 70%)',
-                                            pointerEvents: 'none',
-                                        }}
-                                    />
-                                    <div style={{ fontSize: '0.62rem', fontWeight: 700, letterSpacing: '0.1em', color: '#ff4d6d', textTransform: 'uppercase' }}>
-                                        Anomalies
-                                    </div>
-                                    <div style={{ display: 'flex', alignItems: 'baseline', gap: '0.3rem' }}>
-                                        <span style={{ fontSize: '1.5rem', fontWeight: 800, color: '#ff4d6d' }}>
-                                            {s.anomalyCount}
-                                        </span>
-                                        <span style={{ fontSize: '0.7rem', color: '#ff4d6d80' }}>/ {dataCount}</span>
+                                        className="glass-card flex flex-col gap-1.5 p-4"
+                                        style={{ flex: 1, minWidth: 120, position: 'relative', overflow: 'hidden' }}
+                                    >
+                                        <div
+                                            style={{
+                                                position: 'absolute', top: -20, right: -20,
+                                                width: 70, height: 70,
+                                                borderRadius: '50%',
+                                                background: 'radial-gradient(circle, #ff4d6d30, transparent 70%)',
+                                                pointerEvents: 'none',
+                                            }}
+                                        />
+                                        <div style={{ fontSize: '0.62rem', fontWeight: 700, letterSpacing: '0.1em', color: '#ff4d6d', textTransform: 'uppercase' }}>
+                                            Anomalies
+                                        </div>
+                                        <div style={{ display: 'flex', alignItems: 'baseline', gap: '0.3rem' }}>
+                                            <span style={{ fontSize: '1.5rem', fontWeight: 800, color: '#ff4d6d' }}>
+                                                {s.anomalyCount}
+                                            </span>
+                                            <span style={{ fontSize: '0.7rem', color: '#ff4d6d80' }}>/ {dataCount}</span>
+                                        </div>
+                                        {s.anomalyCount > 0 && (
+                                            <div style={{ fontSize: '0.7rem', color: '#ff4d6d' }}>
+                                                ▲ {s.highCount} high · ▼ {s.lowCount} low
+                                            </div>
+                                        )}
+                                        <div style={{ fontSize: '0.7rem', color: '#ff4d6d80' }}>
+                                            {getDetector(s.detector).rule}
+                                            {s.baseline === 'climatology' ? ' · vs seasonal normal' : ''}
+                                        </div>
                                     </div>
-                                    <div style={{ fontSize: '0.7rem', color: '#ff4d6d80' }}>μ+2σ rule</div>
-                                </div>
-                            )}
-                        </div>
+                                )}
+                            </div>
+                        )}
                     </div>
                 );
             })}
@@ -0,0 +1,115 @@
+import React, { memo } from 'react';
+import { STORM_COLORS, STORM_CRITERIA } from '../utils/storms';
+
+const fmtTime = (iso) => new Date(iso).toLocaleString('en-GB', {
+    day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone: 'UTC',
+});
+const fmtDay = (ms) => new Date(ms).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+// ─── Track: every event as a bar across the view's time range ─────────────────
+function TimelineTrack({ events, range, selected, onSelect }) {
+    const [from, to] = range;
+    const span = to - from;
+    if (!(span > 0)) return null;
+    const pct = (t) => Math.min(100, Math.max(0, ((t - from) / span) * 100));
+
+    return (
+        <div style={{ marginBottom: 12 }}>
+            <div style={{ position: 'relative', height: 18, borderRadius: 4, background: 'rgba(36,144,204,0.08)' }}>
+                {events.map((e) => {
+                    const left = pct(Date.parse(e.start));
+                    const width = Math.max(0.8, pct(Date.parse(e.end)) - left);
+                    const color = STORM_COLORS[e.category];
+                    const active = selected?.start === e.start;
+                    return (
+                        <button
+                            key={e.start}
+                            onClick={() => onSelect(active ? null : e)}
+                            title={`${e.category} · ${fmtTime(e.start)} – ${fmtTime(e.end)}`}
+                            style={{
+                                position: 'absolute', top: 2, bottom: 2, left: `${left}%`, width: `${width}%`,
+                                minWidth: 4, borderRadius: 2, padding: 0, cursor: 'pointer',
+                                background: color, opacity: selected && !active ? 0.35 : 0.9,
+                                border: active ? '1px solid #fff' : 'none',
+                            }}
+                        />
+                    );
+                })}
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.6rem', color: '#4db8e880', marginTop: 3 }}>
+                <span>{fmtDay(from)}</span>
+                <span>{fmtDay(to)}</span>
+            </div>
+        </div>
+    );
+}
+
+// ─── Storm event timeline shown beside the charts; click an event to zoom ─────
+function StormTimeline({ events, range, selected, onSelect, error }) {
+    return (
+        <div className="glass-card p-5">
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, marginBottom: 10 }}>
+                <span style={{ fontSize: '0.65rem', fontWeight: 700, letterSpacing: '0.12em', color: '#4db8e8', textTransform: 'uppercase' }}>
+                    ⛈ Storm events
+                </span>
+                {selected && (
+                    <button
+                        onClick={() => onSelect(null)}
+                        style={{
+                            background: 'rgba(0,212,255,0.1)', border: '1px solid rgba(0,212,255,0.3)',
+                            borderRadius: 99, padding: '0.15rem 0.6rem',
+                            color: '#00d4ff', fontSize: '0.64rem', fontWeight: 600, cursor: 'pointer',
+                        }}
+                    >
+                        Reset zoom
+                    </button>
+                )}
+            </div>
+
+            {error ? (
+                <div style={{ fontSize: '0.72rem', color: '#ff4d6d' }}>{error}</div>
+            ) : !events.length ? (
+                <div style={{ fontSize: '0.72rem', color: '#4db8e8', opacity: 0.8, lineHeight: 1.5 }}>
+                    No storm events in this range. An event needs a pressure fall of ≥ {STORM_CRITERIA.pressureDrop} hPa
+                    in {STORM_CRITERIA.dropWindowHours} h with wind ≥ {STORM_CRITERIA.windSpeed} m/s
+                    and waves ≥ {STORM_CRITERIA.waveHeight} m.
+                </div>
+            ) : (
+                <>
+                    <TimelineTrack events={events} range={range} selected={selected} onSelect={onSelect} />
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+                        {events.map((e) => {
+                            const color = STORM_COLORS[e.category];
+                            const active = selected?.start === e.start;
+                            return (
+                                <button
+                                    key={e.start}
+                                    onClick={() => onSelect(active ? null : e)}
+                                    style={{
+                                        textAlign: 'left', cursor: 'pointer', borderRadius: 8, padding: '0.45rem 0.6rem',
+                                        background: active ? `${color}22` : 'rgba(36,144,204,0.05)',
+                                        border: `1px solid ${active ? `${color}88` : 'rgba(36,144,204,0.12)'}`,
+                                    }}
+                                >
+                                    <div style={{ fontSize: '0.64rem', fontWeight: 700, color, textTransform: 'capitalize' }}>
+                                        {e.category}
+                                    </div>
+                                    <div style={{ fontSize: '0.7rem', color: '#87d4f4' }}>
+                                        {fmtTime(e.start)} – {fmtTime(e.end)} UTC
+                                    </div>
+                                    <div style={{ fontSize: '0.64rem', color: '#4db8e8', opacity: 0.8 }}>
+                                        peak {fmtTime(e.peak)} · {Number(e.minPressure).toFixed(1)} hPa
+                                        (−{Number(e.pressureDrop).toFixed(1)}) · wind {Number(e.maxWind).toFixed(1)} m/s
+                                        {e.maxWave !== null && e.maxWave !== undefined && ` · waves ${Number(e.maxWave).toFixed(1)} m`}
+                                    </div>
+                                </button>
+                            );
+                        })}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default memo(StormTimeline);
@@ -1,17 +1,53 @@
 /**
  * Shared constants for the Ocean Blue dashboard.
- * Locations use lat/lon to drive the dynamic backend query.
+ * Locations use lat/lon to drive the dynamic backend query; their ids are
+ * also the station ids of the historical archive registry (lib/stations.js).
  */
 
 export const LOCATIONS = [
     { id: 'rama_23003', label: 'RAMA 23003 – 2°S 81°E', lat: -2, lon: 81 },
     { id: 'north_indio', label: 'North Indian Ocean – 12°N 65°E', lat: 12, lon: 65 },
     { id: 'bay_of_bengal', label: 'Bay of Bengal – 10°N 88°E', lat: 10, lon: 88 },
+    { id: 'ndbc_46042', label: 'NDBC 46042 – Monterey Bay', lat: 36.785, lon: -122.398 },
 ];
 
+// Location id of an ad-hoc point picked on the station map (utils/geo.js
+// mapPointLocation). It is not a station: there is no archive behind it.
+export const MAP_POINT_ID = 'map_point';
+
+// `archiveField` is the matching NDBC column whose seasonal baseline
+// (/api/climatology) live values are scored against. Wind speed has none:
+// live rows carry Open-Meteo's km/h (as do snapshots and the verification
+// log), the archive m/s.
+// `directional` marks angles in degrees from north, with the convention
+// they are reported in: 'from' (wind, waves) or 'to' (currents). They get
+// circular stats and an arrow chart (utils/direction.js) instead of lines.
 export const PARAMETERS = [
-    { key: 'sea_surface_temp', label: 'Sea Surface Temp', unit: '°C', color: '#00d4ff' },
-    { key: 'wind_speed', label: 'Wind Speed', unit: 'm/s', color: '#4db8e8' },
-    { key: 'air_pressure', label: 'Air Pressure', unit: 'hPa', color: '#87d4f4' },
-    { key: 'wave_height', label: 'Wave Height', unit: 'm', color: '#2490cc' },
+    { key: 'sea_surface_temp', label: 'Sea Surface Temp', unit: '°C', color: '#00d4ff', archiveField: 'WTMP' },
+    { key: 'air_temp', label: 'Air Temp', unit: '°C', color: '#f472b6' },
+    { key: 'wind_speed', label: 'Wind Speed', unit: 'km/h', color: '#4db8e8' },
+    { key: 'wind_direction', label: 'Wind Direction', unit: '°', color: '#7dd3fc', directional: 'from' },
+    { key: 'air_pressure', label: 'Air Pressure', unit: 'hPa', color: '#87d4f4', archiveField: 'PRES' },
+    { key: 'wave_height', label: 'Wave Height', unit: 'm', color: '#2490cc', archiveField: 'WVHT' },
+    { key: 'wind_wave_height', label: 'Wind Wave Height', unit: 'm', color: '#22d3ee' },
+    { key: 'swell_wave_height', label: 'Swell Height', unit: 'm', color: '#818cf8' },
+    { key: 'wave_period', label: 'Wave Period', unit: 's', color: '#34d399' },
+    { key: 'wave_direction', label: 'Wave Direction', unit: '°', color: '#60a5fa', directional: 'from' },
+    { key: 'current_velocity', label: 'Current Speed', unit: 'km/h', color: '#2dd4bf' },
+    { key: 'current_direction', label: 'Current Direction', unit: '°', color: '#5eead4', directional: 'to' },
 ];
+
+// Which side of normal counts as an anomaly, per parameter (live and archive
+// keys): pressure drops matter as much as highs, while calm seas and light
+// winds are not anomalies. These are defaults; each chart lets users switch.
+export const ANOMALY_DIRECTIONS = {
+    sea_surface_temp: 'both', WTMP: 'both',
+    air_pressure: 'both', PRES: 'both',
+    wind_speed: 'high', WSPD: 'high',
+    wave_height: 'high', WVHT: 'high',
+    air_temp: 'both', ATMP: 'both',
+    wind_wave_height: 'high',
+    swell_wave_height: 'high',
+    wave_period: 'both',
+    current_velocity: 'high',
+};
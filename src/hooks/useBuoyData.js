@@ -9,14 +9,29 @@ const REFRESH_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
  * Auto-refreshes every 5 minutes. Cleans up on unmount.
  * Exposes pauseRefresh / resumeRefresh so callers can suppress
  * background polling while the live panel is not visible.
+ * `availability` maps each field to { available, source, reason } — a
+ * field can be missing while the rest loaded when one upstream API is down.
+ * `current` is the latest sea state (wave height, direction, period).
+ * Row timestamps are the location's local time without an offset;
+ * `utcOffsetSeconds` turns them into UTC (utils/compare.js toUtcMs).
+ * `heatwaves` are the marine heatwaves the server found in the live window
+ * against the station's archive threshold, `storms` the storm events
+ * (lib/storms.js) in it and `roses` its wind and wave roses (lib/rose.js).
  *
  * @param {number} lat  – latitude
  * @param {number} lon  – longitude
+ * @param {string|null} [station]  station id; null for a map point or custom location
  */
-export function useBuoyData(lat, lon) {
+export function useBuoyData(lat, lon, station = null) {
     const [data, setData] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [availability, setAvailability] = useState(null);
+    const [current, setCurrent] = useState(null);
+    const [utcOffsetSeconds, setUtcOffsetSeconds] = useState(null);
+    const [heatwaves, setHeatwaves] = useState([]);
+    const [storms, setStorms] = useState([]);
+    const [roses, setRoses] = useState(null);
     const [lastUpdated, setLastUpdated] = useState(null);
     const timerRef = useRef(null);
     const pausedRef = useRef(false); // tracks whether polling is paused
@@ -25,16 +40,28 @@ export function useBuoyData(lat, lon) {
         setLoading(true);
         setError(null);
         try {
-            const rows = await fetchBuoyData(lat, lon);
-            setData(rows);
+            const res = await fetchBuoyData(lat, lon, station);
+            setData(res.data);
+            setAvailability(res.availability);
+            setCurrent(res.current);
+            setUtcOffsetSeconds(res.utcOffsetSeconds);
+            setHeatwaves(res.heatwaves);
+            setStorms(res.storms);
+            setRoses(res.roses);
             setLastUpdated(new Date());
         } catch (err) {
             setError(err.message || 'Failed to fetch buoy data');
             setData([]);
+            setAvailability(null);
+            setCurrent(null);
+            setUtcOffsetSeconds(null);
+            setHeatwaves([]);
+            setStorms([]);
+            setRoses(null);
         } finally {
             setLoading(false);
         }
-    }, [lat, lon]);
+    }, [lat, lon, station]);
 
     // Stable interval ticker: only fires fetch if not paused
     const tick = useCallback(() => {
@@ -63,5 +90,5 @@ export function useBuoyData(lat, lon) {
         fetchData(); // catch up with any missed interval
     }, [fetchData]);
 
-    return { data, loading, error, lastUpdated, refetch: fetchData, pauseRefresh, resumeRefresh };
+    return { data, availability, current, utcOffsetSeconds, heatwaves, storms, roses, loading, error, lastUpdated, refetch: fetchData, pauseRefresh, resumeRefresh };
 }
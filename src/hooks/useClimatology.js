@@ -0,0 +1,74 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchClimatology } from '../services/api';
+
+/**
+ * useClimatology — seasonal baselines for a station, fetched once per
+ * station + field list and cached for the session. Stations without an
+ * archive (404) simply have no baseline: `climatology` stays null and
+ * callers fall back to scoring anomalies against the visible window.
+ *
+ * @param {string}   station   station id (LOCATIONS id); null for a map point
+ * @param {string[]} fields    archive columns to fetch baselines for
+ * @param {boolean}  enabled   false while no view needs the baseline
+ * @returns {{ climatology: object|null, coverage: object|null, loading: boolean, error: string|null }}
+ */
+export function useClimatology(station, fields, enabled) {
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const cacheRef = useRef(new Map());         // station|fields → { climatology, coverage }
+
+    const fieldsKey = fields ? fields.join(',') : '';
+
+    useEffect(() => {
+        if (!enabled) return;
+        if (!station) {
+            setResult(null);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        const key = `${station}|${fieldsKey}`;
+        const cached = cacheRef.current.get(key);
+        if (cached) {
+            setResult(cached);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+
+        (async () => {
+            setLoading(true);
+            setError(null);
+            setResult(null);
+            try {
+                const entry = await fetchClimatology(station, fieldsKey ? fieldsKey.split(',') : undefined);
+                cacheRef.current.set(key, entry);
+                if (!cancelled) setResult(entry);
+            } catch (err) {
+                if (err.status === 404) {
+                    // No archive → no baseline; not worth surfacing
+                    const entry = { climatology: null, coverage: null };
+                    cacheRef.current.set(key, entry);
+                    if (!cancelled) setResult(entry);
+                } else if (!cancelled) {
+                    setError(err.message || 'Failed to fetch climatology');
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        })();
+
+        return () => { cancelled = true; };
+    }, [enabled, station, fieldsKey]);
+
+    return {
+        climatology: result?.climatology ?? null,
+        coverage: result?.coverage ?? null,
+        loading,
+        error,
+    };
+}
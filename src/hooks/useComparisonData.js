@@ -0,0 +1,61 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchBuoyData } from '../services/api';
+
+const MAX_AGE_MS = 5 * 60 * 1000; // matches useBuoyData's refresh interval
+
+/**
+ * useComparisonData — live rows for several locations at once, for the
+ * comparison view. Each location is fetched from /api/buoy (cached
+ * server-side until the next hourly update) and kept here for five minutes,
+ * so adding a station to the comparison only fetches that one. Failures are
+ * not kept, so the next time the comparison loads that location is fetched again.
+ *
+ * @param {Array<{ id: string, lat: number, lon: number }>} locations
+ * @param {boolean} enabled  false while the comparison view is hidden
+ * @returns {{ series: Array<{ location: object, rows: Array<object>, utcOffsetSeconds: number|null,
+ *             error: string|null }>, loading: boolean }}  in the order of `locations`
+ */
+export function useComparisonData(locations, enabled) {
+    const [series, setSeries] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const cacheRef = useRef(new Map());         // `${lat},${lon}` → { rows, utcOffsetSeconds, fetchedAt }
+
+    // Compared by value, not identity
+    const locationsKey = locations.map((l) => `${l.id}@${l.lat},${l.lon}`).join('|');
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        let cancelled = false;
+
+        (async () => {
+            setLoading(true);
+            const now = Date.now();
+            const entries = await Promise.all(locations.map(async (location) => {
+                const key = `${location.lat},${location.lon}`;
+                let entry = cacheRef.current.get(key);
+                if (!entry || now - entry.fetchedAt >= MAX_AGE_MS) {
+                    try {
+                        const { data, utcOffsetSeconds } = await fetchBuoyData(location.lat, location.lon);
+                        entry = { rows: data, utcOffsetSeconds, fetchedAt: now };
+                        cacheRef.current.set(key, entry);
+                    } catch (err) {
+                        return { location, rows: [], utcOffsetSeconds: null, error: err.message || 'Failed to fetch buoy data' };
+                    }
+                }
+                return { location, rows: entry.rows, utcOffsetSeconds: entry.utcOffsetSeconds, error: null };
+            }));
+            if (cancelled) return;
+            setSeries(entries);
+            setLoading(false);
+        })();
+
+        // A fetch dropped mid-way (view hidden, locations changed) must not leave the spinner up
+        return () => {
+            cancelled = true;
+            setLoading(false);
+        };
+    }, [enabled, locationsKey]);
+
+    return { series, loading };
+}
@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback } from 'react';
+import { validateLocation } from '../utils/geo';
+
+const STORAGE_KEY = 'oceanBlue.customLocations.v1';
+
+/** Saved locations from local storage; anything unreadable is dropped. */
+function load() {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? '[]');
+        if (!Array.isArray(saved)) return [];
+        return saved.filter((l) => l && typeof l.id === 'string' && validateLocation({ name: l.label, ...l }).value);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * useCustomLocations — the user's own points of interest, kept in this
+ * browser's local storage. Entries are shaped like LOCATIONS ones, plus
+ * `notes` and `custom: true`; they have no station archive, so only live
+ * data is available for them.
+ *
+ * add / update validate with utils/geo.js validateLocation and return its
+ * `errors` (empty on success) so forms can show them per field.
+ *
+ * @returns {{
+ *   locations: Array<{ id: string, label: string, lat: number, lon: number, notes: string, custom: true }>,
+ *   add: (input: object) => { id: string|null, errors: object },
+ *   update: (id: string, input: object) => { errors: object },
+ *   remove: (id: string) => void,
+ * }}
+ */
+export function useCustomLocations() {
+    const [locations, setLocations] = useState(load);
+
+    // Persist every change
+    useEffect(() => {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(locations));
+        } catch {
+            // Storage full or disabled (private mode): keep them for this session
+        }
+    }, [locations]);
+
+    const add = useCallback((input) => {
+        const { value, errors } = validateLocation(input);
+        if (!value) return { id: null, errors };
+        const id = `custom_${Date.now().toString(36)}`;
+        setLocations((prev) => [...prev, { id, ...value, custom: true }]);
+        return { id, errors };
+    }, []);
+
+    const update = useCallback((id, input) => {
+        const { value, errors } = validateLocation(input);
+        if (value) setLocations((prev) => prev.map((l) => (l.id === id ? { ...l, ...value } : l)));
+        return { errors };
+    }, []);
+
+    const remove = useCallback((id) => {
+        setLocations((prev) => prev.filter((l) => l.id !== id));
+    }, []);
+
+    return { locations, add, update, remove };
+}
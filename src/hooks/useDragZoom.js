@@ -0,0 +1,46 @@
+import { useState, useCallback, useMemo } from 'react';
+import { dragZoom } from '../utils/zoom';
+
+/**
+ * useDragZoom — drag across a Recharts chart to zoom to that span.
+ * Spread `handlers` onto the chart; draw `selection` ([x1, x2] axis labels,
+ * or null) as a ReferenceArea while dragging. On release `onZoom` gets the
+ * window (utils/zoom.js) between the rows dragged across.
+ *
+ * @param {Array<object>} rows    the chart's data
+ * @param {function}      onZoom  (zoom) → void; no zooming when absent
+ * @param {{ labelKey?: string, utcOffsetSeconds?: number|null }} [options]
+ *        labelKey — the X axis dataKey ('label');
+ *        utcOffsetSeconds — offset of the rows' local timestamps (/api/buoy)
+ */
+export function useDragZoom(rows, onZoom, { labelKey = 'label', utcOffsetSeconds = null } = {}) {
+    const [drag, setDrag] = useState(null);     // { start, end } row indices
+
+    const onMouseDown = useCallback((e) => {
+        if (!onZoom || e?.activeTooltipIndex === undefined) return;
+        setDrag({ start: e.activeTooltipIndex, end: e.activeTooltipIndex });
+    }, [onZoom]);
+
+    const onMouseMove = useCallback((e) => {
+        if (e?.activeTooltipIndex === undefined) return;
+        setDrag((d) => (d && d.end !== e.activeTooltipIndex ? { ...d, end: e.activeTooltipIndex } : d));
+    }, []);
+
+    const onMouseUp = useCallback(() => {
+        if (!drag) return;
+        const zoom = dragZoom(rows, drag.start, drag.end, utcOffsetSeconds);
+        setDrag(null);
+        if (zoom) onZoom(zoom);
+    }, [drag, rows, onZoom, utcOffsetSeconds]);
+
+    const handlers = useMemo(
+        () => (onZoom ? { onMouseDown, onMouseMove, onMouseUp, onMouseLeave: onMouseUp } : {}),
+        [onZoom, onMouseDown, onMouseMove, onMouseUp]
+    );
+
+    const selection = drag && drag.start !== drag.end
+        ? [rows[Math.min(drag.start, drag.end)]?.[labelKey], rows[Math.max(drag.start, drag.end)]?.[labelKey]]
+        : null;
+
+    return { handlers, selection };
+}
@@ -0,0 +1,67 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchForecastModels } from '../services/api';
+
+/**
+ * useForecastModels — the forecast models trained on a station's archive,
+ * fetched once per station and cached. Stations without an archive (404)
+ * have no models, and so no forecast band.
+ *
+ * @param {string}  station  station id (LOCATIONS id); null for a map point
+ * @param {boolean} enabled  false while the forecast is hidden
+ * @returns {{ models: Record<string, object|null>|null, loading: boolean, error: string|null }}
+ */
+export function useForecastModels(station, enabled) {
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const cacheRef = useRef(new Map());         // station → { horizon, models }
+
+    useEffect(() => {
+        if (!enabled) return;
+        if (!station) {
+            setResult(null);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        const cached = cacheRef.current.get(station);
+        if (cached) {
+            setResult(cached);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+
+        (async () => {
+            setLoading(true);
+            setError(null);
+            setResult(null);
+            try {
+                const entry = await fetchForecastModels(station);
+                cacheRef.current.set(station, entry);
+                if (!cancelled) setResult(entry);
+            } catch (err) {
+                if (err.status === 404) {
+                    const entry = { horizon: 0, models: null };
+                    cacheRef.current.set(station, entry);
+                    if (!cancelled) setResult(entry);
+                } else if (!cancelled) {
+                    setError(err.message || 'Failed to fetch forecast models');
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        })();
+
+        return () => { cancelled = true; };
+    }, [enabled, station]);
+
+    return {
+        models: result?.models ?? null,
+        loading,
+        error,
+    };
+}
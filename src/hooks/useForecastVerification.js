@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { fetchVerification } from '../services/api';
+
+/**
+ * useForecastVerification — forecast skill for a location. Not cached:
+ * every issuance the live view logs can add verified hours, so the numbers
+ * are re-fetched each time the dashboard opens or its inputs change.
+ *
+ * @param {number}  lat
+ * @param {number}  lon
+ * @param {number}  days     verification window in days
+ * @param {boolean} enabled  false while the dashboard is hidden
+ * @returns {{ verification: object|null, loading: boolean, error: string|null }}
+ */
+export function useForecastVerification(lat, lon, days, enabled) {
+    const [verification, setVerification] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        let cancelled = false;
+
+        (async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const json = await fetchVerification(lat, lon, days);
+                if (!cancelled) setVerification(json);
+            } catch (err) {
+                if (!cancelled) {
+                    setVerification(null);
+                    setError(err.message || 'Failed to fetch forecast verification');
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        })();
+
+        return () => { cancelled = true; };
+    }, [lat, lon, days, enabled]);
+
+    return { verification, loading, error };
+}
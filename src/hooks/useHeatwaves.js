@@ -0,0 +1,70 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchHeatwaves } from '../services/api';
+
+/**
+ * useHeatwaves — every marine heatwave in a station's archive, with the
+ * threshold curves the live charts shade SST against (live-window events
+ * come with the /api/buoy response). Fetched once per station
+ * and cached; views pick the events that fall in their own range.
+ * Stations without an archive (404) have no events and no threshold.
+ *
+ * @param {string}  station  station id (LOCATIONS id); null for a map point
+ * @param {boolean} enabled  false while no view shows SST
+ * @returns {{ events: Array<object>, threshold: object|null, loading: boolean, error: string|null }}
+ */
+export function useHeatwaves(station, enabled) {
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const cacheRef = useRef(new Map());         // station → { events, threshold }
+
+    useEffect(() => {
+        if (!enabled) return;
+        if (!station) {
+            setResult(null);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        const cached = cacheRef.current.get(station);
+        if (cached) {
+            setResult(cached);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+
+        (async () => {
+            setLoading(true);
+            setError(null);
+            setResult(null);
+            try {
+                const entry = await fetchHeatwaves(station);
+                cacheRef.current.set(station, entry);
+                if (!cancelled) setResult(entry);
+            } catch (err) {
+                if (err.status === 404) {
+                    const entry = { events: [], threshold: null };
+                    cacheRef.current.set(station, entry);
+                    if (!cancelled) setResult(entry);
+                } else if (!cancelled) {
+                    setError(err.message || 'Failed to fetch heatwaves');
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        })();
+
+        return () => { cancelled = true; };
+    }, [enabled, station]);
+
+    return {
+        events: result?.events ?? [],
+        threshold: result?.threshold ?? null,
+        loading,
+        error,
+    };
+}
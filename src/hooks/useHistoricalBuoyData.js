@@ -1,62 +1,132 @@
-import { useState, useCallback } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { fetchHistoricalBuoyData } from '../services/api';
+import { cleanRows } from '../utils/clean';
+
+// Parsed when the caller doesn't name its fields
+const DEFAULT_FIELDS = ['WTMP', 'WSPD', 'WVHT', 'PRES'];
+
+/** Number, or null for blanks / unparseable values (never NaN). */
+function toNumber(v) {
+    if (v === null || v === undefined || v === '') return null;
+    const n = parseFloat(v);
+    return isNaN(n) ? null : n;
+}
+
+/** Convert one server row into chart-ready form (Date timestamp, numeric fields, year). */
+function parseRow(row, fields) {
+    const tsRaw =
+        row.timestamp ?? row.TIMESTAMP ?? row.time ??
+        row.DATE ?? row.date ?? null;
+
+    let ts = null;
+    if (tsRaw) {
+        ts = new Date(tsRaw);
+        if (isNaN(ts.getTime())) ts = null;
+    }
+
+    const parsed = { ...row, timestamp: ts, year: ts ? ts.getFullYear() : null };
+    for (const f of fields) parsed[f] = toNumber(row[f]);
+    return parsed;
+}
 
 /**
- * useHistoricalBuoyData — LAZY version
+ * useHistoricalBuoyData — LAZY, query-keyed version
  *
- * Data is fetched ONLY when `load()` is called for the first time.
- * Subsequent calls to `load()` are no-ops if data is already cached.
- * This prevents re-fetching when the user toggles back and forth.
+ * Fetches the requested slice of a station's archive (date range, fields,
+ * resolution) from /api/buoy-historical. Nothing is fetched while
+ * `enabled` is false, and every slice is cached by its query, so
+ * toggling views or flipping back to a previous station or year never
+ * re-fetches. Stations without an archive (404) report `unavailable`
+ * rather than an error. `coverage` is the time span of the station's
+ * whole archive, for building year pickers. `quality` reports, per field,
+ * how many fill values / impossible readings were dropped — by the server,
+ * or by the client-side fallback in utils/clean.js for older servers.
+ *
+ * @param {object}   query
+ * @param {string}   query.station       station id (LOCATIONS id); null for a map point
+ * @param {string}   [query.start]       ISO date, inclusive
+ * @param {string}   [query.end]         ISO date, inclusive
+ * @param {string[]} [query.fields]      columns to request
+ * @param {string}   [query.resolution]  'raw' | 'hourly' | 'daily' | 'monthly'
+ * @param {boolean}  enabled             false until the historical view is opened
  */
-export function useHistoricalBuoyData() {
-    const [allData, setAllData] = useState(null); // null = not yet loaded
+export function useHistoricalBuoyData({ station, start, end, fields, resolution }, enabled) {
+    const [result, setResult] = useState(null); // null = not yet loaded
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    const cacheRef = useRef(new Map());         // query key → { rows, coverage, quality, unavailable }
 
-    const load = useCallback(async () => {
-        // ── Guard: skip if already loaded or currently loading ───────────────
-        if (allData !== null || loading) return;
+    // Arrays are compared by value, not identity
+    const fieldsKey = fields ? fields.join(',') : '';
 
-        setLoading(true);
-        setError(null);
-        try {
-            const raw = await fetchHistoricalBuoyData();
+    useEffect(() => {
+        if (!enabled) return;
+        if (!station) {
+            // A map point, not a station: nothing to fetch
+            setResult({ rows: [], coverage: null, quality: null, unavailable: true });
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        const key = [station, start, end, fieldsKey, resolution].join('|');
+        const cached = cacheRef.current.get(key);
+        if (cached) {
+            setResult(cached);
+            setError(null);
+            setLoading(false);
+            return;
+        }
 
-            const parsed = raw.map((row) => {
-                const tsRaw =
-                    row.timestamp ?? row.TIMESTAMP ?? row.time ??
-                    row.DATE ?? row.date ?? null;
+        let cancelled = false;
 
-                let ts = null;
-                if (tsRaw) {
-                    ts = new Date(tsRaw);
-                    if (isNaN(ts.getTime())) ts = null;
+        (async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const requested = fieldsKey ? fieldsKey.split(',') : undefined;
+                const { data: raw, coverage, quality } = await fetchHistoricalBuoyData({
+                    station,
+                    start,
+                    end,
+                    fields: requested,
+                    resolution,
+                });
+
+                const parseFields = requested ?? DEFAULT_FIELDS;
+                const parsed = raw.map((row) => parseRow(row, parseFields));
+
+                // Server already cleaned and counted; otherwise clean here
+                const entry = quality
+                    ? { rows: parsed, coverage, quality, unavailable: false }
+                    : { ...cleanRows(parsed, parseFields), coverage, unavailable: false };
+                cacheRef.current.set(key, entry);
+                if (!cancelled) setResult(entry);
+            } catch (err) {
+                if (err.status === 404) {
+                    // No archive for this station — a known state, not a failure
+                    const entry = { rows: [], coverage: null, quality: null, unavailable: true };
+                    cacheRef.current.set(key, entry);
+                    if (!cancelled) setResult(entry);
+                } else if (!cancelled) {
+                    setError(err.message || 'Failed to fetch historical data');
                 }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        })();
 
-                return {
-                    ...row,
-                    timestamp: ts,
-                    WTMP: parseFloat(row.WTMP),
-                    WSPD: parseFloat(row.WSPD),
-                    WVHT: parseFloat(row.WVHT),
-                    PRES: parseFloat(row.PRES),
-                    year: ts ? ts.getFullYear() : null,
-                };
-            });
-
-            setAllData(parsed);
-        } catch (err) {
-            setError(err.message || 'Failed to fetch historical data');
-        } finally {
-            setLoading(false);
-        }
-    }, [allData, loading]);
+        // Ignore responses for a query the user has already moved away from
+        return () => { cancelled = true; };
+    }, [enabled, station, start, end, fieldsKey, resolution]);
 
     return {
-        allData: allData ?? [],   // always return an array for downstream code
-        hasLoaded: allData !== null,
+        data: result?.rows ?? [],   // always return an array for downstream code
+        hasLoaded: result !== null,
+        coverage: result?.coverage ?? null,
+        quality: result?.quality ?? null,
+        unavailable: result?.unavailable ?? false,
         loading,
         error,
-        load,                     // caller triggers fetch on demand
     };
 }
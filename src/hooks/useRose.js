@@ -0,0 +1,70 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchRose } from '../services/api';
+
+/**
+ * useRose — wind and wave roses of a date range of a station's archive.
+ * Cached per station and range. Stations without an archive (404) have no
+ * roses; the live view's rose comes with the /api/buoy response (useBuoyData).
+ *
+ * @param {string}  station  station id (LOCATIONS id); null for a map point
+ * @param {string}  start    'YYYY-MM-DD'
+ * @param {string}  end      'YYYY-MM-DD', inclusive
+ * @param {boolean} enabled  false while the historical view is hidden
+ * @returns {{ roses: { wind: object|null, wave: object|null }|null, loading: boolean, error: string|null }}
+ */
+export function useRose(station, start, end, enabled) {
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const cacheRef = useRef(new Map());         // `${station}|${start}|${end}` → { roses }
+
+    useEffect(() => {
+        if (!enabled) return;
+        if (!station) {
+            setResult(null);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        const key = `${station}|${start}|${end}`;
+        const cached = cacheRef.current.get(key);
+        if (cached) {
+            setResult(cached);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+
+        (async () => {
+            setLoading(true);
+            setError(null);
+            setResult(null);
+            try {
+                const entry = await fetchRose(station, { start, end });
+                cacheRef.current.set(key, entry);
+                if (!cancelled) setResult(entry);
+            } catch (err) {
+                if (err.status === 404) {
+                    const entry = { roses: null };
+                    cacheRef.current.set(key, entry);
+                    if (!cancelled) setResult(entry);
+                } else if (!cancelled) {
+                    setError(err.message || 'Failed to fetch roses');
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        })();
+
+        return () => { cancelled = true; };
+    }, [enabled, station, start, end]);
+
+    return {
+        roses: result?.roses ?? null,
+        loading,
+        error,
+    };
+}
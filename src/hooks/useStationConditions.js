@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchBuoyData } from '../services/api';
+import { computeStats } from '../utils/anomaly';
+
+const MAX_AGE_MS = 5 * 60 * 1000; // matches useBuoyData's refresh interval
+const SST_KEY = 'sea_surface_temp';
+
+/**
+ * useStationConditions — latest SST and its anomaly status at every map
+ * location, for colouring the station map. Each location's live window
+ * comes from /api/buoy (cached server-side until the next hourly update),
+ * and the last SST reading is scored with the same detector and side as the
+ * charts, against that window. Failures are not kept, so the next run
+ * fetches that location again.
+ *
+ * @param {Array<{ id: string, lat: number, lon: number }>} locations
+ * @param {boolean} enabled     false while the map is hidden
+ * @param {object}  [options]
+ * @param {string}  [options.detector]   utils/detectors.js id
+ * @param {string}  [options.direction]  anomaly side flagged for SST
+ * @returns {{ conditions: Record<string, { sst: number|null, level: string|null,
+ *             side: string|null, time: string|null }|{ error: string }>, loading: boolean }}
+ */
+export function useStationConditions(locations, enabled, { detector, direction } = {}) {
+    const [conditions, setConditions] = useState({});
+    const [loading, setLoading] = useState(false);
+    const cacheRef = useRef(new Map());         // `${lat},${lon}` → { rows, fetchedAt }
+
+    // Compared by value, not identity
+    const locationsKey = locations.map((l) => `${l.id}@${l.lat},${l.lon}`).join('|');
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        let cancelled = false;
+
+        const score = (entry) => {
+            if (entry.error) return { error: entry.error };
+            const stats = computeStats(entry.rows, SST_KEY, { excludeFailed: true, detector, direction });
+            for (let i = entry.rows.length - 1; i >= 0; i--) {
+                if (stats.levels[i] === null) continue;
+                return {
+                    sst: entry.rows[i][SST_KEY],
+                    level: stats.levels[i],
+                    side: stats.sides[i],
+                    time: entry.rows[i].timestamp,
+                };
+            }
+            return { sst: null, level: null, side: null, time: null };
+        };
+
+        (async () => {
+            setLoading(true);
+            const now = Date.now();
+            const entries = await Promise.all(locations.map(async (loc) => {
+                const key = `${loc.lat},${loc.lon}`;
+                const cached = cacheRef.current.get(key);
+                if (cached && now - cached.fetchedAt < MAX_AGE_MS) return [loc.id, cached];
+                try {
+                    const { data } = await fetchBuoyData(loc.lat, loc.lon);
+                    const entry = { rows: data, fetchedAt: now };
+                    cacheRef.current.set(key, entry);
+                    return [loc.id, entry];
+                } catch (err) {
+                    return [loc.id, { error: err.message || 'Failed to fetch buoy data' }];
+                }
+            }));
+            if (cancelled) return;
+            setConditions(Object.fromEntries(entries.map(([id, entry]) => [id, score(entry)])));
+            setLoading(false);
+        })();
+
+        // A fetch dropped mid-way (map hidden, locations changed) must not leave the spinner up
+        return () => {
+            cancelled = true;
+            setLoading(false);
+        };
+    }, [enabled, locationsKey, detector, direction]);
+
+    return { conditions, loading };
+}
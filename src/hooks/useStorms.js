@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchStorms } from '../services/api';
+
+/**
+ * useStorms — every storm event in a station's archive. Fetched once per
+ * station and cached; views pick the events that fall in their own range.
+ * Stations without an archive (404) have no archive events; live-window
+ * events come with the /api/buoy response (useBuoyData).
+ *
+ * @param {string}  station  station id (LOCATIONS id); null for a map point
+ * @param {boolean} enabled  false while no chart view is shown
+ * @returns {{ events: Array<object>, loading: boolean, error: string|null }}
+ */
+export function useStorms(station, enabled) {
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const cacheRef = useRef(new Map());         // station → { events }
+
+    useEffect(() => {
+        if (!enabled) return;
+        if (!station) {
+            setResult(null);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        const cached = cacheRef.current.get(station);
+        if (cached) {
+            setResult(cached);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+
+        (async () => {
+            setLoading(true);
+            setError(null);
+            setResult(null);
+            try {
+                const entry = await fetchStorms(station);
+                cacheRef.current.set(station, entry);
+                if (!cancelled) setResult(entry);
+            } catch (err) {
+                if (err.status === 404) {
+                    const entry = { events: [] };
+                    cacheRef.current.set(station, entry);
+                    if (!cancelled) setResult(entry);
+                } else if (!cancelled) {
+                    setError(err.message || 'Failed to fetch storm events');
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        })();
+
+        return () => { cancelled = true; };
+    }, [enabled, station]);
+
+    return {
+        events: result?.events ?? [],
+        loading,
+        error,
+    };
+}
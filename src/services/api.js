@@ -8,15 +8,24 @@ const API_BASE = "";
 /**
  * Fetch buoy data for a given location.
  * Handles both response shapes:
- *   - new server: { lat, lon, data: [...] }
+ *   - new server: { lat, lon, fetchedAt, stale, availability, current, utcOffsetSeconds, heatwaves, storms, roses, data: [...] }
  *   - old server (pre-refactor): [...]
  *
  * @param {number} lat
  * @param {number} lon
- * @returns {Promise<Array>} array of hourly observation objects
+ * @param {string|null} [station]  station at lat / lon whose archive threshold scores live heatwaves (lib/heatwaves.js)
+ * @returns {Promise<{ data: Array, availability: object|null, current: object|null, utcOffsetSeconds: number|null,
+ *                     heatwaves: Array<object>, storms: Array<object>, roses: object|null }>}
+ *          hourly observation objects, per-field availability
+ *          ({ available, source, reason }) when an upstream API was down,
+ *          the latest sea state ({ time, wave_height, wave_direction,
+ *          wave_period }), the offset of the rows' local timestamps from
+ *          UTC — all null from older servers — marine heatwaves in the
+ *          live window (none without a station), storm events in it and
+ *          its wind and wave roses (null from older servers)
  */
-export async function fetchBuoyData(lat, lon) {
-    const url = `${API_BASE}/api/buoy?lat=${lat}&lon=${lon}`;
+export async function fetchBuoyData(lat, lon, station = null) {
+    const url = `${API_BASE}/api/buoy?lat=${lat}&lon=${lon}${station ? `&station=${encodeURIComponent(station)}` : ''}`;
     const res = await fetch(url);
 
     if (!res.ok) {
@@ -26,32 +35,256 @@ export async function fetchBuoyData(lat, lon) {
 
     const json = await res.json();
 
-    // New server: { lat, lon, data: [...] }
-    if (json && Array.isArray(json.data)) return json.data;
+    // New server: { lat, lon, availability, data: [...] }
+    if (json && Array.isArray(json.data)) {
+        return {
+            data: json.data,
+            availability: json.availability ?? null,
+            current: json.current ?? null,
+            utcOffsetSeconds: json.utcOffsetSeconds ?? null,
+            heatwaves: json.heatwaves ?? [],
+            storms: json.storms ?? [],
+            roses: json.roses ?? null,
+        };
+    }
 
     // Old server / flat array
-    if (Array.isArray(json)) return json;
+    if (Array.isArray(json)) return { data: json, availability: null, current: null, utcOffsetSeconds: null, heatwaves: [], storms: [], roses: null };
 
     throw new Error("Unexpected API response format — restart the backend server.");
 }
 
 /**
- * Fetch all historical buoy data from the local Express server.
- * Returns raw rows as-is; parsing is done in the hook.
+ * Fetch a slice of historical buoy data from the local Express server.
+ * The server filters by date range and aggregates to the requested
+ * resolution; per-row parsing (Date objects, year) is done in the hook.
+ * Handles both response shapes:
+ *   - new server: { station, resolution, start, end, fields, coverage, quality, count, data: [...] }
+ *   - old server (pre-query params): [...]
  *
- * @returns {Promise<Array>} array of raw CSV row objects (string fields)
+ * @param {object}   [query]
+ * @param {string}   [query.station]     station id (LOCATIONS id)
+ * @param {string}   [query.start]       ISO date, inclusive
+ * @param {string}   [query.end]         ISO date, inclusive
+ * @param {string[]} [query.fields]      columns to return, e.g. ['WTMP', 'PRES']
+ * @param {string}   [query.resolution]  'raw' | 'hourly' | 'daily' | 'monthly'
+ * @returns {Promise<{ data: Array, coverage: object|null, quality: object|null }>}
+ *          rows, the time span of the station's whole archive, and per-field
+ *          counts of values the server dropped (null from older servers)
+ * @throws {Error} with `status` set to the HTTP status on server errors
+ *                 (404 = no archive for this station)
  */
-export async function fetchHistoricalBuoyData() {
-    const url = `${API_BASE}/api/buoy-historical`;
+export async function fetchHistoricalBuoyData(query = {}) {
+    const params = new URLSearchParams();
+    if (query.station) params.set('station', query.station);
+    if (query.start) params.set('start', query.start);
+    if (query.end) params.set('end', query.end);
+    if (query.fields?.length) params.set('fields', query.fields.join(','));
+    if (query.resolution) params.set('resolution', query.resolution);
+
+    const qs = params.toString();
+    const url = `${API_BASE}/api/buoy-historical${qs ? `?${qs}` : ''}`;
     const res = await fetch(url);
 
     if (!res.ok) {
         const body = await res.json().catch(() => ({}));
-        throw new Error(body.error || `Server error ${res.status}`);
+        const err = new Error(body.error || `Server error ${res.status}`);
+        err.status = res.status;
+        throw err;
     }
 
     const json = await res.json();
 
-    if (Array.isArray(json)) return json;
+    // New server: { ..., coverage, data: [...] }
+    if (json && Array.isArray(json.data)) {
+        return { data: json.data, coverage: json.coverage ?? null, quality: json.quality ?? null };
+    }
+
+    // Old server / flat array
+    if (Array.isArray(json)) return { data: json, coverage: null, quality: null };
+
     throw new Error('Unexpected response from /api/buoy-historical');
 }
+
+/**
+ * Fetch the seasonal baselines of a station's archive (day-of-year mean /
+ * std curves plus a diurnal offset per UTC hour — see lib/climatology.js).
+ *
+ * @param {string}   station   station id (LOCATIONS id)
+ * @param {string[]} [fields]  archive columns, e.g. ['WTMP', 'PRES']
+ * @returns {Promise<{ coverage: object|null, climatology: Record<string, {
+ *   mean: number[], std: number[], dailyStd: number[], hourOffset: number[]
+ * }> }>}
+ * @throws {Error} with `status` set to the HTTP status on server errors
+ *                 (404 = no archive for this station)
+ */
+export async function fetchClimatology(station, fields) {
+    const params = new URLSearchParams({ station });
+    if (fields?.length) params.set('fields', fields.join(','));
+
+    const res = await fetch(`${API_BASE}/api/climatology?${params}`);
+
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        const err = new Error(body.error || `Server error ${res.status}`);
+        err.status = res.status;
+        throw err;
+    }
+
+    const json = await res.json();
+    if (!json?.climatology) throw new Error('Unexpected response from /api/climatology');
+    return { coverage: json.coverage ?? null, climatology: json.climatology };
+}
+
+/**
+ * Fetch the Holt-Winters forecast models trained on a station's archive
+ * (see lib/forecast.js) — per field: smoothing parameters, the diurnal
+ * seasonal cycle and the RMSE per lead hour.
+ *
+ * @param {string}   station
+ * @param {string[]} [fields]  archive columns (default: WTMP, WSPD, PRES, WVHT)
+ * @returns {Promise<{ horizon: number, models: Record<string, object|null> }>}
+ * @throws {Error} with `status` set to the HTTP status on server errors
+ *                 (404 = no archive for this station)
+ */
+export async function fetchForecastModels(station, fields) {
+    const params = new URLSearchParams({ station });
+    if (fields?.length) params.set('fields', fields.join(','));
+
+    const res = await fetch(`${API_BASE}/api/forecast?${params}`);
+
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        const err = new Error(body.error || `Server error ${res.status}`);
+        err.status = res.status;
+        throw err;
+    }
+
+    const json = await res.json();
+    if (!json?.models) throw new Error('Unexpected response from /api/forecast');
+    return { horizon: json.horizon, models: json.models };
+}
+
+/**
+ * Fetch marine heatwave events detected in a station's archive, plus the
+ * day-of-year mean and 90th-percentile threshold curves they were detected
+ * against (see lib/heatwaves.js).
+ *
+ * @param {string} station
+ * @param {object} [query]
+ * @param {string} [query.start]  ISO date — only events overlapping [start, end]
+ * @param {string} [query.end]
+ * @param {string} [query.field]  default 'WTMP'
+ * @returns {Promise<{ threshold: { mean: number[], threshold: number[] }, events: Array<object> }>}
+ * @throws {Error} with `status` set to the HTTP status on server errors
+ *                 (404 = no archive for this station)
+ */
+export async function fetchHeatwaves(station, query = {}) {
+    const params = new URLSearchParams({ station });
+    if (query.start) params.set('start', query.start);
+    if (query.end) params.set('end', query.end);
+    if (query.field) params.set('field', query.field);
+
+    const res = await fetch(`${API_BASE}/api/heatwaves?${params}`);
+
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        const err = new Error(body.error || `Server error ${res.status}`);
+        err.status = res.status;
+        throw err;
+    }
+
+    const json = await res.json();
+    if (!Array.isArray(json?.events)) throw new Error('Unexpected response from /api/heatwaves');
+    return { threshold: json.threshold, events: json.events };
+}
+
+/**
+ * Fetch storm events detected in a station's archive from its pressure,
+ * wind and wave record (see lib/storms.js).
+ *
+ * @param {string} station
+ * @param {object} [query]
+ * @param {string} [query.start]  ISO date — only events overlapping [start, end]
+ * @param {string} [query.end]
+ * @returns {Promise<{ criteria: object, events: Array<object> }>}
+ * @throws {Error} with `status` set to the HTTP status on server errors
+ *                 (404 = no archive for this station)
+ */
+export async function fetchStorms(station, query = {}) {
+    const params = new URLSearchParams({ station });
+    if (query.start) params.set('start', query.start);
+    if (query.end) params.set('end', query.end);
+
+    const res = await fetch(`${API_BASE}/api/storms?${params}`);
+
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        const err = new Error(body.error || `Server error ${res.status}`);
+        err.status = res.status;
+        throw err;
+    }
+
+    const json = await res.json();
+    if (!Array.isArray(json?.events)) throw new Error('Unexpected response from /api/storms');
+    return { criteria: json.criteria, events: json.events };
+}
+
+/**
+ * Fetch wind and wave roses for a station's archive (see lib/rose.js):
+ * counts per compass sector and magnitude bin.
+ *
+ * @param {string} station
+ * @param {object} [query]
+ * @param {string} [query.start]  ISO date, inclusive
+ * @param {string} [query.end]
+ * @returns {Promise<{ roses: { wind: object|null, wave: object|null } }>}
+ * @throws {Error} with `status` set to the HTTP status on server errors
+ *                 (404 = no archive for this station)
+ */
+export async function fetchRose(station, query = {}) {
+    const params = new URLSearchParams({ station });
+    if (query.start) params.set('start', query.start);
+    if (query.end) params.set('end', query.end);
+
+    const res = await fetch(`${API_BASE}/api/rose?${params}`);
+
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        const err = new Error(body.error || `Server error ${res.status}`);
+        err.status = res.status;
+        throw err;
+    }
+
+    const json = await res.json();
+    if (!json?.roses) throw new Error('Unexpected response from /api/rose');
+    return { roses: json.roses };
+}
+
+/**
+ * Fetch the skill of the Open-Meteo forecasts logged for a location
+ * (see lib/verification.js): bias, MAE and RMSE per parameter, overall,
+ * per forecast day and per lead hour.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} [days]  only issuances from the last `days` (server default 30)
+ * @returns {Promise<object>}  the /api/verification body
+ */
+export async function fetchVerification(lat, lon, days) {
+    const params = new URLSearchParams({ lat, lon });
+    if (days) params.set('days', days);
+
+    const res = await fetch(`${API_BASE}/api/verification?${params}`);
+
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        const err = new Error(body.error || `Server error ${res.status}`);
+        err.status = res.status;
+        throw err;
+    }
+
+    const json = await res.json();
+    if (!json?.fields) throw new Error('Unexpected response from /api/verification');
+    return json;
+}
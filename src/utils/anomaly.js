@@ -1,8 +1,11 @@
 /**
  * utils/anomaly.js
  * Pure statistical helpers for anomaly detection and analytics.
- * No side effects, no imports — easily unit-testable.
+ * No side effects — easily unit-testable.
  */
+import { QC_FLAGS } from './qc';
+import { toUtcMs } from './compare';
+import { DEFAULT_DETECTOR, getDetector, classifyScore } from './detectors';
 
 /** Arithmetic mean of a numeric array (nulls ignored). */
 export function mean(values) {
@@ -26,6 +29,18 @@ export function zScore(value, fieldMean, fieldStd) {
     return (value - fieldMean) / fieldStd;
 }
 
+/**
+ * Z-score of `row[field]`: against the row's seasonal baseline
+ * (`<field>_clim` / `<field>_clim_std`, see utils/climatology.js) when it
+ * carries one, otherwise against the given window mean / std.
+ */
+export function pointZScore(row, field, fieldMean, fieldStd) {
+    const clim = row[`${field}_clim`];
+    const climStd = row[`${field}_clim_std`];
+    if (clim != null && climStd > 0) return zScore(row[field], clim, climStd);
+    return zScore(row[field], fieldMean, fieldStd);
+}
+
 /**
  * Classify a point by its absolute Z-score.
  * |z| < 2      → 'normal'
@@ -41,12 +56,17 @@ export function classifyAnomaly(z) {
 }
 
 /**
- * Returns true if `value` exceeds the μ + 2σ anomaly threshold.
- * Kept for backwards compatibility with existing dot renderers.
+ * Returns true if `value` lies beyond μ ± 2σ on a side `direction` flags
+ * ('high' | 'low' | 'both'). Kept for backwards compatibility with
+ * existing dot renderers.
  */
-export function isAnomaly(value, fieldMean, fieldStd) {
+export function isAnomaly(value, fieldMean, fieldStd, direction = 'both') {
     if (value === null || value === undefined || isNaN(value)) return false;
-    return value > fieldMean + 2 * fieldStd;
+    const high = value > fieldMean + 2 * fieldStd;
+    const low = value < fieldMean - 2 * fieldStd;
+    if (direction === 'high') return high;
+    if (direction === 'low') return low;
+    return high || low;
 }
 
 /**
@@ -96,57 +116,135 @@ export function computeMovingAverage(rows, field, window = 24) {
 }
 
 /**
- * Compute full stats summary for one field across a dataset,
- * including Z-score-based anomaly classification counts.
+ * Compute full stats summary for one field across a dataset, including
+ * anomaly classification counts from the chosen detector (utils/detectors.js).
+ * Rows carrying a seasonal baseline are scored against it by the detectors
+ * that use one (`baseline: 'climatology'`); otherwise anomalies are relative
+ * to the window itself (`baseline: 'window'`). QC flags (`<field>_qc`, see utils/qc.js) are counted, and failed
+ * points can be left out so bad sensor data doesn't pollute the stats.
  *
  * @param {Array<object>} rows
  * @param {string}        field
+ * @param {object}        [options]
+ * @param {boolean}       [options.excludeFailed=false]  skip QC-failed points
+ * @param {string}        [options.detector='zscore']    detector id
+ * @param {string}        [options.direction='both']     flag 'high', 'low' or 'both' sides
+ * @param {string}        [options.resolution='hourly']  row spacing, for detectors that place values in a cycle
  * @returns {{
  *   mean, min, max, std,
- *   anomalyThreshold,
- *   anomalyCount,   — total (|z| >= 2)
- *   moderateCount,  — 2 ≤ |z| < 3
- *   extremeCount,   — |z| >= 3
+ *   anomalyThreshold,  — detector's fixed upper fence, or null (null too when high side isn't flagged)
+ *   lowerThreshold,    — detector's fixed lower fence, or null (… low side)
+ *   anomalyCount,   — moderate + extreme
+ *   moderateCount,
+ *   extremeCount,
+ *   highCount,      — anomalies above normal
+ *   lowCount,       — anomalies below normal
+ *   suspectCount,   — QC suspect points
+ *   failedCount,    — QC failed points (counted even when excluded)
+ *   baseline,       — 'climatology' | 'window'
+ *   detector,       — detector id used
+ *   direction,      — sides flagged
+ *   levels,         — 'normal' | 'moderate' | 'extreme' per input row (null = not scored)
+ *   sides,          — 'high' | 'low' per anomalous input row (null otherwise)
  * }}
  */
-export function computeStats(rows, field) {
-    const values = rows
-        .map((r) => r[field])
-        .filter((v) => v !== null && v !== undefined && !isNaN(v));
+export function computeStats(rows, field, {
+    excludeFailed = false, detector = DEFAULT_DETECTOR, direction = 'both', resolution = 'hourly',
+} = {}) {
+    const det = getDetector(detector);
+    const flagKey = `${field}_qc`;
+    const values = [];
+    const scored = [];      // rows behind `values`, for per-row baselines
+    const indices = [];     // their positions in `rows`
+    let suspectCount = 0;
+    let failedCount = 0;
+    // Tracked here: spreading a full-archive range into Math.min/max overflows the stack
+    let min = Infinity;
+    let max = -Infinity;
+    const levels = new Array(rows.length).fill(null);
+    const sides = new Array(rows.length).fill(null);
+
+    rows.forEach((r, i) => {
+        const v = r[field];
+        if (v === null || v === undefined || isNaN(v)) return;
+        if (r[flagKey] === QC_FLAGS.SUSPECT) suspectCount++;
+        if (r[flagKey] === QC_FLAGS.FAIL) {
+            failedCount++;
+            if (excludeFailed) return;
+        }
+        values.push(v);
+        scored.push(r);
+        indices.push(i);
+        if (v < min) min = v;
+        if (v > max) max = v;
+    });
 
     if (!values.length) {
         return {
             mean: null, min: null, max: null, std: null,
-            anomalyThreshold: null,
-            anomalyCount: 0, moderateCount: 0, extremeCount: 0,
+            anomalyThreshold: null, lowerThreshold: null,
+            anomalyCount: 0, moderateCount: 0, extremeCount: 0, highCount: 0, lowCount: 0,
+            suspectCount, failedCount,
+            baseline: 'window',
+            detector: det.id,
+            direction,
+            levels,
+            sides,
             trend: 'Stable',
         };
     }
 
     const avg = mean(values);
     const sd = stdDev(values);
-    const threshold = avg + 2 * sd;
+
+    // Per-row seasonal normal, for detectors that score against one
+    const climKey = `${field}_clim`;
+    const climStdKey = `${field}_clim_std`;
+    const baseline = scored.map((r) => (r[climKey] != null ? { mean: r[climKey], std: r[climStdKey] } : null));
+    const seasonal = det.seasonal && baseline.some(Boolean);
+
+    // Row times for detectors that place values in a cycle. Live local strings
+    // are read as UTC: one offset for the whole series, so phases stay aligned
+    const times = scored.map((r) => (r.timestamp instanceof Date ? r.timestamp.getTime() : toUtcMs(r.timestamp, 0)));
+
+    const { scores, fences } = det.detect(values, det.seasonal ? baseline : null, { resolution, times });
 
     let anomalyCount = 0;
     let moderateCount = 0;
     let extremeCount = 0;
+    let highCount = 0;
+    let lowCount = 0;
 
-    for (const v of values) {
-        const z = zScore(v, avg, sd);
-        const cls = classifyAnomaly(z);
-        if (cls === 'extreme') { extremeCount++; anomalyCount++; }
-        else if (cls === 'moderate') { moderateCount++; anomalyCount++; }
-    }
+    scores.forEach((score, k) => {
+        const cls = classifyScore(score, det, direction);
+        levels[indices[k]] = cls;
+        if (cls === 'normal') return;
+        anomalyCount++;
+        if (cls === 'extreme') extremeCount++;
+        else moderateCount++;
+        if (score > 0) { highCount++; sides[indices[k]] = 'high'; }
+        else { lowCount++; sides[indices[k]] = 'low'; }
+    });
 
     return {
         mean: avg,
-        min: Math.min(...values),
-        max: Math.max(...values),
+        min,
+        max,
         std: sd,
-        anomalyThreshold: threshold,
+        anomalyThreshold: fences && direction !== 'low' ? fences.upper : null,
+        lowerThreshold: fences && direction !== 'high' ? fences.lower : null,
         anomalyCount,
         moderateCount,
         extremeCount,
+        highCount,
+        lowCount,
+        suspectCount,
+        failedCount,
+        baseline: seasonal ? 'climatology' : 'window',
+        detector: det.id,
+        direction,
+        levels,
+        sides,
         trend: trendDirection(values),
     };
 }
@@ -155,8 +253,9 @@ export function computeStats(rows, field) {
  * Build a stats map for all requested field keys.
  * @param {Array<object>}  rows
  * @param {Array<string>}  fields
+ * @param {object}         [options]  passed through to computeStats
  * @returns {Record<string, ReturnType<computeStats>>}
  */
-export function computeAllStats(rows, fields) {
-    return Object.fromEntries(fields.map((f) => [f, computeStats(rows, f)]));
+export function computeAllStats(rows, fields, options) {
+    return Object.fromEntries(fields.map((f) => [f, computeStats(rows, f, options)]));
 }
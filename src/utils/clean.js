@@ -0,0 +1,55 @@
+/**
+ * utils/clean.js
+ * Client-side fallback for missing-value cleaning.
+ *
+ * The server strips NDBC fill values (99 / 999 / 9999) and physically
+ * impossible readings before responding and reports what it dropped.
+ * Older servers send raw values, so the historical hook runs rows through
+ * `cleanRows` instead — same per-field rules, from the same JSON table.
+ */
+import FIELD_LIMITS from '../data/fieldLimits.json';
+
+/**
+ * Classify one value against its field's sentinels and physical limits.
+ * @returns {'sentinel'|'outOfRange'|null}  null = keep
+ */
+export function dropReason(field, value) {
+    const limits = FIELD_LIMITS[field];
+    if (!limits || value === null || value === undefined || isNaN(value)) return null;
+    if (limits.sentinels.includes(value)) return 'sentinel';
+    if (value < limits.min || value > limits.max) return 'outOfRange';
+    return null;
+}
+
+/**
+ * Null out sentinels and out-of-range values for the given fields and
+ * count what was dropped — the same summary shape the server returns.
+ *
+ * @param {Array<object>} rows    numeric fields already parsed
+ * @param {Array<string>} fields
+ * @returns {{
+ *   rows: Array<object>,
+ *   quality: Record<string, { total, valid, sentinel, outOfRange }>,
+ * }}
+ */
+export function cleanRows(rows, fields) {
+    const quality = Object.fromEntries(
+        fields.map((f) => [f, { total: rows.length, valid: 0, sentinel: 0, outOfRange: 0 }])
+    );
+
+    const cleaned = rows.map((row) => {
+        const out = { ...row };
+        for (const f of fields) {
+            const reason = dropReason(f, out[f]);
+            if (reason) {
+                quality[f][reason]++;
+                out[f] = null;
+            } else if (out[f] !== null && out[f] !== undefined && !isNaN(out[f])) {
+                quality[f].valid++;
+            }
+        }
+        return out;
+    });
+
+    return { rows: cleaned, quality };
+}
@@ -0,0 +1,90 @@
+/**
+ * utils/climatology.js
+ * Look up the seasonal baseline served by /api/climatology for a row's
+ * timestamp, and attach it to chart rows so stats and charts can score
+ * anomalies against "normal for this time of year" rather than against
+ * whatever window is on screen.
+ *
+ * Attached per field key `k`:
+ *   k_clim      baseline mean
+ *   k_clim_std  baseline std
+ *   k_band      [mean − 2σ, mean + 2σ] — drawn as a range area
+ *
+ * The baseline is indexed by UTC day and hour, so live rows (station-local
+ * strings without an offset) are moved to UTC with the response's
+ * utcOffsetSeconds before the lookup.
+ */
+import { toUtcMs } from './compare';
+
+// Start of each month on a leap-year calendar — must match lib/climatology.js
+const MONTH_START = [0, 31, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
+
+/** Day-of-year index 0–365 (Feb 29 = 59) of a Date, in UTC. */
+export function dayOfYearIndex(date) {
+    return MONTH_START[date.getUTCMonth()] + date.getUTCDate() - 1;
+}
+
+/**
+ * Baseline for one field at one time, matched to the rows' resolution:
+ *   raw / hourly  day-of-year mean + diurnal offset, spread of observations
+ *   daily         day-of-year mean, spread of daily means
+ *   monthly       both averaged over the month's days
+ *
+ * @param {{ mean: number[], std: number[], dailyStd: number[], hourOffset: number[] }} clim
+ * @param {Date}   date
+ * @param {string} [resolution='hourly']
+ * @returns {{ mean: number, std: number } | null}
+ */
+export function baselineAt(clim, date, resolution = 'hourly') {
+    if (resolution === 'monthly') {
+        const first = MONTH_START[date.getUTCMonth()];
+        const last = date.getUTCMonth() === 11 ? 366 : MONTH_START[date.getUTCMonth() + 1];
+        let sum = 0, sd = 0, n = 0;
+        for (let d = first; d < last; d++) {
+            if (clim.mean[d] == null || clim.dailyStd[d] == null) continue;
+            sum += clim.mean[d]; sd += clim.dailyStd[d]; n++;
+        }
+        return n ? { mean: sum / n, std: sd / n } : null;
+    }
+
+    const d = dayOfYearIndex(date);
+    const mean = clim.mean[d];
+    if (mean == null) return null;
+    if (resolution === 'daily') {
+        return clim.dailyStd[d] == null ? null : { mean, std: clim.dailyStd[d] };
+    }
+    if (clim.std[d] == null) return null;
+    return { mean: mean + (clim.hourOffset[date.getUTCHours()] ?? 0), std: clim.std[d] };
+}
+
+/**
+ * Return copies of `rows` with baseline columns attached (see header).
+ * Rows are returned untouched when there is no climatology.
+ *
+ * @param {Array<object>}          rows         `timestamp` as Date, or a local string (/api/buoy)
+ * @param {object|null}            climatology  /api/climatology `climatology` map
+ * @param {Record<string, string>} fieldMap     row key → archive field, e.g. { sea_surface_temp: 'WTMP' }
+ * @param {string}                 [resolution]
+ * @param {number|null}            [utcOffsetSeconds]  offset of string timestamps from UTC
+ * @returns {Array<object>}
+ */
+export function withClimatology(rows, climatology, fieldMap, resolution = 'hourly', utcOffsetSeconds = null) {
+    if (!climatology) return rows;
+    const entries = Object.entries(fieldMap).filter(([, field]) => climatology[field]);
+    if (!entries.length) return rows;
+
+    return rows.map((row) => {
+        const date = row.timestamp instanceof Date ? row.timestamp : new Date(toUtcMs(row.timestamp, utcOffsetSeconds));
+        if (isNaN(date)) return row;
+
+        const out = { ...row };
+        for (const [key, field] of entries) {
+            const b = baselineAt(climatology[field], date, resolution);
+            if (!b) continue;
+            out[`${key}_clim`] = b.mean;
+            out[`${key}_clim_std`] = b.std;
+            out[`${key}_band`] = [b.mean - 2 * b.std, b.mean + 2 * b.std];
+        }
+        return out;
+    });
+}
@@ -0,0 +1,112 @@
+/**
+ * utils/compare.js
+ * Multi-station comparison of one live parameter.
+ *
+ * /api/buoy timestamps are each location's local time, so series are put on
+ * one UTC axis first (using the response's utcOffsetSeconds) and matched
+ * hour by hour. Difference metrics are then computed over the hours both
+ * stations have a reading for. Directions wrap at 360°: their differences
+ * are taken the short way round and there is no linear correlation.
+ */
+import { QC_FLAGS } from './qc';
+
+export const COMPARE_COLORS = ['#00d4ff', '#fbbf24', '#f472b6', '#34d399', '#a78bfa', '#fb923c'];
+
+const HOUR_MS = 3600 * 1000;
+
+/** Epoch ms (UTC) of a local Open-Meteo timestamp. */
+export function toUtcMs(timestamp, utcOffsetSeconds) {
+    return Date.parse(`${timestamp}Z`) - (utcOffsetSeconds ?? 0) * 1000;
+}
+
+/** Signed difference b − a, wrapped into [-180, 180) for directions. */
+function difference(a, b, directional) {
+    const d = b - a;
+    return directional ? ((((d + 180) % 360) + 360) % 360) - 180 : d;
+}
+
+/**
+ * Rows of one parameter from several stations on a shared hourly UTC axis:
+ * `{ time, label, s0, s1, … }` with `s<i>` the i-th series' value (null when
+ * missing or, with `excludeFailed`, QC-failed).
+ *
+ * @param {Array<{ rows: Array<object>, utcOffsetSeconds: number|null }>} series
+ * @param {string} key
+ * @param {{ excludeFailed?: boolean }} [options]
+ */
+export function alignSeries(series, key, { excludeFailed = false } = {}) {
+    const byHour = new Map();
+    series.forEach(({ rows, utcOffsetSeconds }, i) => {
+        for (const row of rows ?? []) {
+            const v = row[key];
+            if (v === null || v === undefined || isNaN(v)) continue;
+            if (excludeFailed && row[`${key}_qc`] === QC_FLAGS.FAIL) continue;
+            const time = Math.round(toUtcMs(row.timestamp, utcOffsetSeconds) / HOUR_MS) * HOUR_MS;
+            if (!byHour.has(time)) byHour.set(time, { time });
+            byHour.get(time)[`s${i}`] = v;
+        }
+    });
+
+    return [...byHour.values()]
+        .sort((a, b) => a.time - b.time)
+        .map((row) => {
+            for (let i = 0; i < series.length; i++) {
+                if (!(`s${i}` in row)) row[`s${i}`] = null;
+            }
+            row.label = new Date(row.time).toLocaleString('en-GB', {
+                month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'UTC',
+            });
+            return row;
+        });
+}
+
+/**
+ * How series `b` differs from series `a` over the hours both have:
+ * mean difference (b − a), mean absolute difference, RMS difference and
+ * Pearson correlation (null for directions or fewer than 3 shared hours).
+ *
+ * @param {Array<object>} aligned  alignSeries output
+ * @param {number} a  series index
+ * @param {number} b  series index
+ * @param {boolean} [directional]
+ */
+export function pairMetrics(aligned, a, b, directional = false) {
+    const xs = [];
+    const ys = [];
+    for (const row of aligned) {
+        const x = row[`s${a}`];
+        const y = row[`s${b}`];
+        if (x === null || y === null) continue;
+        xs.push(x);
+        ys.push(y);
+    }
+    const n = xs.length;
+    if (!n) return { n: 0, meanDiff: null, mae: null, rmsd: null, r: null };
+
+    let sum = 0;
+    let sumAbs = 0;
+    let sumSq = 0;
+    for (let i = 0; i < n; i++) {
+        const d = difference(xs[i], ys[i], directional);
+        sum += d;
+        sumAbs += Math.abs(d);
+        sumSq += d * d;
+    }
+
+    let r = null;
+    if (!directional && n >= 3) {
+        const mx = xs.reduce((s, v) => s + v, 0) / n;
+        const my = ys.reduce((s, v) => s + v, 0) / n;
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        for (let i = 0; i < n; i++) {
+            sxy += (xs[i] - mx) * (ys[i] - my);
+            sxx += (xs[i] - mx) ** 2;
+            syy += (ys[i] - my) ** 2;
+        }
+        r = sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+    }
+
+    return { n, meanDiff: sum / n, mae: sumAbs / n, rmsd: Math.sqrt(sumSq / n), r };
+}
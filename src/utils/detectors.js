@@ -0,0 +1,222 @@
+/**
+ * utils/detectors.js
+ * Pluggable anomaly detectors.
+ *
+ * Every detector scores one field's rows (time order, missing values as
+ * null) and returns a signed score per row — positive above normal,
+ * negative below — plus, when it has them, the fixed upper / lower fences
+ * charts can draw as reference lines:
+ *
+ *   detect(values, baseline, { resolution, times }) → { scores: Array<number|null>, fences: { upper, lower } | null }
+ *
+ * `resolution` is the rows' spacing ('raw' | 'hourly' | 'daily' | 'monthly')
+ * and `times` their epoch ms; only the decomposition detector, which places
+ * each value in a cycle, uses them. `baseline` is the per-row seasonal normal ({ mean, std } or null) from
+ * utils/climatology.js. Distribution-based detectors (z-score, MAD, IQR;
+ * `seasonal: true`) work on departures from it when present, so a normal
+ * summer is not an anomaly; the rolling and decomposition detectors are
+ * local and ignore it. A score reaching `moderate` / `extreme` (absolute
+ * value) is an anomaly — high or low, as each parameter is configured
+ * (see ANOMALY_DIRECTIONS in data/constants.js).
+ */
+import { mean, stdDev } from './stats';
+import { dayOfYearIndex } from './climatology';
+
+const isNum = (v) => v !== null && v !== undefined && !isNaN(v);
+
+/** Linear-interpolated quantile of an ascending array. */
+function quantile(sorted, q) {
+    if (!sorted.length) return null;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function median(values) {
+    return quantile([...values].sort((a, b) => a - b), 0.5);
+}
+
+// MAD → σ for normally distributed data
+const MAD_SCALE = 1.4826;
+
+/** Robust z-scores of `values` (median / scaled MAD). */
+function robustScores(values) {
+    const valid = values.filter(isNum);
+    if (!valid.length) return { scores: values.map(() => null), center: null, spread: 0 };
+    const center = median(valid);
+    const spread = MAD_SCALE * median(valid.map((v) => Math.abs(v - center)));
+    return {
+        scores: values.map((v) => (isNum(v) ? (spread ? (v - center) / spread : 0) : null)),
+        center,
+        spread,
+    };
+}
+
+/** Departures from the seasonal baseline where there is one. */
+function deseasonalize(values, baseline) {
+    return values.map((v, i) => (isNum(v) && baseline?.[i] ? v - baseline[i].mean : v));
+}
+
+const hasBaseline = (baseline) => Boolean(baseline?.some(Boolean));
+
+// ─── Mean ± σ ─────────────────────────────────────────────────────────────────
+function detectZScore(values, baseline) {
+    const valid = values.filter(isNum);
+    const avg = mean(valid);
+    const sd = stdDev(valid);
+    const scores = values.map((v, i) => {
+        if (!isNum(v)) return null;
+        const b = baseline?.[i];
+        if (b && b.std > 0) return (v - b.mean) / b.std;
+        return sd ? (v - avg) / sd : 0;
+    });
+    return {
+        scores,
+        fences: hasBaseline(baseline) || avg === null ? null : { upper: avg + 2 * sd, lower: avg - 2 * sd },
+    };
+}
+
+// ─── Median absolute deviation ────────────────────────────────────────────────
+function detectMad(values, baseline) {
+    const seasonal = hasBaseline(baseline);
+    const { scores, center, spread } = robustScores(seasonal ? deseasonalize(values, baseline) : values);
+    return {
+        scores,
+        fences: seasonal || center === null ? null : { upper: center + 3 * spread, lower: center - 3 * spread },
+    };
+}
+
+// ─── IQR / Tukey fences ───────────────────────────────────────────────────────
+// Score = distance outside the box in IQRs: 1.5 = inner fence, 3 = outer fence
+function detectIqr(values, baseline) {
+    const seasonal = hasBaseline(baseline);
+    const x = seasonal ? deseasonalize(values, baseline) : values;
+    const sorted = x.filter(isNum).sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const iqr = q3 - q1;
+    const scores = x.map((v) => {
+        if (!isNum(v)) return null;
+        if (!iqr) return 0;
+        if (v > q3) return (v - q3) / iqr;
+        if (v < q1) return -(q1 - v) / iqr;
+        return 0;
+    });
+    return {
+        scores,
+        fences: seasonal || q3 === null ? null : { upper: q3 + 1.5 * iqr, lower: q1 - 1.5 * iqr },
+    };
+}
+
+// ─── Rolling-window z-score ───────────────────────────────────────────────────
+// Each value against the mean / σ of the ROLLING_WINDOW valid values before it
+const ROLLING_WINDOW = 24;
+
+function detectRolling(values) {
+    const scores = new Array(values.length).fill(null);
+    const recent = [];
+    values.forEach((v, i) => {
+        if (!isNum(v)) return;
+        if (recent.length >= 3) {
+            const avg = mean(recent);
+            const sd = stdDev(recent);
+            scores[i] = sd ? (v - avg) / sd : 0;
+        } else {
+            scores[i] = 0;
+        }
+        recent.push(v);
+        if (recent.length > ROLLING_WINDOW) recent.shift();
+    });
+    return { scores, fences: null };
+}
+
+// ─── Seasonal-decomposition (STL-style) residuals ─────────────────────────────
+// Robust additive decomposition: trend = centred moving median over two
+// cycles, seasonal = median detrended value at each phase of the cycle,
+// residual = the rest, scored with robust z. A lightweight stand-in for
+// loess-based STL. Both the trend window and the phase come from each row's
+// time, so gaps and dropped points shift neither; the cycle follows the
+// resolution. A phase seen fewer than twice can't be told from noise and
+// gets no seasonal offset.
+const HOUR_MS = 60 * 60 * 1000;
+const YEAR_MS = 365.25 * 24 * HOUR_MS;
+const STL_CYCLES = {
+    raw: { length: 24 * HOUR_MS, period: 24, phase: (d) => d.getUTCHours() },     // diurnal; NDBC raw rows are hourly
+    hourly: { length: 24 * HOUR_MS, period: 24, phase: (d) => d.getUTCHours() },  // diurnal
+    daily: { length: YEAR_MS, period: 366, phase: dayOfYearIndex },               // annual
+    monthly: { length: YEAR_MS, period: 12, phase: (d) => d.getUTCMonth() },      // annual
+};
+
+function detectStl(values, baseline, { resolution = 'hourly', times = [] } = {}) {
+    const { length, period, phase: phaseOf } = STL_CYCLES[resolution] ?? STL_CYCLES.hourly;
+    const usable = values.map((v, i) => isNum(v) && !isNaN(times[i]));
+    const valid = values.map((_, i) => i).filter((i) => usable[i]);
+    if (!valid.length) return { scores: values.map(() => null), fences: null };
+
+    // Window of two cycles centred on each row; near the ends it slides
+    // inward rather than shrinking, so it always spans whole cycles
+    const first = times[valid[0]];
+    const last = times[valid[valid.length - 1]];
+    const trend = new Array(values.length).fill(null);
+    let a = 0, b = 0;
+    for (const i of valid) {
+        const from = Math.max(first, Math.min(times[i] - length, last - 2 * length));
+        while (times[valid[a]] < from) a++;
+        while (b < valid.length && times[valid[b]] < from + 2 * length) b++;
+        trend[i] = median(valid.slice(a, b).map((k) => values[k]));
+    }
+
+    const phases = values.map((_, i) => (usable[i] ? phaseOf(new Date(times[i])) : null));
+    const byPhase = Array.from({ length: period }, () => []);
+    for (const i of valid) byPhase[phases[i]].push(values[i] - trend[i]);
+    const seasonal = byPhase.map((d) => (d.length >= 2 ? median(d) : 0));
+
+    const residuals = values.map((v, i) => (usable[i] ? v - trend[i] - seasonal[phases[i]] : null));
+    return { scores: robustScores(residuals).scores, fences: null };
+}
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+const DETECTOR_LIST = [
+    { id: 'zscore', seasonal: true, label: 'Mean ± σ', rule: 'μ ± 2σ rule', fenceLabels: { upper: 'μ+2σ', lower: 'μ−2σ' }, moderate: 2, extreme: 3, detect: detectZScore },
+    { id: 'mad', seasonal: true, label: 'Median ± MAD', rule: '3 / 5 MAD rule', fenceLabels: { upper: 'med+3MAD', lower: 'med−3MAD' }, moderate: 3, extreme: 5, detect: detectMad },
+    { id: 'iqr', seasonal: true, label: 'IQR (Tukey fences)', rule: 'Tukey fences', fenceLabels: { upper: 'Q3+1.5IQR', lower: 'Q1−1.5IQR' }, moderate: 1.5, extreme: 3, detect: detectIqr },
+    { id: 'rolling', label: `Rolling z (${ROLLING_WINDOW} pts)`, rule: `rolling ${ROLLING_WINDOW}-pt z`, fenceLabels: null, moderate: 2.5, extreme: 4, detect: detectRolling },
+    { id: 'stl', label: 'STL residual', rule: 'STL residual, robust z', fenceLabels: null, moderate: 3, extreme: 5, detect: detectStl },
+];
+
+export const DETECTORS = Object.fromEntries(DETECTOR_LIST.map((d) => [d.id, d]));
+export const DETECTOR_OPTIONS = DETECTOR_LIST.map((d) => ({ value: d.id, label: d.label }));
+export const DEFAULT_DETECTOR = 'zscore';
+
+/** Look up a detector, falling back to the default for unknown ids. */
+export function getDetector(id) {
+    return DETECTORS[id] ?? DETECTORS[DEFAULT_DETECTOR];
+}
+
+/** Anomaly sides a parameter can be configured to flag. */
+export const DIRECTIONS = [
+    { value: 'high', label: '▲', title: 'High values only' },
+    { value: 'low', label: '▼', title: 'Low values only' },
+    { value: 'both', label: '▲▼', title: 'High and low values' },
+];
+
+/** Whether a signed score lies on a side `direction` flags. */
+export function matchesDirection(score, direction = 'both') {
+    if (direction === 'high') return score > 0;
+    if (direction === 'low') return score < 0;
+    return true;
+}
+
+/**
+ * 'normal' | 'moderate' | 'extreme' for a detector score; scores on a side
+ * the parameter doesn't flag are 'normal'.
+ */
+export function classifyScore(score, detector, direction = 'both') {
+    if (score === null || score === undefined) return 'normal';
+    if (!matchesDirection(score, direction)) return 'normal';
+    const abs = Math.abs(score);
+    if (abs >= detector.extreme) return 'extreme';
+    if (abs >= detector.moderate) return 'moderate';
+    return 'normal';
+}
@@ -0,0 +1,83 @@
+/**
+ * utils/direction.js
+ * Directional parameters (wind, wave and current direction) are angles in
+ * degrees clockwise from north that wrap at 360°, so the linear statistics
+ * in utils/anomaly.js don't apply: the mean of 350° and 10° is north, not
+ * south. Stats here are circular — the mean is the direction of the summed
+ * unit vectors, and its resultant length R (0–1) says how steady the
+ * direction was.
+ */
+import { QC_FLAGS } from './qc';
+
+const COMPASS_POINTS = [
+    'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+    'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW',
+];
+
+const RAD = Math.PI / 180;
+
+/** 16-point compass name of a direction, e.g. 247 → 'WSW'. */
+export function compassPoint(deg) {
+    if (deg === null || deg === undefined || isNaN(deg)) return '—';
+    return COMPASS_POINTS[Math.round((((deg % 360) + 360) % 360) / 22.5) % 16];
+}
+
+/** '247° WSW' */
+export function formatDirection(deg) {
+    if (deg === null || deg === undefined || isNaN(deg)) return '—';
+    return `${Math.round(deg)}° ${compassPoint(deg)}`;
+}
+
+/**
+ * Heading an arrow should point: the direction of travel. Wind and waves
+ * are reported as where they come from ('from'), currents as where they
+ * flow ('to').
+ */
+export function travelHeading(deg, convention) {
+    return convention === 'from' ? (deg + 180) % 360 : deg;
+}
+
+/**
+ * Circular statistics of a direction field. Shaped like utils/anomaly.js
+ * computeStats so badges and cards can share it: min/max and the anomaly
+ * fields are empty, `std` is the circular standard deviation in degrees.
+ *
+ * @param {Array<object>} rows
+ * @param {string} field
+ * @param {{ excludeFailed?: boolean }} [options]
+ */
+export function directionStats(rows, field, { excludeFailed = false } = {}) {
+    const flagKey = `${field}_qc`;
+    let sin = 0;
+    let cos = 0;
+    let n = 0;
+    let suspectCount = 0;
+    let failedCount = 0;
+
+    for (const r of rows) {
+        const v = r[field];
+        if (v === null || v === undefined || isNaN(v)) continue;
+        if (r[flagKey] === QC_FLAGS.SUSPECT) suspectCount++;
+        if (r[flagKey] === QC_FLAGS.FAIL) {
+            failedCount++;
+            if (excludeFailed) continue;
+        }
+        sin += Math.sin(v * RAD);
+        cos += Math.cos(v * RAD);
+        n++;
+    }
+
+    const resultant = n ? Math.hypot(sin, cos) / n : null;
+    return {
+        directional: true,
+        count: n,
+        mean: n && resultant > 1e-9 ? ((Math.atan2(sin, cos) / RAD) + 360) % 360 : null,
+        resultant,
+        std: resultant ? Math.sqrt(-2 * Math.log(resultant)) / RAD : null,
+        min: null, max: null,
+        anomalyThreshold: null, lowerThreshold: null,
+        anomalyCount: 0, moderateCount: 0, extremeCount: 0, highCount: 0, lowCount: 0,
+        suspectCount, failedCount,
+        levels: [], sides: [],
+    };
+}
@@ -0,0 +1,58 @@
+/**
+ * utils/downsample.js
+ * Thins a long series for drawing without losing what matters on screen.
+ * Rows are split into equal buckets and each bucket keeps its lowest and
+ * highest value (min/max bucketing), so peaks, troughs and single-hour
+ * spikes survive however far the chart is zoomed out. Charts downsample
+ * the rows of the current zoom window, so zooming in brings back full
+ * resolution; statistics always use the full rows.
+ */
+
+// Points drawn per chart — about two per horizontal pixel of a wide chart
+export const MAX_RENDER_POINTS = 2000;
+
+const missing = (v) => v === null || v === undefined || isNaN(v);
+
+/**
+ * @param {Array<object>} rows       time-ordered chart rows
+ * @param {string}        key        column whose extremes are kept
+ * @param {number}        [maxPoints=MAX_RENDER_POINTS]
+ * @param {function}      [keep]     (row, index) → true for rows that must stay (anomalies, flagged points)
+ * @returns {Array<object>} a subset of `rows`, in order; `rows` itself when already short enough
+ */
+export function downsampleMinMax(rows, key, maxPoints = MAX_RENDER_POINTS, keep = null) {
+    if (rows.length <= maxPoints) return rows;
+
+    const buckets = Math.max(1, Math.floor(maxPoints / 2));
+    const size = rows.length / buckets;
+    const picked = new Set([0, rows.length - 1]);
+
+    for (let b = 0; b < buckets; b++) {
+        const start = Math.floor(b * size);
+        const end = Math.min(rows.length, Math.floor((b + 1) * size));
+        let lo = -1;
+        let hi = -1;
+        let gap = -1;
+        for (let i = start; i < end; i++) {
+            const v = rows[i][key];
+            if (missing(v)) {
+                if (gap === -1) gap = i;
+                continue;
+            }
+            if (lo === -1 || v < rows[lo][key]) lo = i;
+            if (hi === -1 || v > rows[hi][key]) hi = i;
+        }
+        if (lo !== -1) picked.add(lo);
+        if (hi !== -1) picked.add(hi);
+        // One missing row per bucket, so gaps still break the line
+        if (gap !== -1) picked.add(gap);
+    }
+
+    if (keep) {
+        rows.forEach((row, i) => {
+            if (keep(row, i)) picked.add(i);
+        });
+    }
+
+    return [...picked].sort((a, b) => a - b).map((i) => rows[i]);
+}
@@ -0,0 +1,130 @@
+/**
+ * utils/forecast.js
+ * Applies the Holt-Winters models trained on a station's archive
+ * (/api/forecast, lib/forecast.js) to live rows.
+ *
+ * The model starts from its trained diurnal cycle, warms its level and trend
+ * up on the observed rows (timestamp ≤ now) and projects them over the rows
+ * after — the hours Open-Meteo forecasts — so both forecasts sit on the same
+ * timeline. The band is ±1.96 × the model's hold-out RMSE at each lead hour.
+ *
+ * Live timestamps are station-local without an offset; they are moved to
+ * UTC with the response's utcOffsetSeconds, since both the observed/forecast
+ * split and the diurnal cycle (trained on UTC archive hours) need real UTC.
+ */
+import { toUtcMs } from './compare';
+
+const HOUR_MS = 60 * 60 * 1000;
+const Z_95 = 1.96;
+
+/** Epoch ms of a row timestamp: a Date, or a local string moved to UTC. */
+const rowTime = (ts, utcOffsetSeconds) => (ts instanceof Date ? ts.getTime() : toUtcMs(ts, utcOffsetSeconds));
+const isNum = (v) => v !== null && v !== undefined && !isNaN(v);
+
+/** h-step-ahead forecast from a state, for the UTC hour-of-day `hour`. */
+function project(state, model, h, hour) {
+    let damp = 0, p = 1;
+    for (let i = 0; i < h; i++) { p *= model.phi; damp += p; }
+    return state.level + damp * state.trend + state.seasonal[hour];
+}
+
+function step(state, model, y, hour) {
+    const { alpha, beta, gamma, phi } = model;
+    const prevLevel = state.level;
+    if (!isNum(y)) {
+        state.level = prevLevel + phi * state.trend;
+        state.trend = phi * state.trend;
+        return;
+    }
+    state.level = alpha * (y - state.seasonal[hour]) + (1 - alpha) * (prevLevel + phi * state.trend);
+    state.trend = beta * (state.level - prevLevel) + (1 - beta) * phi * state.trend;
+    state.seasonal[hour] = gamma * (y - state.level) + (1 - gamma) * state.seasonal[hour];
+}
+
+/**
+ * Forecast one field over the rows after `now`.
+ *
+ * @param {Array<object>} rows   hourly, time order
+ * @param {string}        key    row field
+ * @param {object}        model  /api/forecast model
+ * @param {{ scale?: number, now?: number, utcOffsetSeconds?: number|null }} [options]
+ *        scale — factor from the archive's unit to the row's (e.g. m/s → km/h)
+ *        utcOffsetSeconds — offset of the rows' local timestamps (/api/buoy)
+ * @returns {Map<number, { mean: number, lo: number, hi: number }>|null}  by row index; null when
+ *          there are no observed rows to start from
+ */
+export function forecastField(rows, key, model, { scale = 1, now = Date.now(), utcOffsetSeconds = null } = {}) {
+    const times = rows.map((r) => rowTime(r.timestamp, utcOffsetSeconds));
+    const observed = times.filter((t) => t <= now).length;
+    const first = rows.slice(0, observed).findIndex((r) => isNum(r[key]));
+    if (first < 0) return null;
+
+    const seasonal = model.seasonal.map((s) => s * scale);
+    const state = {
+        level: rows[first][key] - seasonal[new Date(times[first]).getUTCHours()],
+        trend: 0,
+        seasonal,
+    };
+    for (let i = first + 1; i < observed; i++) {
+        step(state, model, rows[i][key], new Date(times[i]).getUTCHours());
+    }
+
+    const origin = times[observed - 1];
+    const out = new Map();
+    // Anchor the band on the last observation so it joins the data line
+    const last = rows[observed - 1][key];
+    if (isNum(last)) out.set(observed - 1, { mean: last, lo: last, hi: last });
+    for (let i = observed; i < rows.length; i++) {
+        const h = Math.round((times[i] - origin) / HOUR_MS);
+        if (h < 1 || h > model.sigma.length) continue;
+        const mean = project(state, model, h, new Date(times[i]).getUTCHours());
+        const half = Z_95 * model.sigma[h - 1] * scale;
+        out.set(i, { mean, lo: mean - half, hi: mean + half });
+    }
+    return out;
+}
+
+/**
+ * Return copies of `rows` with `<key>_fc` (model forecast) and
+ * `<key>_fc_band` ([lo, hi], 95 %) for every row field with a model.
+ *
+ * @param {Array<object>} rows
+ * @param {Record<string, object>|null} models   /api/forecast models by archive field
+ * @param {Record<string, { field: string, scale?: number }>} fieldMap  row key → archive field
+ * @param {{ now?: number, utcOffsetSeconds?: number|null }} [options]
+ */
+export function withForecast(rows, models, fieldMap, { now = Date.now(), utcOffsetSeconds = null } = {}) {
+    if (!models || !rows.length) return rows;
+    const out = rows.map((row) => ({ ...row }));
+    for (const [key, { field, scale }] of Object.entries(fieldMap)) {
+        const model = models[field];
+        if (!model) continue;
+        const fc = forecastField(rows, key, model, { scale, now, utcOffsetSeconds });
+        fc?.forEach(({ mean, lo, hi }, i) => {
+            out[i][`${key}_fc`] = mean;
+            out[i][`${key}_fc_band`] = [lo, hi];
+        });
+    }
+    return out;
+}
+
+/**
+ * How the model forecast compares with the row values it overlaps — for live
+ * rows after now, Open-Meteo's own forecast.
+ * @param {Array<object>} rows
+ * @param {string} key
+ * @param {{ now?: number, utcOffsetSeconds?: number|null }} [options]
+ * @returns {{ n: number, bias: number, mae: number }|null}  bias = model − Open-Meteo
+ */
+export function compareForecast(rows, key, { now = Date.now(), utcOffsetSeconds = null } = {}) {
+    let n = 0, sum = 0, abs = 0;
+    for (const row of rows) {
+        const fc = row[`${key}_fc`];
+        const v = row[key];
+        if (!isNum(fc) || !isNum(v) || rowTime(row.timestamp, utcOffsetSeconds) <= now) continue;
+        sum += fc - v;
+        abs += Math.abs(fc - v);
+        n++;
+    }
+    return n ? { n, bias: sum / n, mae: abs / n } : null;
+}
@@ -0,0 +1,98 @@
+/**
+ * utils/geo.js
+ * Coordinates for the station map and user-defined locations: formatting,
+ * the land test behind "click anywhere in the ocean", the location object an
+ * ad-hoc map point is browsed as, and validation of saved locations.
+ */
+import { LAND } from '../data/coastline';
+import { MAP_POINT_ID } from '../data/constants';
+
+/** '12.5°N 65.25°E' */
+export function formatLatLon(lat, lon) {
+    const ns = lat >= 0 ? `${lat}°N` : `${Math.abs(lat)}°S`;
+    const ew = lon >= 0 ? `${lon}°E` : `${Math.abs(lon)}°W`;
+    return `${ns} ${ew}`;
+}
+
+/** Even–odd ray cast against one closed [[lon, lat], …] ring. */
+function inRing(lon, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a point falls on land in the bundled coastline. The coastline is
+ * coarse (data/coastline.js), so points within a few tens of km of the
+ * shore can go either way.
+ */
+export function isOnLand(lat, lon) {
+    return LAND.some((ring) => inRing(lon, lat, ring));
+}
+
+/**
+ * Location for an ad-hoc map point, shaped like a LOCATIONS entry. Points
+ * are rounded to 0.01° — the resolution /api/buoy caches at — and have no
+ * station archive.
+ */
+export function mapPointLocation(lat, lon) {
+    const rLat = Math.round(lat * 100) / 100;
+    const rLon = Math.round(lon * 100) / 100;
+    return {
+        id: MAP_POINT_ID,
+        label: `Map point – ${formatLatLon(rLat, rLon)}`,
+        lat: rLat,
+        lon: rLon,
+    };
+}
+
+const NAME_MAX = 60;
+const NOTES_MAX = 500;
+
+/**
+ * Check a user-defined location before saving it. Coordinates may arrive as
+ * form strings; they must be decimal degrees within range and at sea.
+ *
+ * @param {{ name: string, lat: string|number, lon: string|number, notes?: string }} input
+ * @returns {{ value: { label: string, lat: number, lon: number, notes: string }|null,
+ *             errors: Record<string, string> }}  `value` is null when any field is invalid
+ */
+export function validateLocation({ name, lat, lon, notes = '' }) {
+    const errors = {};
+    const label = String(name ?? '').trim();
+    const latNum = Number(String(lat ?? '').trim());
+    const lonNum = Number(String(lon ?? '').trim());
+    const note = String(notes ?? '').trim();
+
+    if (!label) errors.name = 'Give the location a name';
+    else if (label.length > NAME_MAX) errors.name = `At most ${NAME_MAX} characters`;
+
+    if (String(lat ?? '').trim() === '' || !Number.isFinite(latNum)) errors.lat = 'Latitude must be a number';
+    else if (latNum < -90 || latNum > 90) errors.lat = 'Latitude must be between -90 and 90';
+
+    if (String(lon ?? '').trim() === '' || !Number.isFinite(lonNum)) errors.lon = 'Longitude must be a number';
+    else if (lonNum < -180 || lonNum > 180) errors.lon = 'Longitude must be between -180 and 180';
+
+    if (note.length > NOTES_MAX) errors.notes = `At most ${NOTES_MAX} characters`;
+
+    if (!errors.lat && !errors.lon && isOnLand(latNum, lonNum)) {
+        errors.lat = 'That point is on land — marine data needs a point at sea';
+    }
+
+    if (Object.keys(errors).length) return { value: null, errors };
+    return {
+        value: {
+            label,
+            lat: Math.round(latNum * 100) / 100,
+            lon: Math.round(lonNum * 100) / 100,
+            notes: note,
+        },
+        errors,
+    };
+}
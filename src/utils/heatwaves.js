@@ -0,0 +1,48 @@
+/**
+ * utils/heatwaves.js
+ * Client side of marine heatwaves (Hobday et al. 2016). Detection runs on
+ * the server (lib/heatwaves.js): archive events come from /api/heatwaves,
+ * live-window events with the /api/buoy rows. This module only marks the
+ * rows inside events so the charts can shade them.
+ */
+import { dayOfYearIndex } from './climatology';
+import { toUtcMs } from './compare';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shading / badge colour per category
+export const HEATWAVE_COLORS = {
+    moderate: '#fbbf24',
+    strong: '#fb923c',
+    severe: '#ef4444',
+    extreme: '#b91c1c',
+};
+
+/** A row timestamp as a UTC Date: Dates as they are, live local strings moved by the offset. */
+const toDate = (ts, utcOffsetSeconds) => (ts instanceof Date ? ts : new Date(toUtcMs(ts, utcOffsetSeconds)));
+
+/**
+ * Return copies of `rows` where rows inside an event carry `<key>_mhw` —
+ * [threshold, value], the span the chart shades between threshold and SST.
+ *
+ * @param {Array<object>} rows
+ * @param {string}        key        row field holding SST
+ * @param {Array<object>} events     /api/heatwaves events
+ * @param {{ threshold: number[] }} clim
+ * @param {number|null} [utcOffsetSeconds]  offset of string timestamps (/api/buoy)
+ */
+export function withHeatwaves(rows, key, events, clim, utcOffsetSeconds = null) {
+    if (!events?.length || !clim) return rows;
+    const spans = events.map((e) => [Date.parse(e.start), Date.parse(e.end) + DAY_MS]);
+
+    return rows.map((row) => {
+        const date = toDate(row.timestamp, utcOffsetSeconds);
+        const t = date.getTime();
+        const v = row[key];
+        if (isNaN(t) || v === null || v === undefined) return row;
+        if (!spans.some(([from, to]) => t >= from && t < to)) return row;
+        const thr = clim.threshold[dayOfYearIndex(date)];
+        if (thr == null) return row;
+        return { ...row, [`${key}_mhw`]: [thr, Math.max(v, thr)] };
+    });
+}
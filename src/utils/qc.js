@@ -0,0 +1,45 @@
+/**
+ * utils/qc.js
+ * QARTOD quality flags, as attached by the server (lib/qc.js) to every
+ * observation as `<field>_qc`, plus helpers the charts use to hide or
+ * grey out flagged points.
+ */
+
+export const QC_FLAGS = { PASS: 1, NOT_EVALUATED: 2, SUSPECT: 3, FAIL: 4, MISSING: 9 };
+
+/** How charts treat suspect / failed points. */
+export const QC_MODES = [
+    { value: 'show', label: 'Show' },
+    { value: 'grey', label: 'Grey out' },
+    { value: 'hide', label: 'Hide' },
+];
+
+/** QC flag of `field` on a row, or null when the server sent none. */
+export function qcFlag(row, field) {
+    return row?.[`${field}_qc`] ?? null;
+}
+
+/** True when `field` on this row was flagged suspect or fail. */
+export function isFlagged(row, field) {
+    const flag = qcFlag(row, field);
+    return flag === QC_FLAGS.SUSPECT || flag === QC_FLAGS.FAIL;
+}
+
+/**
+ * Apply a QC display mode to chart rows (in place — pass fresh row copies).
+ * 'hide' nulls flagged values so the line breaks around them; 'show' and
+ * 'grey' leave values alone (grey is handled by the dot renderer).
+ *
+ * @param {Array<object>} rows
+ * @param {Array<string>} fields
+ * @param {'show'|'grey'|'hide'} mode
+ */
+export function applyQcMode(rows, fields, mode) {
+    if (mode !== 'hide') return rows;
+    for (const row of rows) {
+        for (const f of fields) {
+            if (isFlagged(row, f)) row[f] = null;
+        }
+    }
+    return rows;
+}
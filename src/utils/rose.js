@@ -0,0 +1,25 @@
+/**
+ * utils/rose.js
+ * Client side of wind and wave roses. Roses are binned on the server
+ * (lib/rose.js): archive ranges come from /api/rose, the live window with
+ * the /api/buoy rows. Bin edges, units and the calm limit come from the
+ * same src/data/roseSpecs.json table the server bins with.
+ */
+import SPECS from '../data/roseSpecs.json';
+
+export const ROSE_SPECS = {
+    wind: { label: 'Wind Rose', ...SPECS.wind },
+    wave: { label: 'Wave Rose', ...SPECS.wave },
+};
+
+// Colours run light → dark → warm with magnitude
+export const ROSE_COLORS = ['#bae6fd', '#7dd3fc', '#38bdf8', '#0284c7', '#fbbf24', '#f97316', '#ef4444'];
+
+/** Legend labels for a rose's bins, e.g. ['< 2', '2–4', …, '≥ 12']. */
+export function binLabels(edges) {
+    return [
+        `< ${edges[0]}`,
+        ...edges.slice(1).map((e, i) => `${edges[i]}–${e}`),
+        `≥ ${edges[edges.length - 1]}`,
+    ];
+}
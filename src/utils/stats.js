@@ -20,31 +20,37 @@ export function stdDev(values) {
 
 /**
  * Given a dataset row and the statistical summary for a field,
- * return true if the value is anomalous (> mean + 2 * std).
+ * return true if the value is anomalous (beyond mean ± 2 * std) on a side
+ * `direction` flags: 'high', 'low' or 'both'.
  */
-export function isAnomaly(value, fieldMean, fieldStd) {
+export function isAnomaly(value, fieldMean, fieldStd, direction = 'both') {
     if (value === null || value === undefined) return false;
-    return value > fieldMean + 2 * fieldStd;
+    const high = value > fieldMean + 2 * fieldStd;
+    const low = value < fieldMean - 2 * fieldStd;
+    if (direction === 'high') return high;
+    if (direction === 'low') return low;
+    return high || low;
 }
 
 /**
  * Build full statistics summary for a given field across rows.
  * @param {Array}  rows   - array of data objects
  * @param {string} field  - field name to analyse
- * @returns {{ mean, min, max, std, anomalyThreshold }}
+ * @returns {{ mean, min, max, std, anomalyThreshold, lowerThreshold }}
  */
 export function computeStats(rows, field) {
     const values = rows.map((r) => r[field]).filter((v) => v !== null && v !== undefined && !isNaN(v));
-    if (!values.length) return { mean: null, min: null, max: null, std: null, anomalyThreshold: null };
+    if (!values.length) return { mean: null, min: null, max: null, std: null, anomalyThreshold: null, lowerThreshold: null };
 
     const avg = mean(values);
     const sd = stdDev(values);
 
     return {
         mean: avg,
-        min: Math.min(...values),
-        max: Math.max(...values),
+        min: values.reduce((a, b) => Math.min(a, b)),
+        max: values.reduce((a, b) => Math.max(a, b)),
         std: sd,
         anomalyThreshold: avg + 2 * sd,
+        lowerThreshold: avg - 2 * sd,
     };
 }
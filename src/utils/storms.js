@@ -0,0 +1,35 @@
+/**
+ * utils/storms.js
+ * Client side of storm events. Detection runs on the server (lib/storms.js):
+ * archive events come from /api/storms, live-window events with the
+ * /api/buoy rows. This module holds what the timeline needs to draw them.
+ */
+import STORM_CRITERIA from '../data/stormCriteria.json';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Detection thresholds, shared with lib/storms.js — the timeline quotes them
+export { STORM_CRITERIA };
+
+// Badge / timeline colour per category
+export const STORM_COLORS = {
+    'depression': '#87d4f4',
+    'deep depression': '#4db8e8',
+    'cyclonic storm': '#a78bfa',
+    'severe cyclonic storm': '#f472b6',
+    'very severe cyclonic storm': '#fb923c',
+    'extremely severe cyclonic storm': '#ef4444',
+    'super cyclonic storm': '#b91c1c',
+};
+
+// Hours shown either side of an event when the charts zoom to it — enough
+// to include the pressure fall that led into it
+export const ZOOM_PAD_HOURS = 24;
+
+/** [from, to] epoch ms the charts show when zoomed to `event`. */
+export function zoomWindow(event) {
+    return [
+        Date.parse(event.start) - ZOOM_PAD_HOURS * HOUR_MS,
+        Date.parse(event.end) + ZOOM_PAD_HOURS * HOUR_MS,
+    ];
+}
@@ -0,0 +1,95 @@
+/**
+ * utils/yearOverlay.js
+ * Year-over-year view of a station's archive: daily values of chosen years
+ * on one day-of-year axis, in front of the mean and min/max envelope of
+ * every other archive year. Days are indexed on a leap-year calendar
+ * (Feb 29 = 59) like the climatology, so the same date lines up across
+ * years.
+ *
+ * Attached per day-of-year row:
+ *   y<year>    that year's daily value (null when missing)
+ *   ref_mean   mean of the reference years' values on that day
+ *   ref_range  [min, max] of those values — drawn as a range area
+ */
+import { dayOfYearIndex } from './climatology';
+import { QC_FLAGS } from './qc';
+
+const DAYS = 366;
+
+// Lines for the overlaid years; the reference is drawn in grey behind them
+export const OVERLAY_COLORS = ['#00d4ff', '#fbbf24', '#f472b6', '#34d399', '#a78bfa', '#fb923c', '#e2e8f0', '#ef4444'];
+
+/** 'Jan 1' … 'Dec 31' for day-of-year indices on a leap-year calendar. */
+const DAY_LABELS = Array.from({ length: DAYS }, (_, d) =>
+    new Date(Date.UTC(2000, 0, 1 + d)).toLocaleDateString('en-GB', { month: 'short', day: 'numeric', timeZone: 'UTC' })
+);
+
+/**
+ * @param {Array<object>} rows   daily archive rows (Date `timestamp`)
+ * @param {string}        field  archive column, e.g. 'WTMP'
+ * @param {number[]}      years  years to overlay; every other year with data is the reference
+ * @param {{ excludeFailed?: boolean }} [options]
+ * @returns {{
+ *   data: Array<object>,                      — one row per day of year
+ *   referenceYears: number[],
+ *   offsets: Record<number, number|null>,     — each overlaid year's mean departure from ref_mean
+ * }}
+ */
+export function yearOverlay(rows, field, years, { excludeFailed = false } = {}) {
+    // year → 366 daily values
+    const byYear = new Map();
+    for (const row of rows) {
+        const ts = row.timestamp;
+        const v = row[field];
+        if (!(ts instanceof Date) || isNaN(ts) || v === null || v === undefined || isNaN(v)) continue;
+        if (excludeFailed && row[`${field}_qc`] === QC_FLAGS.FAIL) continue;
+        const year = ts.getUTCFullYear();
+        if (!byYear.has(year)) byYear.set(year, new Array(DAYS).fill(null));
+        byYear.get(year)[dayOfYearIndex(ts)] = v;
+    }
+
+    const referenceYears = [...byYear.keys()].filter((y) => !years.includes(y)).sort((a, b) => a - b);
+    const sums = Object.fromEntries(years.map((y) => [y, { sum: 0, n: 0 }]));
+
+    const data = DAY_LABELS.map((label, d) => {
+        const row = { doy: d, label };
+        let sum = 0;
+        let n = 0;
+        let min = Infinity;
+        let max = -Infinity;
+        for (const y of referenceYears) {
+            const v = byYear.get(y)[d];
+            if (v === null) continue;
+            sum += v;
+            n++;
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        row.ref_mean = n ? sum / n : null;
+        row.ref_range = n ? [min, max] : null;
+
+        for (const y of years) {
+            const v = byYear.get(y)?.[d] ?? null;
+            row[`y${y}`] = v;
+            if (v !== null && row.ref_mean !== null) {
+                sums[y].sum += v - row.ref_mean;
+                sums[y].n++;
+            }
+        }
+        return row;
+    });
+
+    const offsets = Object.fromEntries(years.map((y) => [y, sums[y].n ? sums[y].sum / sums[y].n : null]));
+    return { data, referenceYears, offsets };
+}
+
+/** '2012–2022', '2012, 2014–2016', … for a sorted year list. */
+export function formatYearSpans(years) {
+    const spans = [];
+    for (const y of years) {
+        const last = spans[spans.length - 1];
+        if (last && y === last[1] + 1) last[1] = y;
+        else spans.push([y, y]);
+    }
+    return spans.map(([a, b]) => (a === b ? `${a}` : `${a}–${b}`)).join(', ');
+}
@@ -0,0 +1,57 @@
+/**
+ * utils/zoom.js
+ * The time window every chart of a view is zoomed to. A window is
+ * `{ from, to }` in epoch ms, plus `event` when it was set by picking a
+ * storm on the timeline (utils/storms.js zoomWindow). Charts, stats and
+ * summaries all slice their rows with the same window, so zooming one
+ * chart zooms them all.
+ *
+ * Windows are real UTC, like the server's storm events; live rows carry
+ * station-local timestamps, so their offset comes along wherever they are
+ * sliced.
+ */
+import { zoomWindow } from './storms';
+import { toUtcMs } from './compare';
+
+/** Epoch ms of a row: Dates as they are, live local strings moved by the offset. */
+const rowTime = (row, utcOffsetSeconds) => (row.timestamp instanceof Date
+    ? row.timestamp.getTime()
+    : toUtcMs(row.timestamp, utcOffsetSeconds));
+
+/**
+ * Rows inside `zoom` (all rows when there is none).
+ * @param {number|null} [utcOffsetSeconds]  offset of string timestamps (/api/buoy)
+ */
+export function windowRows(rows, zoom, utcOffsetSeconds = null) {
+    if (!zoom) return rows;
+    return rows.filter((row) => {
+        const t = rowTime(row, utcOffsetSeconds);
+        return t >= zoom.from && t <= zoom.to;
+    });
+}
+
+/** Zoom window of a storm event, or null to clear. */
+export function stormZoom(event) {
+    if (!event) return null;
+    const [from, to] = zoomWindow(event);
+    return { from, to, event };
+}
+
+/**
+ * Window between two chart row indices dragged across, in either order;
+ * null when the drag covered fewer than two rows.
+ * @param {number|null} [utcOffsetSeconds]  offset of string timestamps (/api/buoy)
+ */
+export function dragZoom(rows, i0, i1, utcOffsetSeconds = null) {
+    if (i0 === null || i0 === undefined || i1 === null || i1 === undefined || i0 === i1) return null;
+    const a = rows[Math.min(i0, i1)];
+    const b = rows[Math.max(i0, i1)];
+    if (!a || !b) return null;
+    return { from: rowTime(a, utcOffsetSeconds), to: rowTime(b, utcOffsetSeconds) };
+}
+
+/** '17 Oct 2025, 06:00 – 19 Oct 2025, 18:00' */
+export function formatZoom(zoom) {
+    const fmt = (t) => new Date(t).toLocaleString('en-GB', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    return `${fmt(zoom.from)} – ${fmt(zoom.to)}`;
+}